@@ -0,0 +1,56 @@
+/**
+ * Move data created before workspaces existed into them: every user
+ * without a workspace gets a personal one, and tasks without a workspace
+ * move to their owner's first workspace. Safe to run more than once.
+ *
+ *   npm run workspaces:migrate
+ */
+require('dotenv').config();
+
+const prisma = require('../src/config/db');
+const { createPersonalWorkspace, findMembership } = require('../src/services/workspaceService');
+
+async function main() {
+  const users = await prisma.user.findMany({
+    where: { workspaceMemberships: { none: {} } },
+    select: { id: true, firstName: true }
+  });
+
+  for (const user of users) {
+    await createPersonalWorkspace(user);
+  }
+  console.log(`Created ${users.length} personal workspace(s).`);
+
+  // Raw queries, as the client cannot read tasks without the now required workspaceId
+  const orphans = await prisma.task.findRaw({
+    filter: { workspaceId: { $exists: false } },
+    options: { projection: { userId: 1 } }
+  });
+  const ownerIds = [...new Set(orphans.map((task) => task.userId.$oid))];
+
+  for (const userId of ownerIds) {
+    const membership = await findMembership(userId);
+
+    // Tasks of deleted users are left alone
+    if (!membership) continue;
+
+    await prisma.$runCommandRaw({
+      update: 'tasks',
+      updates: [{
+        q: { userId: { $oid: userId }, workspaceId: { $exists: false } },
+        u: { $set: { workspaceId: { $oid: membership.workspaceId } } },
+        multi: true
+      }]
+    });
+  }
+  console.log(`Moved ${orphans.length} task(s) into workspaces.`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Workspace migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,189 @@
+/**
+ * Minimal OpenID Connect provider for trying single sign-on locally.
+ * NOT for production: it signs in anyone who submits the form.
+ *
+ *   npm run mock:oidc
+ *
+ * Then configure the API with:
+ *   OIDC_PROVIDERS="mock"
+ *   OIDC_MOCK_NAME="Mock IdP"
+ *   OIDC_MOCK_ISSUER="http://localhost:4000"
+ *   OIDC_MOCK_CLIENT_ID="prime-trade"
+ *   OIDC_MOCK_CLIENT_SECRET="mock-secret"
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'prime-trade';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'sso.user@primetrade.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes and access tokens, in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+  });
+});
+
+// Sign-in form
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri || response_type !== 'code') {
+    return res.status(400).send('Invalid authorization request.');
+  }
+
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE with S256 is required.');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h2>Mock IdP sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="${escapeHtml(DEFAULT_EMAIL)}" required></label></p>
+    <p><label>First name<br><input name="given_name" value="SSO"></label></p>
+    <p><label>Last name<br><input name="family_name" value="User"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+});
+
+// Form submission: issue a code and redirect back to the client
+app.post('/authorize', (req, res) => {
+  const { redirect_uri, state, nonce, code_challenge, scope, email } = req.body;
+  const code = base64url(crypto.randomBytes(24));
+
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    scope,
+    claims: {
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      given_name: req.body.given_name || undefined,
+      family_name: req.body.family_name || undefined
+    },
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  url.searchParams.set('iss', ISSUER);
+
+  res.redirect(url.toString());
+});
+
+const tokenError = (res, error, description) =>
+  res.status(400).json({ error, error_description: description });
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const basic = req.headers.authorization;
+  if (basic && basic.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(basic.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret);
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  if (req.body.grant_type !== 'authorization_code') {
+    return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported.');
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+    return tokenError(res, 'invalid_grant', 'Invalid or expired authorization code.');
+  }
+
+  const challenge = base64url(
+    crypto.createHash('sha256').update(req.body.code_verifier || '').digest()
+  );
+
+  if (challenge !== grant.codeChallenge) {
+    return tokenError(res, 'invalid_grant', 'PKCE verification failed.');
+  }
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, grant.claims);
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+    scope: grant.scope
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id "${CLIENT_ID}")`);
+});
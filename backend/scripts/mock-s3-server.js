@@ -0,0 +1,72 @@
+/**
+ * Minimal S3-compatible object store for trying attachment storage locally.
+ * NOT for production: it keeps objects in memory and does not check signatures.
+ *
+ *   npm run mock:s3
+ *
+ * Then configure the API with:
+ *   ATTACHMENT_STORAGE="s3"
+ *   S3_BUCKET="attachments"
+ *   S3_ENDPOINT="http://localhost:4566"
+ *   S3_FORCE_PATH_STYLE="true"
+ *   S3_ACCESS_KEY_ID="mock"
+ *   S3_SECRET_ACCESS_KEY="mock"
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.MOCK_S3_PORT || 4566;
+
+// Objects by "bucket/key", in memory
+const objects = new Map();
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: '100mb' }));
+
+const objectPath = (req) => `${req.params.bucket}/${req.params[0]}`;
+
+const noSuchKey = (res, key) =>
+  res
+    .status(404)
+    .type('application/xml')
+    .send(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message><Key>${key}</Key></Error>`);
+
+app.put('/:bucket/*', (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+
+  objects.set(objectPath(req), {
+    body,
+    etag,
+    contentType: req.get('content-type') || 'application/octet-stream',
+    lastModified: new Date()
+  });
+
+  res.set('ETag', etag).end();
+});
+
+// Express answers HEAD requests with this route, without the body
+app.get('/:bucket/*', (req, res) => {
+  const object = objects.get(objectPath(req));
+
+  if (!object) {
+    return noSuchKey(res, req.params[0]);
+  }
+
+  res
+    .set({
+      'Content-Type': object.contentType,
+      ETag: object.etag,
+      'Last-Modified': object.lastModified.toUTCString()
+    })
+    .send(object.body);
+});
+
+app.delete('/:bucket/*', (req, res) => {
+  objects.delete(objectPath(req));
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server running at http://localhost:${PORT}`);
+});
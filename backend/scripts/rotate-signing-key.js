@@ -0,0 +1,31 @@
+/**
+ * Rotate the access token signing key now instead of waiting for
+ * JWT_KEY_ROTATION_INTERVAL. The previous key keeps verifying tokens
+ * for JWT_KEY_GRACE_PERIOD.
+ *
+ *   npm run keys:rotate
+ */
+require('dotenv').config();
+
+const prisma = require('../src/config/db');
+const { usesSigningKeys, rotateSigningKey } = require('../src/services/signingKeys');
+
+async function main() {
+  if (!usesSigningKeys()) {
+    console.error('JWT_ALGORITHM must be RS256 or EdDSA to use signing keys.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const keys = await rotateSigningKey();
+  console.log(`New signing key: ${keys[0].kid} (${keys[0].algorithm})`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Key rotation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -29,6 +29,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token in format: Bearer <token>'
+        },
+        CookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'access_token',
+          description: 'Cookie session (sign in with X-Auth-Mode: cookie); state-changing requests also need the X-CSRF-Token header'
         }
       },
       schemas: {
@@ -39,7 +45,7 @@ const options = {
             email: { type: 'string', format: 'email' },
             firstName: { type: 'string' },
             lastName: { type: 'string' },
-            role: { type: 'string', enum: ['USER', 'ADMIN'] },
+            role: { type: 'string', enum: ['VIEWER', 'USER', 'MANAGER', 'ADMIN'] },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -52,6 +58,14 @@ const options = {
             priority: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'] },
             status: { type: 'string', enum: ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'] },
             dueDate: { type: 'string', format: 'date-time', nullable: true },
+            completedAt: { type: 'string', format: 'date-time', nullable: true },
+            series: {
+              type: 'object',
+              nullable: true,
+              description: 'Repeat rule of a repeating task',
+              properties: { id: { type: 'string' }, rule: { type: 'string', example: 'FREQ=WEEKLY;BYDAY=MO,TH' }, timezone: { type: 'string' } }
+            },
+            occurrence: { type: 'integer', nullable: true },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
             userId: { type: 'string', format: 'uuid' },
@@ -108,6 +122,10 @@ const options = {
     tags: [
       { name: 'Authentication', description: 'User authentication endpoints' },
       { name: 'Tasks', description: 'Task management endpoints' },
+      { name: 'Projects', description: 'Projects grouping the tasks of a workspace' },
+      { name: 'Workspaces', description: 'Workspaces, members and invitations' },
+      { name: 'Notifications', description: 'In-app notifications such as task reminders' },
+      { name: 'Users', description: 'User administration endpoints (Admin)' },
       { name: 'Health', description: 'Health check endpoints' }
     ]
   },
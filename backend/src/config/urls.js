@@ -0,0 +1,12 @@
+/**
+ * Public URLs of the frontend and of this API, used in emails and redirects
+ */
+
+const appUrl = () => process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+module.exports = {
+  appUrl,
+  apiUrl
+};
@@ -1,25 +1,141 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const ms = require('ms');
 const prisma = require('../config/db');
 const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  generateTokens,
+  startSession,
+  touchSession,
+  findRefreshToken,
+  claimRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllUserTokens
+} = require('../services/tokenService');
+const { createUserToken, consumeUserToken } = require('../services/userTokenService');
+const { getLockout, recordLoginFailure, resetLoginFailures } = require('../services/loginThrottle');
+const {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmail
+} = require('../services/emails');
+const { loadProfile, isLastActiveAdmin, unlessLastActiveAdmin } = require('../services/userService');
+const { permissionsFor } = require('../services/policy');
+const { REFRESH_COOKIE, clearAuthCookies, deliverTokens } = require('../services/authCookies');
+const { removeUserExports } = require('../services/dataExportService');
+const { deletingAttachments } = require('../services/attachmentService');
+const { createPersonalWorkspace, releaseUserWorkspaces } = require('../services/workspaceService');
+const {
+  consumeSecondFactor,
+  signMfaToken,
+  verifyMfaToken,
+  isMfaRequired
+} = require('../services/mfaService');
 
 /**
- * Generate JWT tokens
+ * Email a fresh verification link to a user
  */
-const generateTokens = (userId, role) => {
-  const accessToken = jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+const sendVerificationLink = async (user) => {
+  const { token, expiresAt } = await createUserToken(
+    user.id,
+    'EMAIL_VERIFICATION',
+    ms(process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h')
   );
 
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
-  );
+  await sendVerificationEmail(user, token, expiresAt);
+};
+
+/**
+ * Public view of a user returned by login
+ */
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  mfaEnabled: !!user.mfaEnabledAt,
+  mfaEnrollmentRequired: !user.mfaEnabledAt && isMfaRequired(user.role),
+  permissions: permissionsFor(user)
+});
+
+/**
+ * Answer 429 with Retry-After if the account or client IP is locked out.
+ * Returns true when the request was rejected.
+ */
+const rejectIfLocked = async (attempt, res) => {
+  const lockout = await getLockout(attempt);
+
+  if (!lockout) {
+    return false;
+  }
+
+  res.set('Retry-After', String(lockout.retryAfter));
+  res.status(429).json({
+    success: false,
+    message: lockout.code === 'ACCOUNT_LOCKED'
+      ? 'Too many failed login attempts. This account is temporarily locked.'
+      : 'Too many failed login attempts. Please try again later.',
+    code: lockout.code,
+    retryAfter: lockout.retryAfter
+  });
+  return true;
+};
+
+/**
+ * Finish a successful login: record it, start a session and send the tokens
+ */
+const completeLogin = async (user, req, res) => {
+  await resetLoginFailures(user.email);
+
+  // Update last login
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() }
+  });
 
-  return { accessToken, refreshToken };
+  // Generate tokens
+  const tokens = await startSession(user.id, user.role, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful.',
+    data: {
+      user: toAuthUser(user),
+      ...deliverTokens(req, res, tokens)
+    }
+  });
+};
+
+/**
+ * Continue a login whose first factor checked out (password or single sign-on):
+ * refuse it while a password reset is required, hand out an interim token if a
+ * second factor is pending, otherwise complete the login
+ */
+const beginLogin = async (user, req, res) => {
+  if (user.passwordResetRequiredAt) {
+    return res.status(403).json({
+      success: false,
+      message: 'You must reset your password before logging in. Check your email for a reset link.',
+      code: 'PASSWORD_RESET_REQUIRED'
+    });
+  }
+
+  if (user.mfaEnabledAt) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required.',
+      data: {
+        mfaRequired: true,
+        mfaToken: signMfaToken(user.id)
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
 };
 
 /**
@@ -60,19 +176,28 @@ const register = asyncHandler(async (req, res) => {
       firstName: true,
       lastName: true,
       role: true,
+      emailVerified: true,
       createdAt: true
     }
   });
 
+  await createPersonalWorkspace(user);
+
+  try {
+    await sendVerificationLink(user);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
+
   // Generate tokens
-  const tokens = generateTokens(user.id, user.role);
+  const tokens = await startSession(user.id, user.role, req);
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully.',
     data: {
-      user,
-      ...tokens
+      user: { ...user, permissions: permissionsFor(user) },
+      ...deliverTokens(req, res, tokens)
     }
   });
 });
@@ -84,12 +209,16 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
+  if (await rejectIfLocked({ email, ip: req.ip }, res)) return;
+
   // Find user
   const user = await prisma.user.findUnique({
     where: { email: email.toLowerCase() }
   });
 
   if (!user) {
+    await recordLoginFailure({ email, ip: req.ip });
+
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password.',
@@ -106,10 +235,12 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Verify password
-  const isValidPassword = await bcrypt.compare(password, user.password);
+  // Verify password (accounts created through single sign-on have none)
+  const isValidPassword = !!user.password && (await bcrypt.compare(password, user.password));
 
   if (!isValidPassword) {
+    await recordLoginFailure({ email, ip: req.ip });
+
     return res.status(401).json({
       success: false,
       message: 'Invalid email or password.',
@@ -117,56 +248,261 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update last login
+  await beginLogin(user, req, res);
+});
+
+/**
+ * Exchange the one-time code from a single sign-on redirect for a login
+ * POST /api/v1/auth/oidc/exchange
+ */
+const oidcLogin = asyncHandler(async (req, res) => {
+  const record = await consumeUserToken(req.body.code, 'OIDC_LOGIN');
+  const user = record && (await prisma.user.findUnique({ where: { id: record.userId } }));
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Sign-in has expired. Please try again.',
+      code: 'INVALID_TOKEN'
+    });
+  }
+
+  if (!user.isActive) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your account has been deactivated.',
+      code: 'ACCOUNT_DEACTIVATED'
+    });
+  }
+
+  await beginLogin(user, req, res);
+});
+
+/**
+ * Complete the second step of a two-factor login
+ * POST /api/v1/auth/mfa/verify
+ */
+const verifyMfaLogin = asyncHandler(async (req, res) => {
+  const decoded = verifyMfaToken(req.body.mfaToken);
+
+  if (!decoded) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor login has expired. Please log in again.',
+      code: 'INVALID_MFA_TOKEN'
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId }
+  });
+
+  if (!user || !user.isActive || !user.mfaEnabledAt) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor login has expired. Please log in again.',
+      code: 'INVALID_MFA_TOKEN'
+    });
+  }
+
+  // Guessing codes counts against the same per-account limit as passwords
+  if (await rejectIfLocked({ email: user.email, ip: req.ip }, res)) return;
+
+  if (!(await consumeSecondFactor(user, req.body))) {
+    await recordLoginFailure({ email: user.email, ip: req.ip });
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid authentication code.',
+      code: 'INVALID_MFA_CODE'
+    });
+  }
+
+  await completeLogin(user, req, res);
+});
+
+/**
+ * Get current user profile
+ * GET /api/v1/auth/profile
+ */
+const getProfile = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: await loadProfile(req.user.id)
+    }
+  });
+});
+
+/**
+ * Update the current user's profile. A new email address only takes
+ * effect once confirmed through the link sent to it.
+ * PATCH /api/v1/auth/profile
+ */
+const updateProfile = asyncHandler(async (req, res) => {
+  const { firstName, lastName, email } = req.body;
+  const data = {};
+
+  if (firstName !== undefined) {
+    data.firstName = firstName;
+  }
+
+  if (lastName !== undefined) {
+    data.lastName = lastName;
+  }
+
+  const emailChanged = email !== undefined && email !== req.user.email;
+
+  if (emailChanged) {
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User with this email already exists.',
+        code: 'EMAIL_EXISTS'
+      });
+    }
+
+    data.pendingEmail = email;
+  } else if (email !== undefined) {
+    // Submitting the current address cancels a pending change
+    data.pendingEmail = null;
+  }
+
   await prisma.user.update({
-    where: { id: user.id },
-    data: { lastLoginAt: new Date() }
+    where: { id: req.user.id },
+    data
   });
 
-  // Generate tokens
-  const tokens = generateTokens(user.id, user.role);
+  if (emailChanged) {
+    const { token, expiresAt } = await createUserToken(
+      req.user.id,
+      'EMAIL_CHANGE',
+      ms(process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h')
+    );
+
+    await sendEmailChangeEmail(req.user, email, token, expiresAt);
+  }
 
   res.json({
     success: true,
-    message: 'Login successful.',
+    message: emailChanged
+      ? 'Profile updated. Check your new email address to confirm the change.'
+      : 'Profile updated successfully.',
     data: {
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role
-      },
-      ...tokens
+      user: await loadProfile(req.user.id)
     }
   });
 });
 
 /**
- * Get current user profile
- * GET /api/v1/auth/profile
+ * Change the current user's password and sign out their other sessions
+ * POST /api/v1/auth/change-password
  */
-const getProfile = asyncHandler(async (req, res) => {
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
   const user = await prisma.user.findUnique({
     where: { id: req.user.id },
-    select: {
-      id: true,
-      email: true,
-      firstName: true,
-      lastName: true,
-      role: true,
-      isActive: true,
-      createdAt: true,
-      lastLoginAt: true,
-      _count: {
-        select: { tasks: true }
-      }
-    }
+    select: { id: true, password: true }
   });
 
+  if (!user.password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your account has no password yet. Use "forgot password" to set one.',
+      code: 'PASSWORD_NOT_SET'
+    });
+  }
+
+  if (!(await bcrypt.compare(currentPassword, user.password))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Current password is incorrect.',
+      code: 'INVALID_CREDENTIALS'
+    });
+  }
+
+  const salt = await bcrypt.genSalt(12);
+  const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { password: hashedPassword, passwordResetRequiredAt: null }
+  });
+
+  await revokeOtherSessions(user.id, req.auth.familyId);
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully. Other devices have been signed out.'
+  });
+});
+
+/**
+ * Delete the current user's account, their tasks and everything else they own
+ * DELETE /api/v1/auth/account
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, password: true, role: true, isActive: true }
+  });
+
+  if (!user.password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your account has no password yet. Use "forgot password" to set one.',
+      code: 'PASSWORD_NOT_SET'
+    });
+  }
+
+  if (!(await bcrypt.compare(req.body.password, user.password))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Password is incorrect.',
+      code: 'INVALID_CREDENTIALS'
+    });
+  }
+
+  const rejectLastAdmin = () =>
+    res.status(409).json({
+      success: false,
+      message: 'The last active admin cannot delete their account.',
+      code: 'LAST_ADMIN'
+    });
+
+  // Answer before exports and workspaces are let go; the delete is checked again
+  if (await isLastActiveAdmin(user)) {
+    return rejectLastAdmin();
+  }
+
+  await removeUserExports(user.id);
+  await releaseUserWorkspaces(user.id);
+
+  // Tasks left (those of workspaces without members), sessions and tokens are
+  // removed through cascading relations; the files attached to the tasks are
+  // deleted from storage afterwards
+  const deleted = await deletingAttachments({ task: { userId: user.id } }, () =>
+    unlessLastActiveAdmin(user, (client) =>
+      client.user.delete({
+        where: { id: user.id }
+      })
+    )
+  );
+
+  if (!deleted) {
+    return rejectLastAdmin();
+  }
+
+  clearAuthCookies(res);
+
   res.json({
     success: true,
-    data: { user }
+    message: 'Account deleted successfully.'
   });
 });
 
@@ -175,7 +511,9 @@ const getProfile = asyncHandler(async (req, res) => {
  * POST /api/v1/auth/refresh
  */
 const refreshToken = asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+  // Cookie sessions send the refresh token as a cookie instead of in the body
+  const cookieSession = !req.body.refreshToken && !!req.cookies[REFRESH_COOKIE];
+  const refreshToken = req.body.refreshToken || req.cookies[REFRESH_COOKIE];
 
   if (!refreshToken) {
     return res.status(400).json({
@@ -185,43 +523,71 @@ const refreshToken = asyncHandler(async (req, res) => {
     });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token.',
+      code: 'INVALID_REFRESH_TOKEN'
+    });
+  }
 
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token.',
-        code: 'INVALID_TOKEN'
-      });
-    }
+  if (decoded.type !== 'refresh') {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token.',
+      code: 'INVALID_TOKEN'
+    });
+  }
 
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, role: true, isActive: true }
+  const storedToken = await findRefreshToken(refreshToken);
+
+  if (!storedToken || storedToken.revokedAt) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token.',
+      code: 'INVALID_REFRESH_TOKEN'
     });
+  }
 
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found or inactive.',
-        code: 'INVALID_USER'
-      });
-    }
+  // A refresh token can only be exchanged once. Seeing it again means it
+  // leaked, so the whole family (the session it belongs to) is revoked.
+  const claimed = await claimRefreshToken(storedToken.id);
 
-    const tokens = generateTokens(user.id, user.role);
+  if (!claimed) {
+    await revokeSession(storedToken.familyId);
 
-    res.json({
-      success: true,
-      data: { ...tokens }
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token has already been used. Please log in again.',
+      code: 'REFRESH_TOKEN_REUSED'
     });
-  } catch (error) {
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: storedToken.userId },
+    select: { id: true, role: true, isActive: true }
+  });
+
+  if (!user || !user.isActive) {
+    await revokeSession(storedToken.familyId);
+
     return res.status(401).json({
       success: false,
-      message: 'Invalid or expired refresh token.',
-      code: 'INVALID_REFRESH_TOKEN'
+      message: 'User not found or inactive.',
+      code: 'INVALID_USER'
     });
   }
+
+  await touchSession(storedToken.familyId, req);
+  const tokens = await generateTokens(user.id, user.role, storedToken.familyId);
+
+  res.json({
+    success: true,
+    data: { ...deliverTokens(req, res, tokens, cookieSession) }
+  });
 });
 
 /**
@@ -229,19 +595,255 @@ const refreshToken = asyncHandler(async (req, res) => {
  * POST /api/v1/auth/logout
  */
 const logout = asyncHandler(async (req, res) => {
-  // In a production app, you would blacklist the token
-  // For now, we'll just return success
-  
+  // Revoke the presented access token and the login (refresh family) it came from
+  await revokeAccessToken(req.auth);
+
+  if (req.auth.familyId) {
+    await revokeSession(req.auth.familyId);
+  }
+
+  clearAuthCookies(res);
+
   res.json({
     success: true,
     message: 'Logged out successfully.'
   });
 });
 
+/**
+ * Logout user from all devices
+ * POST /api/v1/auth/logout-all
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  await revokeAllUserTokens(req.user.id);
+
+  clearAuthCookies(res);
+
+  res.json({
+    success: true,
+    message: 'Logged out from all devices.'
+  });
+});
+
+/**
+ * List active sessions of the current user
+ * GET /api/v1/auth/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    orderBy: { lastUsedAt: 'desc' },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true
+    }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.auth.familyId
+      }))
+    }
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/v1/auth/sessions/:id
+ */
+const deleteSession = asyncHandler(async (req, res) => {
+  const session = await prisma.session.findFirst({
+    where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+  });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  await revokeSession(session.id);
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully.'
+  });
+});
+
+/**
+ * Request a password reset email
+ * POST /api/v1/auth/forgot-password
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { email: req.body.email.toLowerCase() },
+    select: { id: true, email: true, firstName: true, isActive: true }
+  });
+
+  if (user && user.isActive) {
+    const { token, expiresAt } = await createUserToken(
+      user.id,
+      'PASSWORD_RESET',
+      ms(process.env.PASSWORD_RESET_EXPIRES_IN || '1h')
+    );
+
+    try {
+      await sendPasswordResetEmail(user, token, expiresAt);
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+    }
+  }
+
+  // Same response whether or not the account exists, so emails can't be enumerated
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  });
+});
+
+/**
+ * Reset password with a token from the reset email
+ * POST /api/v1/auth/reset-password
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const resetToken = await consumeUserToken(token, 'PASSWORD_RESET');
+
+  if (!resetToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired.',
+      code: 'INVALID_RESET_TOKEN'
+    });
+  }
+
+  const salt = await bcrypt.genSalt(12);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  // The link was emailed, so following it also proves the address
+  const user = await prisma.user.findUnique({
+    where: { id: resetToken.userId },
+    select: { emailVerified: true }
+  });
+
+  await prisma.user.update({
+    where: { id: resetToken.userId },
+    data: {
+      password: hashedPassword,
+      passwordResetRequiredAt: null,
+      ...(!user.emailVerified && { emailVerified: true, emailVerifiedAt: new Date() })
+    }
+  });
+
+  // Whoever knew the old password must not stay signed in
+  await revokeAllUserTokens(resetToken.userId);
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+});
+
+/**
+ * Verify email address with a token from the verification email
+ * GET /api/v1/auth/verify-email
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const verificationToken = await consumeUserToken(req.query.token, 'EMAIL_VERIFICATION');
+
+  if (verificationToken) {
+    await prisma.user.update({
+      where: { id: verificationToken.userId },
+      data: { emailVerified: true, emailVerifiedAt: new Date() }
+    });
+
+    return res.json({
+      success: true,
+      message: 'Email verified successfully.'
+    });
+  }
+
+  // Links sent to a new address confirm an email change
+  const changeToken = await consumeUserToken(req.query.token, 'EMAIL_CHANGE');
+  const user = changeToken && (await prisma.user.findUnique({
+    where: { id: changeToken.userId },
+    select: { id: true, pendingEmail: true }
+  }));
+
+  if (!user?.pendingEmail) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired.',
+      code: 'INVALID_VERIFICATION_TOKEN'
+    });
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      email: user.pendingEmail,
+      pendingEmail: null,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Email address changed successfully.'
+  });
+});
+
+/**
+ * Resend the verification email to the current user
+ * POST /api/v1/auth/resend-verification
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified.',
+      code: 'ALREADY_VERIFIED'
+    });
+  }
+
+  await sendVerificationLink(req.user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent.'
+  });
+});
+
 module.exports = {
   register,
   login,
   getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
   refreshToken,
-  logout
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyMfaLogin,
+  oidcLogin
 };
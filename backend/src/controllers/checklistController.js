@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+/**
+ * Answer 404 if the task has no checklist item with the route's :itemId.
+ * Returns whether it exists.
+ */
+const findItem = (req, res) => {
+  const exists = req.task.checklist.some((item) => item.id === req.params.itemId);
+
+  if (!exists) {
+    res.status(404).json({
+      success: false,
+      message: 'Checklist item not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  return exists;
+};
+
+const updateChecklist = (taskId, checklist) =>
+  prisma.task.update({
+    where: { id: taskId },
+    data: { checklist },
+    select: { checklist: true }
+  });
+
+/**
+ * Add an item to a task's checklist
+ * POST /api/v1/tasks/:id/checklist
+ */
+const addItem = asyncHandler(async (req, res) => {
+  if (req.task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items.`,
+      code: 'CHECKLIST_FULL'
+    });
+  }
+
+  const item = {
+    // An ObjectId, like the IDs of documents
+    id: crypto.randomBytes(12).toString('hex'),
+    text: req.body.text,
+    done: false
+  };
+
+  const { checklist } = await updateChecklist(req.task.id, { push: item });
+
+  res.status(201).json({
+    success: true,
+    message: 'Checklist item added successfully.',
+    data: { item, checklist }
+  });
+});
+
+/**
+ * Rename or check off a checklist item
+ * PATCH /api/v1/tasks/:id/checklist/:itemId
+ */
+const updateItem = asyncHandler(async (req, res) => {
+  if (!findItem(req, res)) return;
+
+  const { text, done } = req.body;
+  const data = {};
+  if (text !== undefined) data.text = text;
+  if (done !== undefined) data.done = done;
+
+  const { checklist } = await updateChecklist(req.task.id, {
+    updateMany: { where: { id: req.params.itemId }, data }
+  });
+
+  res.json({
+    success: true,
+    message: 'Checklist item updated successfully.',
+    data: { checklist }
+  });
+});
+
+/**
+ * Remove an item from a task's checklist
+ * DELETE /api/v1/tasks/:id/checklist/:itemId
+ */
+const deleteItem = asyncHandler(async (req, res) => {
+  if (!findItem(req, res)) return;
+
+  const { checklist } = await updateChecklist(req.task.id, {
+    deleteMany: { where: { id: req.params.itemId } }
+  });
+
+  res.json({
+    success: true,
+    message: 'Checklist item deleted successfully.',
+    data: { checklist }
+  });
+});
+
+module.exports = {
+  addItem,
+  updateItem,
+  deleteItem
+};
@@ -0,0 +1,100 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  requestDataExport,
+  findDataExportByToken,
+  exportFilePath
+} = require('../services/dataExportService');
+
+// Fields of an export returned to its owner
+const exportSelect = {
+  id: true,
+  status: true,
+  createdAt: true,
+  completedAt: true,
+  expiresAt: true
+};
+
+/**
+ * Start building an export of the current user's personal data
+ * POST /api/v1/auth/export
+ */
+const createExport = asyncHandler(async (req, res) => {
+  const result = await requestDataExport(req.user.id);
+
+  if (!result) {
+    return res.status(409).json({
+      success: false,
+      message: 'An export is already being prepared.',
+      code: 'EXPORT_IN_PROGRESS'
+    });
+  }
+
+  const { id, status, createdAt } = result.dataExport;
+
+  res.status(202).json({
+    success: true,
+    message: 'Your export is being prepared. The download link will also be emailed to you.',
+    data: {
+      export: { id, status, createdAt },
+      downloadUrl: result.downloadUrl
+    }
+  });
+});
+
+/**
+ * Get the status of an export
+ * GET /api/v1/auth/export/:id
+ */
+const getExport = asyncHandler(async (req, res) => {
+  const dataExport = await prisma.dataExport.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: exportSelect
+  });
+
+  if (!dataExport) {
+    return res.status(404).json({
+      success: false,
+      message: 'Export not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { export: dataExport }
+  });
+});
+
+/**
+ * Download an export archive using the link's token
+ * GET /api/v1/auth/export/download?token=
+ */
+const downloadExport = asyncHandler(async (req, res) => {
+  const dataExport = await findDataExportByToken(req.query.token);
+
+  if (!dataExport || dataExport.status === 'FAILED') {
+    return res.status(404).json({
+      success: false,
+      message: 'Download link is invalid or has expired.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  if (dataExport.status !== 'READY') {
+    return res.status(409).json({
+      success: false,
+      message: 'The export is not ready yet. Please try again shortly.',
+      code: 'EXPORT_NOT_READY'
+    });
+  }
+
+  const date = dataExport.completedAt.toISOString().slice(0, 10);
+  res.download(exportFilePath(dataExport), `prime-trade-export-${date}.zip`);
+});
+
+module.exports = {
+  createExport,
+  getExport,
+  downloadExport
+};
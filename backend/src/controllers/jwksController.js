@@ -0,0 +1,16 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getJwks } = require('../services/signingKeys');
+
+/**
+ * Public keys that verify access tokens, for other services
+ * GET /.well-known/jwks.json
+ */
+const getJwksDocument = asyncHandler(async (req, res) => {
+  // Short enough that verifiers pick up a rotated key before it signs many tokens
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(await getJwks());
+});
+
+module.exports = {
+  getJwksDocument
+};
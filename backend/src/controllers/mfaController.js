@@ -0,0 +1,194 @@
+const bcrypt = require('bcryptjs');
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { verifyCode } = require('../services/totp');
+const { decryptSecret } = require('../utils/encryption');
+const {
+  createEnrollment,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+  isMfaRequired
+} = require('../services/mfaService');
+
+/**
+ * Start two-factor enrollment: returns a new secret, otpauth URI and QR code
+ * POST /api/v1/auth/mfa/setup
+ */
+const setupMfa = asyncHandler(async (req, res) => {
+  if (req.user.mfaEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled.',
+      code: 'MFA_ALREADY_ENABLED'
+    });
+  }
+
+  const { secret, otpauthUrl, qrCode, encryptedSecret } = await createEnrollment(req.user.email);
+
+  await prisma.user.update({
+    where: { id: req.user.id },
+    data: { mfaPendingSecret: encryptedSecret }
+  });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+    data: { secret, otpauthUrl, qrCode }
+  });
+});
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * POST /api/v1/auth/mfa/confirm
+ */
+const confirmMfa = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, mfaEnabledAt: true, mfaPendingSecret: true }
+  });
+
+  if (user.mfaEnabledAt || !user.mfaPendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'No two-factor enrollment in progress.',
+      code: 'MFA_NOT_PENDING'
+    });
+  }
+
+  const step = verifyCode(decryptSecret(user.mfaPendingSecret), req.body.code);
+
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code.',
+      code: 'INVALID_MFA_CODE'
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaEnabledAt: new Date(),
+      mfaSecret: user.mfaPendingSecret,
+      mfaPendingSecret: null,
+      mfaLastUsedStep: step,
+      mfaRecoveryCodes: hashes
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+    data: { recoveryCodes: codes }
+  });
+});
+
+/**
+ * Load the current user's 2FA state, failing if 2FA is not enabled
+ */
+const findMfaUser = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: {
+      id: true,
+      role: true,
+      password: true,
+      mfaEnabledAt: true,
+      mfaSecret: true,
+      mfaRecoveryCodes: true
+    }
+  });
+
+  if (!user.mfaEnabledAt) {
+    res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled.',
+      code: 'MFA_NOT_ENABLED'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Disable two-factor authentication (requires password and a second factor)
+ * POST /api/v1/auth/mfa/disable
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+  const user = await findMfaUser(req, res);
+  if (!user) return;
+
+  if (isMfaRequired(user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for your role.',
+      code: 'MFA_REQUIRED'
+    });
+  }
+
+  const isValidPassword =
+    !!user.password && (await bcrypt.compare(req.body.password, user.password));
+
+  if (!isValidPassword || !(await consumeSecondFactor(user, req.body))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid password or authentication code.',
+      code: 'INVALID_CREDENTIALS'
+    });
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      mfaEnabledAt: null,
+      mfaSecret: null,
+      mfaLastUsedStep: null,
+      mfaRecoveryCodes: []
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled.'
+  });
+});
+
+/**
+ * Replace all recovery codes (requires a second factor)
+ * POST /api/v1/auth/mfa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await findMfaUser(req, res);
+  if (!user) return;
+
+  if (!(await consumeSecondFactor(user, req.body))) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid authentication code.',
+      code: 'INVALID_MFA_CODE'
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaRecoveryCodes: hashes }
+  });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: { recoveryCodes: codes }
+  });
+});
+
+module.exports = {
+  setupMfa,
+  confirmMfa,
+  disableMfa,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,95 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination } = require('../utils/pagination');
+
+/**
+ * The current user's notifications, newest first, with their unread count
+ * GET /api/v1/notifications
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const where = {
+    userId: req.user.id,
+    ...(req.query.unread === 'true' && { readAt: null })
+  };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        task: { select: { id: true, title: true, status: true, dueDate: true } }
+      }
+    }),
+    prisma.notification.count({ where }),
+    prisma.notification.count({ where: { userId: req.user.id, readAt: null } })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * Mark a notification as read
+ * PATCH /api/v1/notifications/:id/read
+ */
+const markRead = asyncHandler(async (req, res) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { id: req.params.id, userId: req.user.id, readAt: null },
+    data: { readAt: new Date() }
+  });
+
+  if (count === 0) {
+    const exists = await prisma.notification.count({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found.',
+        code: 'NOT_FOUND'
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read.'
+  });
+});
+
+/**
+ * Mark all of the current user's notifications as read
+ * POST /api/v1/notifications/read-all
+ */
+const markAllRead = asyncHandler(async (req, res) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId: req.user.id, readAt: null },
+    data: { readAt: new Date() }
+  });
+
+  res.json({
+    success: true,
+    message: `${count} notification(s) marked as read.`
+  });
+});
+
+module.exports = {
+  getNotifications,
+  markRead,
+  markAllRead
+};
@@ -0,0 +1,102 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { appUrl } = require('../config/urls');
+const { createUserToken } = require('../services/userTokenService');
+const {
+  getProvider,
+  listProviders,
+  createAuthorizationUrl,
+  handleCallback,
+  findOrCreateUser
+} = require('../services/oidcService');
+
+// The frontend exchanges the one-time login code right after the redirect
+const LOGIN_CODE_LIFETIME_MS = 60 * 1000;
+
+/**
+ * Send the browser back to the frontend's single sign-on page
+ */
+const redirectToApp = (res, params) => {
+  res.redirect(`${appUrl()}/oidc/callback?${new URLSearchParams(params)}`);
+};
+
+/**
+ * Answer 404 for providers that are not configured.
+ * Returns the provider, or null when the request was rejected.
+ */
+const findProvider = (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    res.status(404).json({
+      success: false,
+      message: 'Unknown sign-in provider.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  return provider;
+};
+
+/**
+ * List configured single sign-on providers
+ * GET /api/v1/auth/oidc/providers
+ */
+const getProviders = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: listProviders() }
+  });
+});
+
+/**
+ * Redirect to the provider's sign-in page
+ * GET /api/v1/auth/oidc/:provider
+ */
+const startLogin = asyncHandler(async (req, res) => {
+  const provider = findProvider(req, res);
+  if (!provider) return;
+
+  res.redirect(await createAuthorizationUrl(provider));
+});
+
+/**
+ * Handle the provider's redirect back, then send the browser to the
+ * frontend with a one-time login code (or an error code)
+ * GET /api/v1/auth/oidc/:provider/callback
+ */
+const handleLoginCallback = asyncHandler(async (req, res) => {
+  const provider = findProvider(req, res);
+  if (!provider) return;
+
+  let claims;
+  try {
+    claims = await handleCallback(provider, req);
+  } catch (error) {
+    console.error(`Sign-in with ${provider.id} failed:`, error.message);
+    return redirectToApp(res, { error: 'SSO_FAILED' });
+  }
+
+  if (!claims) {
+    return redirectToApp(res, { error: 'SSO_EXPIRED' });
+  }
+
+  const { user, error } = await findOrCreateUser(provider.id, claims);
+
+  if (error) {
+    return redirectToApp(res, { error });
+  }
+
+  if (!user.isActive) {
+    return redirectToApp(res, { error: 'ACCOUNT_DEACTIVATED' });
+  }
+
+  const { token } = await createUserToken(user.id, 'OIDC_LOGIN', LOGIN_CODE_LIFETIME_MS);
+
+  redirectToApp(res, { code: token });
+});
+
+module.exports = {
+  getProviders,
+  startLogin,
+  handleLoginCallback
+};
@@ -0,0 +1,87 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createPersonalAccessToken } = require('../services/personalTokenService');
+
+// Fields of a personal access token safe to return to its owner
+const tokenSelect = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true
+};
+
+/**
+ * List the current user's active personal access tokens
+ * GET /api/v1/auth/tokens
+ */
+const getTokens = asyncHandler(async (req, res) => {
+  const tokens = await prisma.personalAccessToken.findMany({
+    where: { userId: req.user.id, revokedAt: null },
+    orderBy: { createdAt: 'desc' },
+    select: tokenSelect
+  });
+
+  res.json({
+    success: true,
+    data: { tokens }
+  });
+});
+
+/**
+ * Create a personal access token
+ * POST /api/v1/auth/tokens
+ */
+const createToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const { token, record } = await createPersonalAccessToken(req.user.id, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  const { tokenHash, userId, revokedAt, ...accessToken } = record;
+
+  res.status(201).json({
+    success: true,
+    message: 'Access token created. Copy it now, it will not be shown again.',
+    data: { token, accessToken }
+  });
+});
+
+/**
+ * Revoke a personal access token
+ * DELETE /api/v1/auth/tokens/:id
+ */
+const revokeToken = asyncHandler(async (req, res) => {
+  const { count } = await prisma.personalAccessToken.updateMany({
+    where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Access token not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Access token revoked successfully.'
+  });
+});
+
+module.exports = {
+  getTokens,
+  createToken,
+  revokeToken
+};
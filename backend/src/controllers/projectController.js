@@ -0,0 +1,163 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { accessFilter } = require('../services/policy');
+
+/**
+ * Count the tasks of each project the user may view, and how many are completed.
+ * Tasks in no project are counted under `null` (the Inbox).
+ */
+const progressByProject = async (req) => {
+  const readable = accessFilter(req.user, 'task:read');
+  const progress = new Map();
+
+  if (!readable) {
+    return progress;
+  }
+
+  const groups = await prisma.task.groupBy({
+    by: ['projectId', 'status'],
+    where: { workspaceId: req.workspace.id, AND: [readable] },
+    _count: true
+  });
+
+  for (const group of groups) {
+    const counts = progress.get(group.projectId) || { total: 0, completed: 0 };
+    counts.total += group._count;
+    if (group.status === 'COMPLETED') {
+      counts.completed += group._count;
+    }
+    progress.set(group.projectId, counts);
+  }
+
+  return progress;
+};
+
+/**
+ * List the workspace's projects with their progress, and the Inbox's
+ * GET /api/v1/projects
+ */
+const getProjects = asyncHandler(async (req, res) => {
+  const [projects, progress] = await Promise.all([
+    prisma.project.findMany({
+      where: { workspaceId: req.workspace.id, archived: req.query.archived === 'true' },
+      orderBy: { name: 'asc' }
+    }),
+    progressByProject(req)
+  ]);
+
+  const empty = { total: 0, completed: 0 };
+
+  res.json({
+    success: true,
+    data: {
+      projects: projects.map((project) => ({
+        ...project,
+        progress: progress.get(project.id) || empty
+      })),
+      inbox: { progress: progress.get(null) || empty }
+    }
+  });
+});
+
+/**
+ * Get single project
+ * GET /api/v1/projects/:id
+ */
+const getProject = asyncHandler(async (req, res) => {
+  const project = await prisma.project.findFirst({
+    where: { id: req.params.id, workspaceId: req.workspace.id }
+  });
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: 'Project not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  const progress = await progressByProject(req);
+
+  res.json({
+    success: true,
+    data: { project: { ...project, progress: progress.get(project.id) || { total: 0, completed: 0 } } }
+  });
+});
+
+/**
+ * Create new project
+ * POST /api/v1/projects
+ */
+const createProject = asyncHandler(async (req, res) => {
+  const { name, color, description } = req.body;
+
+  const project = await prisma.project.create({
+    data: {
+      name,
+      color,
+      description,
+      workspaceId: req.workspace.id,
+      createdById: req.user.id
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Project created successfully.',
+    data: { project }
+  });
+});
+
+/**
+ * Update project (archiving included)
+ * PUT /api/v1/projects/:id
+ */
+const updateProject = asyncHandler(async (req, res) => {
+  const { name, color, description, archived } = req.body;
+
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (color !== undefined) updateData.color = color;
+  if (description !== undefined) updateData.description = description;
+  if (archived !== undefined) updateData.archived = archived;
+
+  const project = await prisma.project.update({
+    where: { id: req.project.id },
+    data: updateData
+  });
+
+  res.json({
+    success: true,
+    message: 'Project updated successfully.',
+    data: { project }
+  });
+});
+
+/**
+ * Delete project, moving its tasks to the Inbox
+ * DELETE /api/v1/projects/:id
+ */
+const deleteProject = asyncHandler(async (req, res) => {
+  const [moved] = await prisma.$transaction([
+    prisma.task.updateMany({
+      where: { projectId: req.project.id },
+      data: { projectId: null }
+    }),
+    prisma.project.delete({
+      where: { id: req.project.id }
+    })
+  ]);
+
+  res.json({
+    success: true,
+    message: `Project deleted successfully. ${moved.count} task(s) moved to the Inbox.`
+  });
+});
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+};
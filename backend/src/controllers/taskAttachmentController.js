@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getStorage } = require('../services/storage');
+const {
+  MAX_ATTACHMENTS_PER_TASK,
+  allowedTypes,
+  acceptedType,
+  cleanFileName,
+  deleteStoredFiles
+} = require('../services/attachmentService');
+
+// Attachment fields returned (the storage key stays internal)
+const attachmentSelect = {
+  id: true,
+  fileName: true,
+  contentType: true,
+  size: true,
+  createdAt: true,
+  uploadedBy: {
+    select: { id: true, email: true, firstName: true, lastName: true }
+  }
+};
+
+const attachmentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Attachment not found.',
+    code: 'NOT_FOUND'
+  });
+
+/**
+ * The task's attachments
+ * GET /api/v1/tasks/:id/attachments
+ */
+const getAttachments = asyncHandler(async (req, res) => {
+  const attachments = await prisma.taskAttachment.findMany({
+    where: { taskId: req.task.id },
+    orderBy: { createdAt: 'asc' },
+    select: attachmentSelect
+  });
+
+  res.json({
+    success: true,
+    data: { attachments }
+  });
+});
+
+/**
+ * Attach a file, sent as multipart/form-data in the `file` field
+ * POST /api/v1/tasks/:id/attachments
+ */
+const uploadAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Send the file as multipart/form-data in the "file" field.',
+      code: 'FILE_REQUIRED'
+    });
+  }
+
+  const contentType = acceptedType(req.file);
+
+  if (!contentType) {
+    return res.status(415).json({
+      success: false,
+      message: `Only files of these types, with matching content, can be attached: ${allowedTypes().join(', ')}.`,
+      code: 'UNSUPPORTED_FILE_TYPE'
+    });
+  }
+
+  const count = await prisma.taskAttachment.count({ where: { taskId: req.task.id } });
+
+  if (count >= MAX_ATTACHMENTS_PER_TASK) {
+    return res.status(400).json({
+      success: false,
+      message: `A task can have at most ${MAX_ATTACHMENTS_PER_TASK} attachments.`,
+      code: 'TOO_MANY_ATTACHMENTS'
+    });
+  }
+
+  const storageKey = `tasks/${req.task.id}/${crypto.randomBytes(16).toString('hex')}`;
+  await getStorage().put(storageKey, req.file.buffer, contentType);
+
+  let attachment;
+  try {
+    attachment = await prisma.taskAttachment.create({
+      data: {
+        fileName: cleanFileName(req.file.originalname),
+        contentType,
+        size: req.file.size,
+        storageKey,
+        taskId: req.task.id,
+        uploadedById: req.user.id
+      },
+      select: attachmentSelect
+    });
+  } catch (error) {
+    // Don't leave a stored file nothing refers to
+    await deleteStoredFiles([storageKey]);
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'File attached successfully.',
+    data: { attachment }
+  });
+});
+
+/**
+ * Download an attachment
+ * GET /api/v1/tasks/:id/attachments/:attachmentId/download
+ */
+const downloadAttachment = asyncHandler(async (req, res) => {
+  const attachment = await prisma.taskAttachment.findFirst({
+    where: { id: req.params.attachmentId, taskId: req.task.id }
+  });
+
+  if (!attachment) {
+    return attachmentNotFound(res);
+  }
+
+  let file;
+  try {
+    file = await getStorage().get(attachment.storageKey);
+  } catch (error) {
+    console.error(`Reading stored file ${attachment.storageKey} failed:`, error);
+    return attachmentNotFound(res);
+  }
+
+  res.attachment(attachment.fileName);
+  res.set({
+    'Content-Type': attachment.contentType,
+    'Content-Length': attachment.size,
+    'Cache-Control': 'private, no-store'
+  });
+
+  file.on('error', (error) => {
+    console.error(`Streaming stored file ${attachment.storageKey} failed:`, error);
+    res.destroy(error);
+  });
+  file.pipe(res);
+});
+
+/**
+ * Remove an attachment and its stored file
+ * DELETE /api/v1/tasks/:id/attachments/:attachmentId
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const attachment = await prisma.taskAttachment.findFirst({
+    where: { id: req.params.attachmentId, taskId: req.task.id }
+  });
+
+  if (!attachment) {
+    return attachmentNotFound(res);
+  }
+
+  await prisma.taskAttachment.delete({ where: { id: attachment.id } });
+  await deleteStoredFiles([attachment.storageKey]);
+
+  res.json({
+    success: true,
+    message: 'Attachment deleted successfully.'
+  });
+});
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
@@ -0,0 +1,154 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  commentInclude,
+  mentionedUsers,
+  notifyMentions,
+  commentThreads,
+  removeComment
+} = require('../services/commentService');
+
+const commentNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Comment not found.',
+    code: 'NOT_FOUND'
+  });
+
+/**
+ * Load one of the task's comments for its author, or answer 404 / 403
+ */
+const findOwnComment = async (req, res, verb) => {
+  const comment = await prisma.taskComment.findFirst({
+    where: { id: req.params.commentId, taskId: req.task.id, deletedAt: null }
+  });
+
+  if (!comment) {
+    commentNotFound(res);
+    return null;
+  }
+
+  if (comment.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: `Only its author can ${verb} this comment.`,
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * The task's comments, as threads of replies under top-level comments
+ * GET /api/v1/tasks/:id/comments
+ */
+const getComments = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { comments: await commentThreads(req.task.id) }
+  });
+});
+
+/**
+ * Comment on the task, or reply to a comment with `parentId`. Mentioned users
+ * who can see the task are notified.
+ * POST /api/v1/tasks/:id/comments
+ */
+const createComment = asyncHandler(async (req, res) => {
+  const { body, parentId } = req.body;
+  let threadId = null;
+
+  if (parentId) {
+    const parent = await prisma.taskComment.findFirst({
+      where: { id: parentId, taskId: req.task.id },
+      select: { id: true, parentId: true }
+    });
+
+    if (!parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'The comment to reply to was not found on this task.',
+        code: 'INVALID_PARENT'
+      });
+    }
+
+    // Replies to a reply join its thread
+    threadId = parent.parentId || parent.id;
+  }
+
+  const mentioned = await mentionedUsers(body, req.task, req.user);
+
+  const comment = await prisma.taskComment.create({
+    data: {
+      body,
+      parentId: threadId,
+      mentionIds: mentioned.map((user) => user.id),
+      taskId: req.task.id,
+      userId: req.user.id
+    },
+    include: commentInclude
+  });
+
+  await notifyMentions(mentioned, comment, req.task, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully.',
+    data: { comment }
+  });
+});
+
+/**
+ * Edit one of your comments. Users mentioned for the first time are notified.
+ * PUT /api/v1/tasks/:id/comments/:commentId
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const existing = await findOwnComment(req, res, 'edit');
+  if (!existing) return;
+
+  const mentioned = await mentionedUsers(req.body.body, req.task, req.user);
+  const newlyMentioned = mentioned.filter((user) => !existing.mentionIds.includes(user.id));
+
+  const comment = await prisma.taskComment.update({
+    where: { id: existing.id },
+    data: {
+      body: req.body.body,
+      mentionIds: [...existing.mentionIds, ...newlyMentioned.map((user) => user.id)],
+      editedAt: new Date()
+    },
+    include: commentInclude
+  });
+
+  await notifyMentions(newlyMentioned, comment, req.task, req.user);
+
+  res.json({
+    success: true,
+    message: 'Comment updated successfully.',
+    data: { comment }
+  });
+});
+
+/**
+ * Delete one of your comments
+ * DELETE /api/v1/tasks/:id/comments/:commentId
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const comment = await findOwnComment(req, res, 'delete');
+  if (!comment) return;
+
+  await removeComment(comment);
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully.'
+  });
+});
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
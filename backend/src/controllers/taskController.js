@@ -1,37 +1,41 @@
 const prisma = require('../config/db');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination, parseOrdering } = require('../utils/pagination');
+const { accessFilter, can } = require('../services/policy');
+const {
+  maxSubtaskDepth,
+  taskInclude,
+  isAssignableProject,
+  canNestUnder,
+  deleteTaskTree,
+  completeFinishedParents,
+  startSeries,
+  updateSeries,
+  createNextOccurrence,
+  openBlockerFilter,
+  taskDependencies
+} = require('../services/taskService');
+const { planTransition, recordTransition } = require('../services/workflow');
+const { rescheduleReminders } = require('../services/reminderService');
+
+const invalidProject = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Project not found in this workspace, or archived.',
+    code: 'INVALID_PROJECT'
+  });
 
-/**
- * Parse pagination parameters from query
- */
-const parsePagination = (query) => {
-  const page = parseInt(query.page) || 1;
-  const limit = parseInt(query.limit) || 10;
-  const skip = (page - 1) * limit;
-  return { page, limit, skip };
-};
-
-/**
- * Build ordering object from query
- */
-const parseOrdering = (query, allowedFields) => {
-  const orderBy = {};
-  const sortField = query.sort || 'createdAt';
-  const sortOrder = query.order === 'asc' ? 'asc' : 'desc';
-  
-  if (allowedFields.includes(sortField)) {
-    orderBy[sortField] = sortOrder;
-  } else {
-    orderBy.createdAt = 'desc';
-  }
-  
-  return orderBy;
-};
+const dueDateRequired = (res) =>
+  res.status(400).json({
+    success: false,
+    message: 'Repeating tasks need a due date.',
+    code: 'DUE_DATE_REQUIRED'
+  });
 
 /**
  * Build filter object from query
  */
-const parseFilters = (query) => {
+const parseFilters = (query, user) => {
   const filters = {};
 
   if (query.status) {
@@ -49,22 +53,41 @@ const parseFilters = (query) => {
     ];
   }
 
+  // "inbox" lists the tasks that are in no project
+  if (query.project) {
+    filters.projectId = query.project === 'inbox' ? null : query.project;
+  }
+
+  // "none" lists the top-level tasks
+  if (query.parent) {
+    filters.parentId = query.parent === 'none' ? null : query.parent;
+  }
+
+  // Blocked tasks wait for at least one open task
+  if (query.blocked === 'true') {
+    filters.blockedBy = { some: openBlockerFilter };
+  } else if (query.blocked === 'false') {
+    filters.blockedBy = { none: openBlockerFilter };
+  }
+
+  if (query.sharedWithMe === 'true') {
+    filters.shares = { some: { userId: user.id } };
+  }
+
   return filters;
 };
 
 /**
- * Get all tasks (Admin: all tasks, User: own tasks)
+ * Get the tasks the user may view
  * GET /api/v1/tasks
  */
 const getTasks = asyncHandler(async (req, res) => {
   const { page, limit, skip } = parsePagination(req.query);
   const orderBy = parseOrdering(req.query, ['title', 'status', 'priority', 'dueDate', 'createdAt']);
-  const filters = parseFilters(req.query);
-
-  // Admin can see all tasks, users see only their own
-  if (req.user.role !== 'ADMIN') {
-    filters.userId = req.user.id;
-  }
+  const filters = {
+    workspaceId: req.workspace.id,
+    AND: [parseFilters(req.query, req.user), accessFilter(req.user, 'task:read')]
+  };
 
   const [tasks, total] = await Promise.all([
     prisma.task.findMany({
@@ -72,16 +95,7 @@ const getTasks = asyncHandler(async (req, res) => {
       orderBy,
       skip,
       take: limit,
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true
-          }
-        }
-      }
+      include: taskInclude(req.user)
     }),
     prisma.task.count({ where: filters })
   ]);
@@ -101,46 +115,16 @@ const getTasks = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get single task
+ * Get single task, with the tasks blocking it and those it blocks
  * GET /api/v1/tasks/:id
  */
 const getTask = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const task = await prisma.task.findUnique({
-    where: { id },
-    include: {
-      user: {
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true
-        }
-      }
-    }
-  });
-
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found.',
-      code: 'NOT_FOUND'
-    });
-  }
-
-  // Check if user has access to this task
-  if (req.user.role !== 'ADMIN' && task.userId !== req.user.id) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to view this task.',
-      code: 'FORBIDDEN'
-    });
-  }
+  // Loaded and authorized by authorizeResource('task:read')
+  const dependencies = await taskDependencies(req.task, req.user);
 
   res.json({
     success: true,
-    data: { task }
+    data: { task: { ...req.task, dependencies } }
   });
 });
 
@@ -149,26 +133,74 @@ const getTask = asyncHandler(async (req, res) => {
  * POST /api/v1/tasks
  */
 const createTask = asyncHandler(async (req, res) => {
-  const { title, description, priority, dueDate } = req.body;
+  const {
+    title, description, priority, dueDate, parentId = null, completeWithSubtasks = false, recurrence, timezone
+  } = req.body;
+  let parent = null;
 
-  const task = await prisma.task.create({
-    data: {
-      title,
-      description,
-      priority: priority || 'MEDIUM',
-      dueDate: dueDate ? new Date(dueDate) : null,
-      userId: req.user.id
-    },
-    include: {
-      user: {
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true
-        }
-      }
+  if (recurrence && !dueDate) {
+    return dueDateRequired(res);
+  }
+
+  if (parentId) {
+    parent = await prisma.task.findFirst({
+      where: { id: parentId, workspaceId: req.workspace.id },
+      include: taskInclude(req.user)
+    });
+
+    if (!parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent task not found in this workspace.',
+        code: 'INVALID_PARENT'
+      });
     }
+
+    if (!can(req.user, 'task:update', parent)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add subtasks to this task.',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (!(await canNestUnder(parent))) {
+      return res.status(400).json({
+        success: false,
+        message: `Subtasks can be nested at most ${maxSubtaskDepth()} levels deep.`,
+        code: 'SUBTASK_DEPTH_EXCEEDED'
+      });
+    }
+  }
+
+  // Subtasks go to their parent's project unless another one is given
+  let { projectId } = req.body;
+  if (projectId === undefined) {
+    projectId = parent ? parent.projectId : null;
+  } else if (!(await isAssignableProject(projectId, req.workspace.id))) {
+    return invalidProject(res);
+  }
+
+  const data = {
+    title,
+    description,
+    priority: priority || 'MEDIUM',
+    dueDate: dueDate ? new Date(dueDate) : null,
+    userId: req.user.id,
+    workspaceId: req.workspace.id,
+    projectId,
+    parentId,
+    completeWithSubtasks
+  };
+
+  // A repeating task is the first occurrence of its series
+  if (recurrence) {
+    Object.assign(data, await startSeries(data, { rule: recurrence, timezone }, {}));
+  }
+
+  const task = await prisma.task.create({
+    data,
+    include: taskInclude(req.user)
   });
 
   res.status(201).json({
@@ -183,92 +215,110 @@ const createTask = asyncHandler(async (req, res) => {
  * PUT /api/v1/tasks/:id
  */
 const updateTask = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { title, description, priority, status, dueDate } = req.body;
-
-  // First check if task exists
-  const existingTask = await prisma.task.findUnique({
-    where: { id }
-  });
-
-  if (!existingTask) {
-    return res.status(404).json({
+  const {
+    title, description, priority, status, dueDate, projectId, completeWithSubtasks, comment, force,
+    recurrence, timezone, scope = 'this'
+  } = req.body;
+  const inSeries = !!req.task.seriesId;
+
+  // Occurrences of a repeating task share its repeat settings
+  if (inSeries && (recurrence !== undefined || timezone !== undefined) && scope !== 'future') {
+    return res.status(400).json({
       success: false,
-      message: 'Task not found.',
-      code: 'NOT_FOUND'
+      message: 'Repeat settings apply to all future occurrences (scope "future").',
+      code: 'SCOPE_REQUIRED'
     });
   }
 
-  // Check if user has access to this task
-  if (req.user.role !== 'ADMIN' && existingTask.userId !== req.user.id) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to update this task.',
-      code: 'FORBIDDEN'
-    });
+  const repeating = inSeries ? scope === 'future' && recurrence !== null : !!recurrence;
+  if (repeating && !(dueDate === undefined ? req.task.dueDate : dueDate)) {
+    return dueDateRequired(res);
+  }
+
+  if (projectId !== undefined && projectId !== req.task.projectId) {
+    if (!(await isAssignableProject(projectId, req.workspace.id))) {
+      return invalidProject(res);
+    }
   }
 
   const updateData = {};
   if (title !== undefined) updateData.title = title;
   if (description !== undefined) updateData.description = description;
   if (priority !== undefined) updateData.priority = priority;
-  if (status !== undefined) updateData.status = status;
   if (dueDate !== undefined) updateData.dueDate = dueDate ? new Date(dueDate) : null;
+  if (projectId !== undefined) updateData.projectId = projectId;
+  if (completeWithSubtasks !== undefined) updateData.completeWithSubtasks = completeWithSubtasks;
 
-  const task = await prisma.task.update({
-    where: { id },
-    data: updateData,
-    include: {
-      user: {
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true
-        }
-      }
+  // A status change is a transition of the task's workflow, as in POST /tasks/:id/transitions
+  const transitioning = status !== undefined && status !== req.task.status;
+
+  if (transitioning) {
+    const { rejection, data } = await planTransition(req.task, status, req.user, { comment, force });
+
+    if (rejection) {
+      return res.status(rejection.status).json({
+        success: false,
+        message: rejection.message,
+        code: rejection.code
+      });
     }
-  });
+
+    Object.assign(updateData, data);
+  }
+
+  // Changes to this occurrence only, or to the series too
+  if (inSeries && scope === 'future') {
+    Object.assign(updateData, await updateSeries(req.task, { rule: recurrence, timezone }, updateData));
+  } else if (!inSeries && recurrence) {
+    Object.assign(updateData, await startSeries(req.task, { rule: recurrence, timezone }, updateData));
+  }
+
+  const [task] = await prisma.$transaction([
+    prisma.task.update({
+      where: { id: req.task.id },
+      data: updateData,
+      include: taskInclude(req.user)
+    }),
+    ...(transitioning ? [recordTransition(req.task, status, req.user, comment)] : [])
+  ]);
+
+  // Reminders set relative to the due date follow it
+  if (dueDate !== undefined && task.dueDate?.getTime() !== req.task.dueDate?.getTime()) {
+    await rescheduleReminders(task);
+  }
+
+  // Turning the option on may complete the task, and finishing a subtask its parents
+  if (completeWithSubtasks && (await completeFinishedParents(task.id)).length > 0) {
+    task.status = 'COMPLETED';
+  }
+  if (transitioning && task.parentId) {
+    await completeFinishedParents(task.parentId);
+  }
+
+  // Completing an occurrence of a repeating task schedules the next one
+  const nextOccurrence = transitioning && task.status === 'COMPLETED'
+    ? await createNextOccurrence(task, req.user)
+    : null;
 
   res.json({
     success: true,
     message: 'Task updated successfully.',
-    data: { task }
+    data: { task, ...(nextOccurrence && { nextOccurrence }) }
   });
 });
 
 /**
- * Delete task
+ * Delete task with its subtasks
  * DELETE /api/v1/tasks/:id
  */
 const deleteTask = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const task = await prisma.task.findUnique({
-    where: { id }
-  });
+  await deleteTaskTree(req.task.id);
 
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found.',
-      code: 'NOT_FOUND'
-    });
-  }
-
-  // Check if user has access to this task
-  if (req.user.role !== 'ADMIN' && task.userId !== req.user.id) {
-    return res.status(403).json({
-      success: false,
-      message: 'You do not have permission to delete this task.',
-      code: 'FORBIDDEN'
-    });
+  // The remaining subtasks may now all be finished
+  if (req.task.parentId) {
+    await completeFinishedParents(req.task.parentId);
   }
 
-  await prisma.task.delete({
-    where: { id }
-  });
-
   res.json({
     success: true,
     message: 'Task deleted successfully.'
@@ -276,36 +326,32 @@ const deleteTask = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get task statistics (Admin only)
+ * Get task statistics for the workspace
  * GET /api/v1/tasks/stats
  */
 const getTaskStats = asyncHandler(async (req, res) => {
-  if (req.user.role !== 'ADMIN') {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required.',
-      code: 'ADMIN_REQUIRED'
-    });
-  }
+  const where = { workspaceId: req.workspace.id };
 
-  const [statusStats, priorityStats, totalTasks, userCount] = await Promise.all([
+  const [statusStats, priorityStats, totalTasks, memberCount] = await Promise.all([
     prisma.task.groupBy({
       by: ['status'],
+      where,
       _count: true
     }),
     prisma.task.groupBy({
       by: ['priority'],
+      where,
       _count: true
     }),
-    prisma.task.count(),
-    prisma.user.count()
+    prisma.task.count({ where }),
+    prisma.workspaceMember.count({ where })
   ]);
 
   res.json({
     success: true,
     data: {
       totalTasks,
-      totalUsers: userCount,
+      totalMembers: memberCount,
       byStatus: statusStats,
       byPriority: priorityStats
     }
@@ -0,0 +1,86 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { can } = require('../services/policy');
+const { taskInclude, wouldCreateCycle, taskDependencies } = require('../services/taskService');
+
+/**
+ * Mark the task as blocked by another task of its workspace
+ * POST /api/v1/tasks/:id/dependencies
+ */
+const addDependency = asyncHandler(async (req, res) => {
+  const { blockerId } = req.body;
+
+  const blocker = await prisma.task.findFirst({
+    where: { id: blockerId, workspaceId: req.task.workspaceId },
+    include: taskInclude(req.user)
+  });
+
+  // Tasks the user may not read are reported as missing
+  if (!blocker || !can(req.user, 'task:read', blocker)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Blocking task not found in this workspace.',
+      code: 'INVALID_DEPENDENCY'
+    });
+  }
+
+  if (await wouldCreateCycle(req.task.id, blocker.id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A task cannot wait for itself or for a task that waits for it.',
+      code: 'DEPENDENCY_CYCLE'
+    });
+  }
+
+  const existing = await prisma.taskDependency.findUnique({
+    where: { taskId_blockerId: { taskId: req.task.id, blockerId: blocker.id } },
+    select: { id: true }
+  });
+
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'This task is already blocked by that task.',
+      code: 'DEPENDENCY_EXISTS'
+    });
+  }
+
+  await prisma.taskDependency.create({
+    data: { taskId: req.task.id, blockerId: blocker.id }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Dependency added successfully.',
+    data: { dependencies: await taskDependencies(req.task, req.user) }
+  });
+});
+
+/**
+ * Stop the task from being blocked by another task
+ * DELETE /api/v1/tasks/:id/dependencies/:blockerId
+ */
+const removeDependency = asyncHandler(async (req, res) => {
+  const { count } = await prisma.taskDependency.deleteMany({
+    where: { taskId: req.task.id, blockerId: req.params.blockerId }
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Dependency not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Dependency removed successfully.',
+    data: { dependencies: await taskDependencies(req.task, req.user) }
+  });
+});
+
+module.exports = {
+  addDependency,
+  removeDependency
+};
@@ -0,0 +1,135 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { MAX_REMINDERS_PER_TASK, fireAtFor } = require('../services/reminderService');
+const { isAllowedWebhookUrl } = require('../services/webhookService');
+
+// Reminder fields returned to their user
+const reminderSelect = {
+  id: true,
+  remindAt: true,
+  offsetMinutes: true,
+  channels: true,
+  webhookUrl: true,
+  fireAt: true,
+  sentAt: true,
+  deliveredChannels: true,
+  attempts: true,
+  lastError: true,
+  createdAt: true
+};
+
+/**
+ * The current user's reminders of the task
+ * GET /api/v1/tasks/:id/reminders
+ */
+const getReminders = asyncHandler(async (req, res) => {
+  const reminders = await prisma.taskReminder.findMany({
+    where: { taskId: req.task.id, userId: req.user.id },
+    orderBy: { createdAt: 'asc' },
+    select: reminderSelect
+  });
+
+  res.json({
+    success: true,
+    data: { reminders }
+  });
+});
+
+/**
+ * Remind the current user of the task at a fixed time (`remindAt`) or some
+ * minutes before it is due (`offsetMinutes`)
+ * POST /api/v1/tasks/:id/reminders
+ */
+const createReminder = asyncHandler(async (req, res) => {
+  const { remindAt, offsetMinutes, channels = ['IN_APP'], webhookUrl } = req.body;
+
+  if ((remindAt === undefined) === (offsetMinutes === undefined)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Give either remindAt or offsetMinutes.',
+      code: 'INVALID_REMINDER'
+    });
+  }
+
+  if (channels.includes('WEBHOOK') && !webhookUrl) {
+    return res.status(400).json({
+      success: false,
+      message: 'A webhook URL is required for the WEBHOOK channel.',
+      code: 'WEBHOOK_URL_REQUIRED'
+    });
+  }
+
+  if (channels.includes('WEBHOOK') && !(await isAllowedWebhookUrl(webhookUrl))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Webhooks can only be sent to allowed hosts with public addresses.',
+      code: 'WEBHOOK_URL_NOT_ALLOWED'
+    });
+  }
+
+  const count = await prisma.taskReminder.count({
+    where: { taskId: req.task.id, userId: req.user.id }
+  });
+
+  if (count >= MAX_REMINDERS_PER_TASK) {
+    return res.status(400).json({
+      success: false,
+      message: `A task can have at most ${MAX_REMINDERS_PER_TASK} reminders per user.`,
+      code: 'TOO_MANY_REMINDERS'
+    });
+  }
+
+  const timing = {
+    remindAt: remindAt ? new Date(remindAt) : null,
+    offsetMinutes: offsetMinutes === undefined ? null : offsetMinutes
+  };
+
+  const reminder = await prisma.taskReminder.create({
+    data: {
+      ...timing,
+      channels: [...new Set(channels)],
+      webhookUrl: channels.includes('WEBHOOK') ? webhookUrl : null,
+      fireAt: fireAtFor(timing, req.task.dueDate),
+      sentAt: null,
+      lockedUntil: null,
+      taskId: req.task.id,
+      userId: req.user.id
+    },
+    select: reminderSelect
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reminder created successfully.',
+    data: { reminder }
+  });
+});
+
+/**
+ * Delete one of the current user's reminders of the task
+ * DELETE /api/v1/tasks/:id/reminders/:reminderId
+ */
+const deleteReminder = asyncHandler(async (req, res) => {
+  const { count } = await prisma.taskReminder.deleteMany({
+    where: { id: req.params.reminderId, taskId: req.task.id, userId: req.user.id }
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Reminder not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Reminder deleted successfully.'
+  });
+});
+
+module.exports = {
+  getReminders,
+  createReminder,
+  deleteReminder
+};
@@ -0,0 +1,144 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { can } = require('../services/policy');
+
+const shareSelect = {
+  id: true,
+  permission: true,
+  createdAt: true,
+  updatedAt: true,
+  user: {
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true
+    }
+  }
+};
+
+/**
+ * List the users a task is shared with
+ * GET /api/v1/tasks/:id/shares
+ */
+const getShares = asyncHandler(async (req, res) => {
+  const shares = await prisma.taskShare.findMany({
+    where: { taskId: req.task.id },
+    orderBy: { createdAt: 'asc' },
+    select: shareSelect
+  });
+
+  res.json({
+    success: true,
+    data: { shares }
+  });
+});
+
+/**
+ * Share a task with a user by email, or change their permission
+ * POST /api/v1/tasks/:id/shares
+ */
+const shareTask = asyncHandler(async (req, res) => {
+  const { email, permission = 'VIEW' } = req.body;
+
+  const user = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+    select: { id: true, role: true }
+  });
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'No user with this email address.',
+      code: 'USER_NOT_FOUND'
+    });
+  }
+
+  if (user.id === req.task.userId) {
+    return res.status(400).json({
+      success: false,
+      message: 'A task cannot be shared with its owner.',
+      code: 'CANNOT_SHARE_WITH_OWNER'
+    });
+  }
+
+  const member = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId: req.task.workspaceId, userId: user.id } },
+    select: { id: true, role: true }
+  });
+
+  if (!member) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tasks can only be shared with members of their workspace.',
+      code: 'NOT_A_MEMBER'
+    });
+  }
+
+  // Shares only extend what the member's role allows on their own tasks
+  const grantee = { ...user, workspaceRole: member.role };
+  const sharedTask = { ...req.task, shares: [{ userId: user.id, permission }] };
+
+  if (permission === 'EDIT' && !can(grantee, 'task:update', sharedTask)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Their role does not let them edit tasks. Share it with VIEW permission instead, or change their role first.',
+      code: 'EDIT_NOT_ALLOWED'
+    });
+  }
+
+  const where = { taskId_userId: { taskId: req.task.id, userId: user.id } };
+  const existing = await prisma.taskShare.findUnique({ where, select: { id: true } });
+
+  const share = existing
+    ? await prisma.taskShare.update({ where, data: { permission }, select: shareSelect })
+    : await prisma.taskShare.create({
+      data: { taskId: req.task.id, userId: user.id, permission },
+      select: shareSelect
+    });
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    message: existing ? 'Share permission updated successfully.' : 'Task shared successfully.',
+    data: { share }
+  });
+});
+
+/**
+ * Stop sharing a task with a user. Users may also remove their own access.
+ * DELETE /api/v1/tasks/:id/shares/:userId
+ */
+const revokeShare = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (userId !== req.user.id && !can(req.user, 'task:share', req.task)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to share this task.',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  const { count } = await prisma.taskShare.deleteMany({
+    where: { taskId: req.task.id, userId }
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task is not shared with this user.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Share revoked successfully.'
+  });
+});
+
+module.exports = {
+  getShares,
+  shareTask,
+  revokeShare
+};
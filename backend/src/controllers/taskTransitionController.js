@@ -0,0 +1,81 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { taskInclude, completeFinishedParents, createNextOccurrence } = require('../services/taskService');
+const {
+  workflowFor,
+  availableTransitions,
+  planTransition,
+  recordTransition
+} = require('../services/workflow');
+
+/**
+ * The task's current status, the transitions it can take and its status history
+ * GET /api/v1/tasks/:id/transitions
+ */
+const getTransitions = asyncHandler(async (req, res) => {
+  const [workflow, history] = await Promise.all([
+    workflowFor(req.task),
+    prisma.taskTransition.findMany({
+      where: { taskId: req.task.id },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        user: { select: { id: true, firstName: true, lastName: true } }
+      }
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      status: req.task.status,
+      available: availableTransitions(workflow, req.task),
+      history
+    }
+  });
+});
+
+/**
+ * Move the task to another status, as its workflow allows
+ * POST /api/v1/tasks/:id/transitions
+ */
+const createTransition = asyncHandler(async (req, res) => {
+  const { status, comment, force } = req.body;
+
+  const { rejection, data } = await planTransition(req.task, status, req.user, { comment, force });
+
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      message: rejection.message,
+      code: rejection.code
+    });
+  }
+
+  const [task] = await prisma.$transaction([
+    prisma.task.update({
+      where: { id: req.task.id },
+      data,
+      include: taskInclude(req.user)
+    }),
+    recordTransition(req.task, status, req.user, comment)
+  ]);
+
+  // Finishing a subtask may complete its parents
+  if (task.parentId) {
+    await completeFinishedParents(task.parentId);
+  }
+
+  // As in PUT /tasks/:id, completing an occurrence of a repeating task schedules the next one
+  const nextOccurrence = status === 'COMPLETED' ? await createNextOccurrence(task, req.user) : null;
+
+  res.status(201).json({
+    success: true,
+    message: `Task moved to ${status}.`,
+    data: { task, ...(nextOccurrence && { nextOccurrence }) }
+  });
+});
+
+module.exports = {
+  getTransitions,
+  createTransition
+};
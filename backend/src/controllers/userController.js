@@ -0,0 +1,282 @@
+const ms = require('ms');
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parsePagination, parseOrdering } = require('../utils/pagination');
+const { resetLoginFailures } = require('../services/loginThrottle');
+const { revokeAllUserTokens } = require('../services/tokenService');
+const { createUserToken } = require('../services/userTokenService');
+const { sendPasswordResetEmail } = require('../services/emails');
+const { unlessLastActiveAdmin } = require('../services/userService');
+
+// Fields of a user visible to admins
+const userSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  mfaEnabledAt: true,
+  passwordResetRequiredAt: true,
+  createdAt: true,
+  updatedAt: true,
+  lastLoginAt: true
+};
+
+const toAdminUser = ({ mfaEnabledAt, ...user }) => ({
+  ...user,
+  mfaEnabled: !!mfaEnabledAt
+});
+
+/**
+ * Build filter object from query
+ */
+const parseFilters = (query) => {
+  const filters = {};
+
+  if (query.role) {
+    filters.role = query.role;
+  }
+
+  if (query.isActive !== undefined) {
+    filters.isActive = query.isActive === 'true';
+  }
+
+  if (query.search) {
+    filters.OR = [
+      { email: { contains: query.search, mode: 'insensitive' } },
+      { firstName: { contains: query.search, mode: 'insensitive' } },
+      { lastName: { contains: query.search, mode: 'insensitive' } }
+    ];
+  }
+
+  return filters;
+};
+
+/**
+ * Answer 404 if the user in the route does not exist.
+ * Returns the user, or null when the request was rejected.
+ */
+const findUser = async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.params.id },
+    select: userSelect
+  });
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  return user;
+};
+
+/**
+ * Update a user unless that leaves no active admin.
+ * Returns the updated user, or null (after answering 409) when rejected.
+ */
+const updateUnlessLastAdmin = async (user, data, res) => {
+  const updatedUser = await unlessLastActiveAdmin(user, (client) =>
+    client.user.update({ where: { id: user.id }, data, select: userSelect })
+  );
+
+  if (!updatedUser) {
+    res.status(409).json({
+      success: false,
+      message: 'The last active admin cannot be demoted or deactivated.',
+      code: 'LAST_ADMIN'
+    });
+  }
+
+  return updatedUser;
+};
+
+/**
+ * List users (with pagination, filtering and search)
+ * GET /api/v1/users
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const orderBy = parseOrdering(req.query, ['email', 'firstName', 'lastName', 'role', 'createdAt', 'lastLoginAt']);
+  const filters = parseFilters(req.query);
+
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({
+      where: filters,
+      orderBy,
+      skip,
+      take: limit,
+      select: userSelect
+    }),
+    prisma.user.count({ where: filters })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      users: users.map(toAdminUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * Get a user with their task counts
+ * GET /api/v1/users/:id
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  if (!user) return;
+
+  const statusCounts = await prisma.task.groupBy({
+    by: ['status'],
+    where: { userId: user.id },
+    _count: true
+  });
+
+  const byStatus = {};
+  let total = 0;
+  for (const { status, _count } of statusCounts) {
+    byStatus[status] = _count;
+    total += _count;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        ...toAdminUser(user),
+        tasks: { total, byStatus }
+      }
+    }
+  });
+});
+
+/**
+ * Change a user's role
+ * PATCH /api/v1/users/:id/role
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  if (!user) return;
+
+  const updatedUser = await updateUnlessLastAdmin(user, { role: req.body.role }, res);
+  if (!updatedUser) return;
+
+  res.json({
+    success: true,
+    message: 'User role updated successfully.',
+    data: { user: toAdminUser(updatedUser) }
+  });
+});
+
+/**
+ * Deactivate a user and end all of their sessions
+ * POST /api/v1/users/:id/deactivate
+ */
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  if (!user) return;
+
+  const updatedUser = await updateUnlessLastAdmin(user, { isActive: false }, res);
+  if (!updatedUser) return;
+
+  await revokeAllUserTokens(user.id);
+
+  res.json({
+    success: true,
+    message: 'User deactivated successfully.',
+    data: { user: toAdminUser(updatedUser) }
+  });
+});
+
+/**
+ * Reactivate a deactivated user
+ * POST /api/v1/users/:id/reactivate
+ */
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  if (!user) return;
+
+  const updatedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: { isActive: true },
+    select: userSelect
+  });
+
+  res.json({
+    success: true,
+    message: 'User reactivated successfully.',
+    data: { user: toAdminUser(updatedUser) }
+  });
+});
+
+/**
+ * Require a password reset: block password login, end all sessions
+ * and email the user a reset link
+ * POST /api/v1/users/:id/force-password-reset
+ */
+const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  if (!user) return;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { passwordResetRequiredAt: new Date() }
+  });
+
+  await revokeAllUserTokens(user.id);
+
+  const { token, expiresAt } = await createUserToken(
+    user.id,
+    'PASSWORD_RESET',
+    ms(process.env.PASSWORD_RESET_EXPIRES_IN || '1h')
+  );
+
+  try {
+    await sendPasswordResetEmail(user, token, expiresAt);
+  } catch (error) {
+    // The user can still request a new link through forgot-password
+    console.error('Failed to send password reset email:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Password reset required. The user has been emailed a reset link.'
+  });
+});
+
+/**
+ * Unlock an account locked by failed login attempts (Admin only)
+ * POST /api/v1/users/:id/unlock
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await findUser(req, res);
+  if (!user) return;
+
+  await resetLoginFailures(user.email);
+
+  res.json({
+    success: true,
+    message: 'Account unlocked successfully.'
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  unlockUser
+};
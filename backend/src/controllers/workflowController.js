@@ -0,0 +1,68 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  DEFAULT_WORKFLOW,
+  GUARDS,
+  EFFECTS,
+  normalizeWorkflow
+} = require('../services/workflow');
+
+/**
+ * The workspace's status workflow, and the guards and effects transitions can use
+ * GET /api/v1/workspaces/:workspaceId/workflow
+ */
+const getWorkflow = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      workflow: req.workspace.workflow || DEFAULT_WORKFLOW,
+      isDefault: !req.workspace.workflow,
+      guards: Object.keys(GUARDS),
+      effects: Object.keys(EFFECTS)
+    }
+  });
+});
+
+/**
+ * Replace the workspace's status workflow (`null` restores the default)
+ * PUT /api/v1/workspaces/:workspaceId/workflow
+ */
+const updateWorkspaceWorkflow = asyncHandler(async (req, res) => {
+  const workflow = req.body.workflow ? normalizeWorkflow(req.body.workflow) : null;
+
+  await prisma.workspace.update({
+    where: { id: req.workspace.id },
+    data: { workflow }
+  });
+
+  res.json({
+    success: true,
+    message: workflow ? 'Workflow updated successfully.' : 'Default workflow restored.',
+    data: { workflow: workflow || DEFAULT_WORKFLOW, isDefault: !workflow }
+  });
+});
+
+/**
+ * Give the project's tasks their own status workflow (`null` to use the workspace's)
+ * PUT /api/v1/projects/:id/workflow
+ */
+const updateProjectWorkflow = asyncHandler(async (req, res) => {
+  const workflow = req.body.workflow ? normalizeWorkflow(req.body.workflow) : null;
+
+  const project = await prisma.project.update({
+    where: { id: req.project.id },
+    data: { workflow }
+  });
+
+  res.json({
+    success: true,
+    message: workflow ? 'Project workflow updated successfully.' : 'Project now uses the workspace workflow.',
+    data: { project }
+  });
+});
+
+module.exports = {
+  getWorkflow,
+  updateWorkspaceWorkflow,
+  updateProjectWorkflow
+};
@@ -0,0 +1,328 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { can } = require('../services/policy');
+const { sendWorkspaceInvitationEmail } = require('../services/emails');
+const workspaceService = require('../services/workspaceService');
+const { deletingAttachments } = require('../services/attachmentService');
+
+const memberSelect = {
+  role: true,
+  createdAt: true,
+  user: {
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true
+    }
+  }
+};
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true
+};
+
+const lastAdmin = (res) =>
+  res.status(409).json({
+    success: false,
+    message: 'A workspace must keep at least one admin.',
+    code: 'LAST_WORKSPACE_ADMIN'
+  });
+
+/**
+ * Answer 404 if the user in the route is not a member of the workspace.
+ * Returns the member, or null when the request was rejected.
+ */
+const findMember = async (req, res) => {
+  const member = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId: req.workspace.id, userId: req.params.userId } }
+  });
+
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      message: 'Member not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  return member;
+};
+
+/**
+ * List the workspaces the user belongs to
+ * GET /api/v1/workspaces
+ */
+const getWorkspaces = asyncHandler(async (req, res) => {
+  const memberships = await prisma.workspaceMember.findMany({
+    where: { userId: req.user.id },
+    orderBy: { createdAt: 'asc' },
+    include: { workspace: true }
+  });
+
+  res.json({
+    success: true,
+    data: { workspaces: memberships.map((membership) => workspaceService.toWorkspace(membership, req.user.role)) }
+  });
+});
+
+/**
+ * Create a workspace, with the user as its admin
+ * POST /api/v1/workspaces
+ */
+const createWorkspace = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.createWorkspace(req.body.name, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Workspace created successfully.',
+    data: { workspace }
+  });
+});
+
+/**
+ * Rename a workspace
+ * PATCH /api/v1/workspaces/:workspaceId
+ */
+const updateWorkspace = asyncHandler(async (req, res) => {
+  const workspace = await prisma.workspace.update({
+    where: { id: req.workspace.id },
+    data: { name: req.body.name }
+  });
+
+  res.json({
+    success: true,
+    message: 'Workspace updated successfully.',
+    data: { workspace: workspaceService.toWorkspace({ workspace, role: req.workspace.role }, req.user.role) }
+  });
+});
+
+/**
+ * Delete a workspace with all its tasks
+ * DELETE /api/v1/workspaces/:workspaceId
+ */
+const deleteWorkspace = asyncHandler(async (req, res) => {
+  await deletingAttachments({ task: { workspaceId: req.workspace.id } }, () =>
+    prisma.workspace.delete({
+      where: { id: req.workspace.id }
+    })
+  );
+
+  res.json({
+    success: true,
+    message: 'Workspace deleted successfully.'
+  });
+});
+
+/**
+ * List the members of a workspace
+ * GET /api/v1/workspaces/:workspaceId/members
+ */
+const getMembers = asyncHandler(async (req, res) => {
+  const members = await prisma.workspaceMember.findMany({
+    where: { workspaceId: req.workspace.id },
+    orderBy: { createdAt: 'asc' },
+    select: memberSelect
+  });
+
+  res.json({
+    success: true,
+    data: { members }
+  });
+});
+
+/**
+ * Change a member's role
+ * PATCH /api/v1/workspaces/:workspaceId/members/:userId
+ */
+const updateMember = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  const member = await findMember(req, res);
+  if (!member) return;
+
+  const updated = await workspaceService.unlessLastAdmin(member, (tx) =>
+    tx.workspaceMember.update({
+      where: { id: member.id },
+      data: { role },
+      select: memberSelect
+    })
+  );
+
+  if (!updated) {
+    return lastAdmin(res);
+  }
+
+  res.json({
+    success: true,
+    message: 'Member role updated successfully.',
+    data: { member: updated }
+  });
+});
+
+/**
+ * Remove a member from a workspace. Members may also leave on their own.
+ * DELETE /api/v1/workspaces/:workspaceId/members/:userId
+ */
+const removeMember = asyncHandler(async (req, res) => {
+  if (req.params.userId !== req.user.id && !can(req.user, 'workspace:manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action.',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  const member = await findMember(req, res);
+  if (!member) return;
+
+  if (!(await workspaceService.removeMember(member))) {
+    return lastAdmin(res);
+  }
+
+  res.json({
+    success: true,
+    message: member.userId === req.user.id
+      ? 'You left the workspace.'
+      : 'Member removed successfully.'
+  });
+});
+
+/**
+ * List the pending invitations of a workspace
+ * GET /api/v1/workspaces/:workspaceId/invitations
+ */
+const getInvitations = asyncHandler(async (req, res) => {
+  const invitations = await prisma.workspaceInvitation.findMany({
+    where: { workspaceId: req.workspace.id, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' },
+    select: invitationSelect
+  });
+
+  res.json({
+    success: true,
+    data: { invitations }
+  });
+});
+
+/**
+ * Invite someone to a workspace by email
+ * POST /api/v1/workspaces/:workspaceId/invitations
+ */
+const inviteMember = asyncHandler(async (req, res) => {
+  const email = req.body.email.toLowerCase();
+  const { role = 'MEMBER' } = req.body;
+
+  const existingMember = await prisma.workspaceMember.findFirst({
+    where: { workspaceId: req.workspace.id, user: { email } },
+    select: { id: true }
+  });
+
+  if (existingMember) {
+    return res.status(409).json({
+      success: false,
+      message: 'This user is already a member of the workspace.',
+      code: 'ALREADY_MEMBER'
+    });
+  }
+
+  const { invitation, token } = await workspaceService.createInvitation({
+    workspaceId: req.workspace.id,
+    email,
+    role,
+    invitedById: req.user.id
+  });
+
+  try {
+    await sendWorkspaceInvitationEmail(email, req.user, req.workspace, token, invitation.expiresAt);
+  } catch (error) {
+    // The invitation can be sent again, which replaces this one
+    console.error('Failed to send workspace invitation email:', error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${email}.`,
+    data: {
+      invitation: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt
+      }
+    }
+  });
+});
+
+/**
+ * Withdraw a pending invitation
+ * DELETE /api/v1/workspaces/:workspaceId/invitations/:invitationId
+ */
+const cancelInvitation = asyncHandler(async (req, res) => {
+  const { count } = await prisma.workspaceInvitation.deleteMany({
+    where: { id: req.params.invitationId, workspaceId: req.workspace.id }
+  });
+
+  if (count === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found.',
+      code: 'NOT_FOUND'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Invitation cancelled successfully.'
+  });
+});
+
+/**
+ * Join a workspace through an emailed invitation
+ * POST /api/v1/workspaces/invitations/accept
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await workspaceService.findInvitation(req.body.token);
+
+  if (!invitation) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired invitation link.',
+      code: 'INVALID_INVITATION'
+    });
+  }
+
+  if (invitation.email !== req.user.email) {
+    return res.status(403).json({
+      success: false,
+      message: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+      code: 'INVITATION_EMAIL_MISMATCH'
+    });
+  }
+
+  const workspace = await workspaceService.acceptInvitation(invitation, req.user);
+
+  res.json({
+    success: true,
+    message: `You joined ${workspace.name}.`,
+    data: { workspace }
+  });
+});
+
+module.exports = {
+  getWorkspaces,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  getMembers,
+  updateMember,
+  removeMember,
+  getInvitations,
+  inviteMember,
+  cancelInvitation,
+  acceptInvitation
+};
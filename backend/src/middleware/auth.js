@@ -1,14 +1,92 @@
-const jwt = require('jsonwebtoken');
 const prisma = require('../config/db');
+const { verifyAccessToken, isAccessTokenRevoked } = require('../services/tokenService');
+const { isMfaRequired } = require('../services/mfaService');
+const {
+  isPersonalAccessToken,
+  findPersonalAccessToken,
+  touchPersonalAccessToken
+} = require('../services/personalTokenService');
+const { ACCESS_COOKIE } = require('../services/authCookies');
 
 /**
- * Verify JWT token and attach user to request
+ * Load the user a token was issued to
+ */
+const findTokenUser = async (userId) => {
+  const record = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      role: true,
+      isActive: true,
+      emailVerified: true,
+      mfaEnabledAt: true,
+      tokensValidAfter: true
+    }
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  const { tokensValidAfter, mfaEnabledAt, ...user } = record;
+
+  return {
+    user: { ...user, mfaEnabled: !!mfaEnabledAt },
+    tokensValidAfter
+  };
+};
+
+/**
+ * Resolve a personal access token (`pat_...`) to its user.
+ * Returns null if the token is invalid, expired or revoked.
+ */
+const resolvePersonalToken = async (token) => {
+  const accessToken = await findPersonalAccessToken(token);
+  const tokenUser = accessToken && (await findTokenUser(accessToken.userId));
+
+  if (!tokenUser) {
+    return null;
+  }
+
+  // "Log out everywhere" also revokes personal access tokens created before it
+  const { user, tokensValidAfter } = tokenUser;
+  if (tokensValidAfter && accessToken.createdAt < tokensValidAfter) {
+    return null;
+  }
+
+  await touchPersonalAccessToken(accessToken);
+
+  return {
+    user,
+    auth: { type: 'personal', tokenId: accessToken.id, scopes: accessToken.scopes }
+  };
+};
+
+/**
+ * Bearer token from the Authorization header, or else the access token
+ * cookie of a cookie session
+ */
+const getRequestToken = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader) {
+    return authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  }
+
+  return req.cookies?.[ACCESS_COOKIE] || null;
+};
+
+/**
+ * Verify JWT token or personal access token and attach user to request
  */
 const authenticate = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
+    const token = getRequestToken(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token) {
       return res.status(401).json({
         success: false,
         message: 'Access denied. No token provided.',
@@ -16,24 +94,36 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const token = authHeader.split(' ')[1];
+    if (isPersonalAccessToken(token)) {
+      const resolved = await resolvePersonalToken(token);
+
+      if (!resolved) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired access token.',
+          code: 'INVALID_TOKEN'
+        });
+      }
+
+      if (!resolved.user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: 'Account is deactivated.',
+          code: 'ACCOUNT_DEACTIVATED'
+        });
+      }
+
+      req.user = resolved.user;
+      req.auth = resolved.auth;
+      return next();
+    }
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          role: true,
-          isActive: true
-        }
-      });
+      const tokenUser = await findTokenUser(decoded.userId);
 
-      if (!user) {
+      if (!tokenUser) {
         return res.status(401).json({
           success: false,
           message: 'Invalid token. User not found.',
@@ -41,6 +131,8 @@ const authenticate = async (req, res, next) => {
         });
       }
 
+      const { user, tokensValidAfter } = tokenUser;
+
       if (!user.isActive) {
         return res.status(403).json({
           success: false,
@@ -49,7 +141,16 @@ const authenticate = async (req, res, next) => {
         });
       }
 
+      if (await isAccessTokenRevoked(decoded, tokensValidAfter)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked.',
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
       req.user = user;
+      req.auth = decoded;
       next();
     } catch (jwtError) {
       if (jwtError.name === 'TokenExpiredError') {
@@ -101,36 +202,105 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Require a scope when the request uses a personal access token.
+ * Session (JWT) authentication is not scope-limited.
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.auth?.type !== 'personal' || req.auth.scopes.includes(scope)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: `This access token is missing the "${scope}" scope.`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  };
+};
+
+/**
+ * Reject personal access tokens on account-management routes,
+ * so a leaked token cannot mint new credentials or change the account
+ */
+const requireSession = (req, res, next) => {
+  if (req.auth?.type !== 'personal') {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'This endpoint cannot be used with a personal access token.',
+    code: 'SESSION_REQUIRED'
+  });
+};
+
+/**
+ * Block users who have not verified their email address.
+ * Enforced only when REQUIRE_EMAIL_VERIFICATION=true.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user?.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address to continue.',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+/**
+ * Block users whose role requires two-factor authentication (MFA_REQUIRED_ROLES)
+ * until they have enrolled. Enrollment endpoints stay reachable.
+ */
+const requireMfaEnrollment = (req, res, next) => {
+  if (!req.user || req.user.mfaEnabled || !isMfaRequired(req.user.role)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Two-factor authentication must be enabled for your account.',
+    code: 'MFA_ENROLLMENT_REQUIRED'
+  });
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
+    const token = getRequestToken(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token) {
       return next();
     }
 
-    const token = authHeader.split(' ')[1];
+    if (isPersonalAccessToken(token)) {
+      const resolved = await resolvePersonalToken(token);
+
+      if (resolved && resolved.user.isActive) {
+        req.user = resolved.user;
+        req.auth = resolved.auth;
+      }
+      return next();
+    }
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId },
-        select: {
-          id: true,
-          email: true,
-          firstName: true,
-          lastName: true,
-          role: true,
-          isActive: true
-        }
-      });
+      const tokenUser = await findTokenUser(decoded.userId);
 
-      if (user && user.isActive) {
-        req.user = user;
+      if (tokenUser && tokenUser.user.isActive) {
+        const { user, tokensValidAfter } = tokenUser;
+
+        if (!(await isAccessTokenRevoked(decoded, tokensValidAfter))) {
+          req.user = user;
+          req.auth = decoded;
+        }
       }
     } catch (jwtError) {
       // Ignore token errors in optional auth
@@ -145,5 +315,9 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticate,
   authorize,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
+  requireMfaEnrollment,
   optionalAuth
 };
@@ -0,0 +1,28 @@
+const { usesAuthCookies, hasValidCsrfToken } = require('../services/authCookies');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Require a matching CSRF token on state-changing requests authenticated by
+ * cookies. Requests with an Authorization header are not sent automatically
+ * by browsers, so they need no CSRF token.
+ */
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !usesAuthCookies(req)) {
+    return next();
+  }
+
+  if (!hasValidCsrfToken(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Missing or invalid CSRF token.',
+      code: 'CSRF_TOKEN_INVALID'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  csrfProtection
+};
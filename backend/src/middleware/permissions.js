@@ -0,0 +1,97 @@
+const prisma = require('../config/db');
+const { asyncHandler } = require('./errorHandler');
+const { can, canSometimes } = require('../services/policy');
+const { taskInclude } = require('../services/taskService');
+
+// How to load each kind of resource from the route's :id, for the current user
+// (only within the request's workspace, see middleware/workspace.js)
+const resources = {
+  task: {
+    label: 'Task',
+    load: (req) => prisma.task.findFirst({
+      where: { id: req.params.id, workspaceId: req.workspace.id },
+      include: taskInclude(req.user)
+    })
+  },
+  project: {
+    label: 'Project',
+    load: (req) => prisma.project.findFirst({
+      where: { id: req.params.id, workspaceId: req.workspace.id }
+    })
+  }
+};
+
+// Wording of 403 messages, per action
+const verbs = {
+  read: 'view'
+};
+
+const notAuthenticated = (res) =>
+  res.status(401).json({
+    success: false,
+    message: 'Authentication required.',
+    code: 'NOT_AUTHENTICATED'
+  });
+
+/**
+ * Require a permission the user holds for at least some resources,
+ * e.g. requirePermission('task:stats')
+ */
+const requirePermission = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    if (!canSometimes(req.user, action)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action.',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Load the resource in the route's :id and check the policy for it,
+ * e.g. authorizeResource('task:update') attaches the task as req.task
+ */
+const authorizeResource = (action) => {
+  const [type, verb] = action.split(':');
+  const { label, load } = resources[type];
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      return notAuthenticated(res);
+    }
+
+    const resource = await load(req);
+
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found.`,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!can(req.user, action, resource)) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to ${verbs[verb] || verb} this ${type}.`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    req[type] = resource;
+    next();
+  });
+};
+
+module.exports = {
+  requirePermission,
+  authorizeResource
+};
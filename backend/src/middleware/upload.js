@@ -0,0 +1,39 @@
+const multer = require('multer');
+const { maxFileSize, maxFileSizeMb } = require('../services/attachmentService');
+
+/**
+ * Parse a multipart body carrying one file in `field`, kept in memory as
+ * req.file. Files over ATTACHMENT_MAX_FILE_SIZE_MB are rejected with 413.
+ */
+const singleFile = (field) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize(), files: 1, fields: 10 },
+    // Browsers send non-ASCII file names as UTF-8
+    defParamCharset: 'utf8'
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Files can be at most ${maxFileSizeMb()} MB.`,
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: `Send one file in the "${field}" field.`,
+      code: 'INVALID_UPLOAD'
+    });
+  });
+};
+
+module.exports = {
+  singleFile
+};
@@ -0,0 +1,13 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Reject the request with VALIDATION_ERROR if any preceding validator failed
+ */
+const validate = (req, res, next) => {
+  validationResult(req).throw();
+  next();
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,36 @@
+const { asyncHandler } = require('./errorHandler');
+const { findMembership } = require('../services/workspaceService');
+
+const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+/**
+ * Select the workspace a request acts in: the `:workspaceId` route parameter,
+ * else the X-Workspace-Id header, else the first workspace the user joined.
+ * Attaches it as req.workspace and the user's role in it as req.user.workspaceRole.
+ */
+const resolveWorkspace = asyncHandler(async (req, res, next) => {
+  const workspaceId = req.params.workspaceId || req.get(WORKSPACE_HEADER);
+
+  const membership = !workspaceId || OBJECT_ID.test(workspaceId)
+    ? await findMembership(req.user.id, workspaceId)
+    : null;
+
+  if (!membership) {
+    return res.status(404).json({
+      success: false,
+      message: workspaceId ? 'Workspace not found.' : 'You are not a member of any workspace.',
+      code: 'WORKSPACE_NOT_FOUND'
+    });
+  }
+
+  req.workspace = { ...membership.workspace, role: membership.role };
+  req.user.workspaceRole = membership.role;
+  next();
+});
+
+module.exports = {
+  WORKSPACE_HEADER,
+  resolveWorkspace
+};
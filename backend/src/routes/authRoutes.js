@@ -1,10 +1,31 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const dataExportController = require('../controllers/dataExportController');
+const mfaController = require('../controllers/mfaController');
+const oidcController = require('../controllers/oidcController');
+const personalTokenController = require('../controllers/personalTokenController');
+const { authenticate, requireScope, requireSession } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { SCOPES } = require('../services/personalTokenService');
 
 const router = express.Router();
 
+// Account management needs a login session; personal access tokens are rejected
+const authenticateSession = [authenticate, requireSession];
+
+/**
+ * Password strength rules shared by every route that sets a password
+ */
+const passwordRules = (field) =>
+  body(field)
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters.')
+    .matches(/\d/)
+    .withMessage('Password must contain at least one number.')
+    .matches(/[a-zA-Z]/)
+    .withMessage('Password must contain at least one letter.');
+
 /**
  * @route POST /api/v1/auth/register
  * @desc Register a new user
@@ -17,13 +38,7 @@ router.post(
       .isEmail()
       .normalizeEmail()
       .withMessage('Please provide a valid email.'),
-    body('password')
-      .isLength({ min: 8 })
-      .withMessage('Password must be at least 8 characters.')
-      .matches(/\d/)
-      .withMessage('Password must contain at least one number.')
-      .matches(/[a-zA-Z]/)
-      .withMessage('Password must contain at least one letter.'),
+    passwordRules('password'),
     body('firstName')
       .optional()
       .trim()
@@ -57,12 +72,155 @@ router.post(
   authController.login
 );
 
+/**
+ * @route GET /api/v1/auth/oidc/providers
+ * @desc List single sign-on providers
+ * @access Public
+ */
+router.get('/oidc/providers', oidcController.getProviders);
+
+/**
+ * @route GET /api/v1/auth/oidc/:provider
+ * @desc Redirect to a provider to sign in (authorization code + PKCE)
+ * @access Public
+ */
+router.get('/oidc/:provider', oidcController.startLogin);
+
+/**
+ * @route GET /api/v1/auth/oidc/:provider/callback
+ * @desc Provider redirect target; redirects to the frontend with a one-time login code
+ * @access Public
+ */
+router.get('/oidc/:provider/callback', oidcController.handleLoginCallback);
+
+/**
+ * @route POST /api/v1/auth/oidc/exchange
+ * @desc Exchange the one-time login code for tokens
+ * @access Public
+ */
+router.post(
+  '/oidc/exchange',
+  [
+    body('code')
+      .isString()
+      .notEmpty()
+      .withMessage('Login code is required.')
+  ],
+  validate,
+  authController.oidcLogin
+);
+
 /**
  * @route GET /api/v1/auth/profile
  * @desc Get current user profile
  * @access Private
  */
-router.get('/profile', authenticate, authController.getProfile);
+router.get('/profile', authenticate, requireScope('profile:read'), authController.getProfile);
+
+/**
+ * @route PATCH /api/v1/auth/profile
+ * @desc Update name or email (a new email is confirmed by link before it applies)
+ * @access Private
+ */
+router.patch(
+  '/profile',
+  authenticateSession,
+  [
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email.'),
+    body('firstName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('First name must be between 1 and 50 characters.'),
+    body('lastName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Last name must be between 1 and 50 characters.')
+  ],
+  validate,
+  authController.updateProfile
+);
+
+/**
+ * @route POST /api/v1/auth/change-password
+ * @desc Change password and sign out other sessions
+ * @access Private
+ */
+router.post(
+  '/change-password',
+  authenticateSession,
+  [
+    body('currentPassword')
+      .notEmpty()
+      .withMessage('Current password is required.'),
+    passwordRules('newPassword')
+  ],
+  validate,
+  authController.changePassword
+);
+
+/**
+ * @route DELETE /api/v1/auth/account
+ * @desc Delete the current user's account (tasks in shared workspaces go to another member)
+ * @access Private
+ */
+router.delete(
+  '/account',
+  authenticateSession,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required.')
+  ],
+  validate,
+  authController.deleteAccount
+);
+
+/**
+ * @route POST /api/v1/auth/export
+ * @desc Start building an archive of the current user's personal data
+ * @access Private
+ */
+router.post('/export', authenticateSession, dataExportController.createExport);
+
+/**
+ * @route GET /api/v1/auth/export/download
+ * @desc Download an export archive (expiring link)
+ * @access Public (link token)
+ */
+router.get(
+  '/export/download',
+  [
+    query('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Download token is required.')
+  ],
+  validate,
+  dataExportController.downloadExport
+);
+
+/**
+ * @route GET /api/v1/auth/export/:id
+ * @desc Get the status of a data export
+ * @access Private
+ */
+router.get(
+  '/export/:id',
+  authenticateSession,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid export ID format.')
+  ],
+  validate,
+  dataExportController.getExport
+);
 
 /**
  * @route POST /api/v1/auth/refresh
@@ -72,7 +230,9 @@ router.get('/profile', authenticate, authController.getProfile);
 router.post(
   '/refresh',
   [
+    // Optional for cookie sessions, which send the refresh_token cookie
     body('refreshToken')
+      .optional()
       .notEmpty()
       .withMessage('Refresh token is required.')
   ],
@@ -84,6 +244,241 @@ router.post(
  * @desc Logout user
  * @access Private
  */
-router.post('/logout', authenticate, authController.logout);
+router.post('/logout', authenticateSession, authController.logout);
+
+/**
+ * @route POST /api/v1/auth/logout-all
+ * @desc Revoke every token issued to the current user
+ * @access Private
+ */
+router.post('/logout-all', authenticateSession, authController.logoutAll);
+
+/**
+ * @route GET /api/v1/auth/sessions
+ * @desc List active sessions (devices) of the current user
+ * @access Private
+ */
+router.get('/sessions', authenticateSession, authController.getSessions);
+
+/**
+ * @route DELETE /api/v1/auth/sessions/:id
+ * @desc Revoke a session
+ * @access Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticateSession,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid session ID format.')
+  ],
+  validate,
+  authController.deleteSession
+);
+
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @desc Email a password reset link
+ * @access Public
+ */
+router.post(
+  '/forgot-password',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email.')
+  ],
+  validate,
+  authController.forgotPassword
+);
+
+/**
+ * @route POST /api/v1/auth/reset-password
+ * @desc Set a new password using a reset token
+ * @access Public
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required.'),
+    passwordRules('password')
+  ],
+  validate,
+  authController.resetPassword
+);
+
+/**
+ * @route GET /api/v1/auth/verify-email
+ * @desc Verify email address using the emailed token
+ * @access Public
+ */
+router.get(
+  '/verify-email',
+  [
+    query('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required.')
+  ],
+  validate,
+  authController.verifyEmail
+);
+
+/**
+ * @route POST /api/v1/auth/resend-verification
+ * @desc Send a new verification email
+ * @access Private
+ */
+router.post('/resend-verification', authenticateSession, authController.resendVerification);
+
+/**
+ * Second factor accepted by MFA endpoints: a TOTP code or a recovery code
+ */
+const secondFactorRules = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits.'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Invalid recovery code.'),
+  body()
+    .custom((value) => value.code || value.recoveryCode)
+    .withMessage('An authentication code or recovery code is required.')
+];
+
+/**
+ * @route POST /api/v1/auth/mfa/verify
+ * @desc Complete a two-factor login with the interim MFA token
+ * @access Public
+ */
+router.post(
+  '/mfa/verify',
+  [
+    body('mfaToken')
+      .isString()
+      .notEmpty()
+      .withMessage('MFA token is required.'),
+    ...secondFactorRules
+  ],
+  validate,
+  authController.verifyMfaLogin
+);
+
+/**
+ * @route POST /api/v1/auth/mfa/setup
+ * @desc Start two-factor enrollment (secret, otpauth URI, QR code)
+ * @access Private
+ */
+router.post('/mfa/setup', authenticateSession, mfaController.setupMfa);
+
+/**
+ * @route POST /api/v1/auth/mfa/confirm
+ * @desc Confirm enrollment with a code and receive recovery codes
+ * @access Private
+ */
+router.post(
+  '/mfa/confirm',
+  authenticateSession,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Authentication code must be 6 digits.')
+  ],
+  validate,
+  mfaController.confirmMfa
+);
+
+/**
+ * @route POST /api/v1/auth/mfa/disable
+ * @desc Disable two-factor authentication
+ * @access Private
+ */
+router.post(
+  '/mfa/disable',
+  authenticateSession,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required.'),
+    ...secondFactorRules
+  ],
+  validate,
+  mfaController.disableMfa
+);
+
+/**
+ * @route POST /api/v1/auth/mfa/recovery-codes
+ * @desc Regenerate recovery codes
+ * @access Private
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authenticateSession,
+  secondFactorRules,
+  validate,
+  mfaController.regenerateRecoveryCodes
+);
+
+/**
+ * @route GET /api/v1/auth/tokens
+ * @desc List personal access tokens of the current user
+ * @access Private
+ */
+router.get('/tokens', authenticateSession, personalTokenController.getTokens);
+
+/**
+ * @route POST /api/v1/auth/tokens
+ * @desc Create a personal access token (the token is only returned once)
+ * @access Private
+ */
+router.post(
+  '/tokens',
+  authenticateSession,
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Token name is required.')
+      .isLength({ max: 100 })
+      .withMessage('Token name must be less than 100 characters.'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required.'),
+    body('scopes.*')
+      .isIn(SCOPES)
+      .withMessage(`Scopes must be one of: ${SCOPES.join(', ')}.`),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Expiry must be between 1 and 365 days.')
+      .toInt()
+  ],
+  validate,
+  personalTokenController.createToken
+);
+
+/**
+ * @route DELETE /api/v1/auth/tokens/:id
+ * @desc Revoke a personal access token
+ * @access Private
+ */
+router.delete(
+  '/tokens/:id',
+  authenticateSession,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid token ID format.')
+  ],
+  validate,
+  personalTokenController.revokeToken
+);
 
 module.exports = router;
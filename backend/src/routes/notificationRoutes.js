@@ -0,0 +1,71 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const notificationController = require('../controllers/notificationController');
+const {
+  authenticate,
+  requireScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Notifications are the current user's, across workspaces
+router.use(authenticate, requireVerifiedEmail, requireMfaEnrollment);
+
+/**
+ * @route GET /api/v1/notifications
+ * @desc Get the current user's notifications (unread only with ?unread=true)
+ * @access Private
+ */
+router.get(
+  '/',
+  requireScope('tasks:read'),
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer.'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100.'),
+    query('unread')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('unread must be true or false.')
+  ],
+  validate,
+  notificationController.getNotifications
+);
+
+/**
+ * @route POST /api/v1/notifications/read-all
+ * @desc Mark all notifications as read
+ * @access Private
+ */
+router.post(
+  '/read-all',
+  requireScope('tasks:write'),
+  notificationController.markAllRead
+);
+
+/**
+ * @route PATCH /api/v1/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.patch(
+  '/:id/read',
+  requireScope('tasks:write'),
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid notification ID format.')
+  ],
+  validate,
+  notificationController.markRead
+);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const projectController = require('../controllers/projectController');
+const workflowController = require('../controllers/workflowController');
+const {
+  authenticate,
+  requireScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { requirePermission, authorizeResource } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { workflowError } = require('../services/workflow');
+
+// Also mounted at /api/v1/workspaces/:workspaceId/projects
+const router = express.Router({ mergeParams: true });
+
+// Projects belong to a workspace, like its tasks (see middleware/workspace.js)
+router.use(authenticate, requireVerifiedEmail, requireMfaEnrollment, resolveWorkspace);
+
+const idRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid project ID format.')
+];
+
+// On update every field is optional
+const projectRules = (isUpdate) => [
+  body('name')
+    .optional(isUpdate)
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required.')
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters.'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-f]{6}$/i)
+    .withMessage('Color must be a hex color such as #4a6cf7.'),
+  body('description')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be less than 2000 characters.')
+];
+
+// A workflow definition, or null to fall back to the workspace's
+const workflowRule = body('workflow').custom((workflow) => {
+  const error = workflow === null ? null : workflowError(workflow);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+});
+
+/**
+ * @route GET /api/v1/projects
+ * @desc List the workspace's projects with task progress (archived ones with ?archived=true)
+ * @access Private
+ */
+router.get(
+  '/',
+  requireScope('tasks:read'),
+  [
+    query('archived')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('archived must be true or false.')
+  ],
+  validate,
+  projectController.getProjects
+);
+
+/**
+ * @route GET /api/v1/projects/:id
+ * @desc Get single project by ID
+ * @access Private
+ */
+router.get(
+  '/:id',
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  projectController.getProject
+);
+
+/**
+ * @route POST /api/v1/projects
+ * @desc Create new project
+ * @access Private (Member, Manager, Admin)
+ */
+router.post(
+  '/',
+  requireScope('tasks:write'),
+  requirePermission('project:create'),
+  projectRules(false),
+  validate,
+  projectController.createProject
+);
+
+/**
+ * @route PUT /api/v1/projects/:id
+ * @desc Update or archive project
+ * @access Private (Owner, Manager, Admin)
+ */
+router.put(
+  '/:id',
+  requireScope('tasks:write'),
+  idRules,
+  projectRules(true),
+  body('archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('archived must be true or false.'),
+  validate,
+  authorizeResource('project:update'),
+  projectController.updateProject
+);
+
+/**
+ * @route PUT /api/v1/projects/:id/workflow
+ * @desc Give the project's tasks their own status workflow, or null for the workspace's
+ * @access Private (Workspace admin)
+ */
+router.put(
+  '/:id/workflow',
+  requireScope('tasks:write'),
+  requirePermission('workspace:manage'),
+  idRules,
+  workflowRule,
+  validate,
+  authorizeResource('project:update'),
+  workflowController.updateProjectWorkflow
+);
+
+/**
+ * @route DELETE /api/v1/projects/:id
+ * @desc Delete project, moving its tasks to the Inbox
+ * @access Private (Owner, Admin)
+ */
+router.delete(
+  '/:id',
+  requireScope('tasks:write'),
+  idRules,
+  validate,
+  authorizeResource('project:delete'),
+  projectController.deleteProject
+);
+
+module.exports = router;
@@ -1,12 +1,144 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const taskController = require('../controllers/taskController');
-const { authenticate, authorize } = require('../middleware/auth');
+const taskShareController = require('../controllers/taskShareController');
+const checklistController = require('../controllers/checklistController');
+const taskDependencyController = require('../controllers/taskDependencyController');
+const taskTransitionController = require('../controllers/taskTransitionController');
+const taskReminderController = require('../controllers/taskReminderController');
+const taskCommentController = require('../controllers/taskCommentController');
+const taskAttachmentController = require('../controllers/taskAttachmentController');
+const {
+  authenticate,
+  requireScope,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { requirePermission, authorizeResource } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { singleFile } = require('../middleware/upload');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { STATUSES } = require('../services/workflow');
+const { ruleError, isValidTimezone } = require('../services/recurrence');
+const { MAX_OFFSET_MINUTES } = require('../services/reminderService');
 
-const router = express.Router();
+// Also mounted at /api/v1/workspaces/:workspaceId/tasks
+const router = express.Router({ mergeParams: true });
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication, plus a verified email and 2FA enrollment where policy demands,
+// and act in one workspace (see middleware/workspace.js)
+router.use(authenticate, requireVerifiedEmail, requireMfaEnrollment, resolveWorkspace);
+
+const idRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid task ID format.')
+];
+
+// A project of the workspace, or null for the Inbox
+const projectIdRule = body('projectId')
+  .optional({ values: 'null' })
+  .isMongoId()
+  .withMessage('Invalid project ID format.');
+
+const completeWithSubtasksRule = body('completeWithSubtasks')
+  .optional()
+  .isBoolean({ strict: true })
+  .withMessage('completeWithSubtasks must be true or false.');
+
+// Repeat rule (an RRULE, or null for none) and the timezone occurrences follow
+const recurrenceRules = [
+  body('recurrence')
+    .optional({ values: 'null' })
+    .custom((rule) => {
+      const error = ruleError(rule);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    }),
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA timezone such as Europe/Paris.')
+];
+
+// A status change, checked against the task's workflow (see services/workflow.js)
+const transitionRules = (isUpdate) => [
+  body('status')
+    .optional(isUpdate)
+    .isIn(STATUSES)
+    .withMessage('Invalid status value.'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be less than 2000 characters.'),
+  body('force')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('force must be true or false.')
+];
+
+// A reminder at a fixed time or some minutes before the task is due, sent on its channels
+const reminderRules = [
+  body('remindAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format.')
+    .custom((value) => new Date(value) > new Date())
+    .withMessage('remindAt must be in the future.'),
+  body('offsetMinutes')
+    .optional()
+    .isInt({ min: 0, max: MAX_OFFSET_MINUTES })
+    .withMessage(`offsetMinutes must be a whole number from 0 to ${MAX_OFFSET_MINUTES}.`)
+    .toInt(),
+  body('channels')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('channels must be a non-empty list.'),
+  body('channels.*')
+    .isIn(['IN_APP', 'EMAIL', 'WEBHOOK'])
+    .withMessage('Channels must be IN_APP, EMAIL or WEBHOOK.'),
+  body('webhookUrl')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('webhookUrl must be an http(s) URL.')
+];
+
+const commentBodyRule = body('body')
+  .trim()
+  .notEmpty()
+  .withMessage('Comment cannot be empty.')
+  .isLength({ max: 5000 })
+  .withMessage('Comment must be less than 5000 characters.');
+
+const commentIdRules = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID format.')
+];
+
+const attachmentIdRules = [
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID format.')
+];
+
+const checklistTextRule = (isUpdate) =>
+  body('text')
+    .optional(isUpdate)
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required.')
+    .isLength({ max: 200 })
+    .withMessage('Checklist item text must be less than 200 characters.');
+
+const checklistItemRules = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid checklist item ID format.')
+];
 
 /**
  * @route GET /api/v1/tasks
@@ -15,6 +147,8 @@ router.use(authenticate);
  */
 router.get(
   '/',
+  requireScope('tasks:read'),
+  requirePermission('task:read'),
   [
     query('page')
       .optional()
@@ -44,44 +178,63 @@ router.get(
     query('order')
       .optional()
       .isIn(['asc', 'desc'])
-      .withMessage('Order must be asc or desc.')
+      .withMessage('Order must be asc or desc.'),
+    query('sharedWithMe')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('sharedWithMe must be true or false.'),
+    query('project')
+      .optional()
+      .matches(/^(inbox|[a-f\d]{24})$/i)
+      .withMessage('Project must be a project ID or "inbox".'),
+    query('parent')
+      .optional()
+      .matches(/^(none|[a-f\d]{24})$/i)
+      .withMessage('Parent must be a task ID or "none".'),
+    query('blocked')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('blocked must be true or false.')
   ],
+  validate,
   taskController.getTasks
 );
 
 /**
  * @route GET /api/v1/tasks/stats
- * @desc Get task statistics (Admin only)
- * @access Private (Admin)
+ * @desc Get task statistics for the workspace
+ * @access Private (Workspace admin, manager)
  */
 router.get(
   '/stats',
-  authorize('ADMIN'),
+  requireScope('tasks:read'),
+  requirePermission('task:stats'),
   taskController.getTaskStats
 );
 
 /**
  * @route GET /api/v1/tasks/:id
- * @desc Get single task by ID
+ * @desc Get single task by ID, with its dependencies
  * @access Private
  */
 router.get(
   '/:id',
-  [
-    body('id')
-      .isUUID()
-      .withMessage('Invalid task ID format.')
-  ],
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  authorizeResource('task:read'),
   taskController.getTask
 );
 
 /**
  * @route POST /api/v1/tasks
- * @desc Create new task
+ * @desc Create new task, or a subtask with `parentId`
  * @access Private
  */
 router.post(
   '/',
+  requireScope('tasks:write'),
+  requirePermission('task:create'),
   [
     body('title')
       .trim()
@@ -101,18 +254,28 @@ router.post(
     body('dueDate')
       .optional()
       .isISO8601()
-      .withMessage('Invalid date format.')
+      .withMessage('Invalid date format.'),
+    projectIdRule,
+    body('parentId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid parent task ID format.'),
+    completeWithSubtasksRule,
+    recurrenceRules
   ],
+  validate,
   taskController.createTask
 );
 
 /**
  * @route PUT /api/v1/tasks/:id
- * @desc Update task
+ * @desc Update task, or with `scope: future` all future occurrences of a repeating task
  * @access Private
  */
 router.put(
   '/:id',
+  requireScope('tasks:write'),
+  idRules,
   [
     body('title')
       .optional()
@@ -130,26 +293,385 @@ router.put(
       .optional()
       .isIn(['LOW', 'MEDIUM', 'HIGH'])
       .withMessage('Invalid priority value.'),
-    body('status')
-      .optional()
-      .isIn(['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
-      .withMessage('Invalid status value.'),
     body('dueDate')
       .optional()
       .isISO8601()
-      .withMessage('Invalid date format.')
+      .withMessage('Invalid date format.'),
+    projectIdRule,
+    completeWithSubtasksRule,
+    transitionRules(true),
+    recurrenceRules,
+    body('scope')
+      .optional()
+      .isIn(['this', 'future'])
+      .withMessage('scope must be "this" (this occurrence) or "future" (all future occurrences).')
   ],
+  validate,
+  authorizeResource('task:update'),
   taskController.updateTask
 );
 
 /**
  * @route DELETE /api/v1/tasks/:id
- * @desc Delete task
+ * @desc Delete task with its subtasks
  * @access Private
  */
 router.delete(
   '/:id',
+  requireScope('tasks:write'),
+  idRules,
+  validate,
+  authorizeResource('task:delete'),
   taskController.deleteTask
 );
 
+/**
+ * @route GET /api/v1/tasks/:id/shares
+ * @desc List the users a task is shared with
+ * @access Private (Owner, Admin)
+ */
+router.get(
+  '/:id/shares',
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  authorizeResource('task:share'),
+  taskShareController.getShares
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/shares
+ * @desc Share a task with a user by email, or change their permission
+ * @access Private (Owner, Admin)
+ */
+router.post(
+  '/:id/shares',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email.'),
+    body('permission')
+      .optional()
+      .isIn(['VIEW', 'EDIT'])
+      .withMessage('Permission must be VIEW or EDIT.')
+  ],
+  validate,
+  authorizeResource('task:share'),
+  taskShareController.shareTask
+);
+
+/**
+ * @route DELETE /api/v1/tasks/:id/shares/:userId
+ * @desc Stop sharing a task with a user
+ * @access Private (Owner, Admin, or the user the task is shared with)
+ */
+router.delete(
+  '/:id/shares/:userId',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID format.')
+  ],
+  validate,
+  authorizeResource('task:read'),
+  taskShareController.revokeShare
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/checklist
+ * @desc Add a checklist item
+ * @access Private
+ */
+router.post(
+  '/:id/checklist',
+  requireScope('tasks:write'),
+  idRules,
+  checklistTextRule(false),
+  validate,
+  authorizeResource('task:update'),
+  checklistController.addItem
+);
+
+/**
+ * @route PATCH /api/v1/tasks/:id/checklist/:itemId
+ * @desc Rename or check off a checklist item
+ * @access Private
+ */
+router.patch(
+  '/:id/checklist/:itemId',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    ...checklistItemRules,
+    checklistTextRule(true),
+    body('done')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('done must be true or false.')
+  ],
+  validate,
+  authorizeResource('task:update'),
+  checklistController.updateItem
+);
+
+/**
+ * @route DELETE /api/v1/tasks/:id/checklist/:itemId
+ * @desc Remove a checklist item
+ * @access Private
+ */
+router.delete(
+  '/:id/checklist/:itemId',
+  requireScope('tasks:write'),
+  idRules,
+  checklistItemRules,
+  validate,
+  authorizeResource('task:update'),
+  checklistController.deleteItem
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/dependencies
+ * @desc Mark the task as blocked by another task
+ * @access Private
+ */
+router.post(
+  '/:id/dependencies',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    body('blockerId')
+      .isMongoId()
+      .withMessage('Invalid blocking task ID format.')
+  ],
+  validate,
+  authorizeResource('task:update'),
+  taskDependencyController.addDependency
+);
+
+/**
+ * @route DELETE /api/v1/tasks/:id/dependencies/:blockerId
+ * @desc Stop the task from being blocked by another task
+ * @access Private
+ */
+router.delete(
+  '/:id/dependencies/:blockerId',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    param('blockerId')
+      .isMongoId()
+      .withMessage('Invalid blocking task ID format.')
+  ],
+  validate,
+  authorizeResource('task:update'),
+  taskDependencyController.removeDependency
+);
+
+/**
+ * @route GET /api/v1/tasks/:id/transitions
+ * @desc Get the status changes the task's workflow allows, and its status history
+ * @access Private
+ */
+router.get(
+  '/:id/transitions',
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  authorizeResource('task:read'),
+  taskTransitionController.getTransitions
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/transitions
+ * @desc Move the task to another status
+ * @access Private
+ */
+router.post(
+  '/:id/transitions',
+  requireScope('tasks:write'),
+  idRules,
+  transitionRules(false),
+  validate,
+  authorizeResource('task:update'),
+  taskTransitionController.createTransition
+);
+
+/**
+ * @route GET /api/v1/tasks/:id/reminders
+ * @desc Get the current user's reminders of the task
+ * @access Private
+ */
+router.get(
+  '/:id/reminders',
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  authorizeResource('task:read'),
+  taskReminderController.getReminders
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/reminders
+ * @desc Add a reminder of the task for the current user
+ * @access Private
+ */
+router.post(
+  '/:id/reminders',
+  requireScope('tasks:write'),
+  idRules,
+  reminderRules,
+  validate,
+  authorizeResource('task:read'),
+  taskReminderController.createReminder
+);
+
+/**
+ * @route DELETE /api/v1/tasks/:id/reminders/:reminderId
+ * @desc Delete one of the current user's reminders of the task
+ * @access Private
+ */
+router.delete(
+  '/:id/reminders/:reminderId',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    param('reminderId')
+      .isMongoId()
+      .withMessage('Invalid reminder ID format.')
+  ],
+  validate,
+  authorizeResource('task:read'),
+  taskReminderController.deleteReminder
+);
+
+/**
+ * @route GET /api/v1/tasks/:id/comments
+ * @desc Get the task's comments as threads
+ * @access Private
+ */
+router.get(
+  '/:id/comments',
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  authorizeResource('task:read'),
+  taskCommentController.getComments
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/comments
+ * @desc Comment on the task, or reply with `parentId`; @email mentions notify
+ * @access Private
+ */
+router.post(
+  '/:id/comments',
+  requireScope('tasks:write'),
+  idRules,
+  [
+    commentBodyRule,
+    body('parentId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid parent comment ID format.')
+  ],
+  validate,
+  authorizeResource('task:read'),
+  taskCommentController.createComment
+);
+
+/**
+ * @route PUT /api/v1/tasks/:id/comments/:commentId
+ * @desc Edit a comment
+ * @access Private (Author)
+ */
+router.put(
+  '/:id/comments/:commentId',
+  requireScope('tasks:write'),
+  idRules,
+  [...commentIdRules, commentBodyRule],
+  validate,
+  authorizeResource('task:read'),
+  taskCommentController.updateComment
+);
+
+/**
+ * @route DELETE /api/v1/tasks/:id/comments/:commentId
+ * @desc Delete a comment
+ * @access Private (Author)
+ */
+router.delete(
+  '/:id/comments/:commentId',
+  requireScope('tasks:write'),
+  idRules,
+  commentIdRules,
+  validate,
+  authorizeResource('task:read'),
+  taskCommentController.deleteComment
+);
+
+/**
+ * @route GET /api/v1/tasks/:id/attachments
+ * @desc Get the task's attachments
+ * @access Private
+ */
+router.get(
+  '/:id/attachments',
+  requireScope('tasks:read'),
+  idRules,
+  validate,
+  authorizeResource('task:read'),
+  taskAttachmentController.getAttachments
+);
+
+/**
+ * @route POST /api/v1/tasks/:id/attachments
+ * @desc Attach a file (multipart/form-data, field `file`)
+ * @access Private
+ */
+router.post(
+  '/:id/attachments',
+  requireScope('tasks:write'),
+  idRules,
+  validate,
+  // Checked before the body is read, so no file is received for nothing
+  authorizeResource('task:update'),
+  singleFile('file'),
+  taskAttachmentController.uploadAttachment
+);
+
+/**
+ * @route GET /api/v1/tasks/:id/attachments/:attachmentId/download
+ * @desc Download an attachment
+ * @access Private
+ */
+router.get(
+  '/:id/attachments/:attachmentId/download',
+  requireScope('tasks:read'),
+  idRules,
+  attachmentIdRules,
+  validate,
+  authorizeResource('task:read'),
+  taskAttachmentController.downloadAttachment
+);
+
+/**
+ * @route DELETE /api/v1/tasks/:id/attachments/:attachmentId
+ * @desc Remove an attachment
+ * @access Private
+ */
+router.delete(
+  '/:id/attachments/:attachmentId',
+  requireScope('tasks:write'),
+  idRules,
+  attachmentIdRules,
+  validate,
+  authorizeResource('task:update'),
+  taskAttachmentController.deleteAttachment
+);
+
 module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const userController = require('../controllers/userController');
+const {
+  authenticate,
+  requireSession,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { ROLES } = require('../services/policy');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require an admin signed in with a session (not a personal access token)
+router.use(authenticate, requireSession, requireMfaEnrollment, requirePermission('user:manage'));
+
+const userIdRules = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID format.')
+];
+
+/**
+ * @route GET /api/v1/users
+ * @desc List users (with pagination, filtering and search)
+ * @access Private (Admin)
+ */
+router.get(
+  '/',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer.'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100.'),
+    query('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage('Invalid role value.'),
+    query('isActive')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('isActive must be true or false.'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Search term must be less than 100 characters.'),
+    query('sort')
+      .optional()
+      .isIn(['email', 'firstName', 'lastName', 'role', 'createdAt', 'lastLoginAt'])
+      .withMessage('Invalid sort field.'),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc.')
+  ],
+  validate,
+  userController.getUsers
+);
+
+/**
+ * @route GET /api/v1/users/:id
+ * @desc Get a user with their task counts
+ * @access Private (Admin)
+ */
+router.get('/:id', userIdRules, validate, userController.getUser);
+
+/**
+ * @route PATCH /api/v1/users/:id/role
+ * @desc Change a user's role
+ * @access Private (Admin)
+ */
+router.patch(
+  '/:id/role',
+  [
+    ...userIdRules,
+    body('role')
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}.`)
+  ],
+  validate,
+  userController.updateUserRole
+);
+
+/**
+ * @route POST /api/v1/users/:id/deactivate
+ * @desc Deactivate a user and revoke their sessions
+ * @access Private (Admin)
+ */
+router.post('/:id/deactivate', userIdRules, validate, userController.deactivateUser);
+
+/**
+ * @route POST /api/v1/users/:id/reactivate
+ * @desc Reactivate a user
+ * @access Private (Admin)
+ */
+router.post('/:id/reactivate', userIdRules, validate, userController.reactivateUser);
+
+/**
+ * @route POST /api/v1/users/:id/force-password-reset
+ * @desc Require a password reset and email the user a reset link
+ * @access Private (Admin)
+ */
+router.post('/:id/force-password-reset', userIdRules, validate, userController.forcePasswordReset);
+
+/**
+ * @route POST /api/v1/users/:id/unlock
+ * @desc Clear failed login attempts and lift an account lockout
+ * @access Private (Admin)
+ */
+router.post('/:id/unlock', userIdRules, validate, userController.unlockUser);
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const workspaceController = require('../controllers/workspaceController');
+const workflowController = require('../controllers/workflowController');
+const {
+  authenticate,
+  requireScope,
+  requireSession,
+  requireVerifiedEmail,
+  requireMfaEnrollment
+} = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { WORKSPACE_ROLES } = require('../services/policy');
+const { workflowError } = require('../services/workflow');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+router.use(authenticate, requireVerifiedEmail, requireMfaEnrollment);
+
+const nameRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required.')
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters.')
+];
+
+const roleRule = (field) =>
+  body(field)
+    .isIn(WORKSPACE_ROLES)
+    .withMessage(`Role must be one of: ${WORKSPACE_ROLES.join(', ')}.`);
+
+// A workflow definition, or null to fall back to the default one
+const workflowRule = body('workflow').custom((workflow) => {
+  const error = workflow === null ? null : workflowError(workflow);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+});
+
+// Routes for one workspace act in it, as members only (see middleware/workspace.js)
+const workspaceRules = [
+  param('workspaceId')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format.')
+];
+
+const inWorkspace = [requireSession, workspaceRules, validate, resolveWorkspace];
+
+/**
+ * @route GET /api/v1/workspaces
+ * @desc List the workspaces you belong to, with your role and permissions in each
+ * @access Private
+ */
+router.get('/', requireScope('profile:read'), workspaceController.getWorkspaces);
+
+/**
+ * @route POST /api/v1/workspaces
+ * @desc Create a workspace
+ * @access Private
+ */
+router.post('/', requireSession, nameRules, validate, workspaceController.createWorkspace);
+
+/**
+ * @route POST /api/v1/workspaces/invitations/accept
+ * @desc Join a workspace through an emailed invitation
+ * @access Private (the invited email address)
+ */
+router.post(
+  '/invitations/accept',
+  requireSession,
+  [
+    body('token')
+      .notEmpty()
+      .withMessage('Invitation token is required.')
+  ],
+  validate,
+  workspaceController.acceptInvitation
+);
+
+/**
+ * @route PATCH /api/v1/workspaces/:workspaceId
+ * @desc Rename a workspace
+ * @access Private (Workspace admin)
+ */
+router.patch(
+  '/:workspaceId',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  nameRules,
+  validate,
+  workspaceController.updateWorkspace
+);
+
+/**
+ * @route DELETE /api/v1/workspaces/:workspaceId
+ * @desc Delete a workspace and all its tasks
+ * @access Private (Workspace admin)
+ */
+router.delete(
+  '/:workspaceId',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  workspaceController.deleteWorkspace
+);
+
+/**
+ * @route GET /api/v1/workspaces/:workspaceId/members
+ * @desc List the members of a workspace
+ * @access Private (Workspace members)
+ */
+router.get('/:workspaceId/members', inWorkspace, workspaceController.getMembers);
+
+/**
+ * @route PATCH /api/v1/workspaces/:workspaceId/members/:userId
+ * @desc Change a member's role
+ * @access Private (Workspace admin)
+ */
+router.patch(
+  '/:workspaceId/members/:userId',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID format.'),
+    roleRule('role')
+  ],
+  validate,
+  workspaceController.updateMember
+);
+
+/**
+ * @route DELETE /api/v1/workspaces/:workspaceId/members/:userId
+ * @desc Remove a member, or leave the workspace
+ * @access Private (Workspace admin, or the member themselves)
+ */
+router.delete(
+  '/:workspaceId/members/:userId',
+  inWorkspace,
+  [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID format.')
+  ],
+  validate,
+  workspaceController.removeMember
+);
+
+/**
+ * @route GET /api/v1/workspaces/:workspaceId/workflow
+ * @desc Get the status workflow of the workspace's tasks
+ * @access Private (Workspace members)
+ */
+router.get('/:workspaceId/workflow', inWorkspace, workflowController.getWorkflow);
+
+/**
+ * @route PUT /api/v1/workspaces/:workspaceId/workflow
+ * @desc Replace the status workflow, or restore the default with null
+ * @access Private (Workspace admin)
+ */
+router.put(
+  '/:workspaceId/workflow',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  workflowRule,
+  validate,
+  workflowController.updateWorkspaceWorkflow
+);
+
+/**
+ * @route GET /api/v1/workspaces/:workspaceId/invitations
+ * @desc List pending invitations
+ * @access Private (Workspace admin)
+ */
+router.get(
+  '/:workspaceId/invitations',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  workspaceController.getInvitations
+);
+
+/**
+ * @route POST /api/v1/workspaces/:workspaceId/invitations
+ * @desc Invite someone to the workspace by email
+ * @access Private (Workspace admin)
+ */
+router.post(
+  '/:workspaceId/invitations',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email.'),
+    roleRule('role').optional()
+  ],
+  validate,
+  workspaceController.inviteMember
+);
+
+/**
+ * @route DELETE /api/v1/workspaces/:workspaceId/invitations/:invitationId
+ * @desc Cancel a pending invitation
+ * @access Private (Workspace admin)
+ */
+router.delete(
+  '/:workspaceId/invitations/:invitationId',
+  inWorkspace,
+  requirePermission('workspace:manage'),
+  [
+    param('invitationId')
+      .isMongoId()
+      .withMessage('Invalid invitation ID format.')
+  ],
+  validate,
+  workspaceController.cancelInvitation
+);
+
+module.exports = router;
@@ -3,18 +3,34 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 
 const authRoutes = require('./routes/authRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const userRoutes = require('./routes/userRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { csrfProtection } = require('./middleware/csrf');
+const { getJwksDocument } = require('./controllers/jwksController');
+const { scheduleKeyRotation } = require('./services/signingKeys');
+const { scheduleReminders } = require('./services/reminderScheduler');
 const swaggerSpec = require('./config/swagger');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Honour X-Forwarded-For when running behind a proxy (client IPs for sessions and rate limiting)
+// TRUST_PROXY accepts "true", a hop count, or a list of trusted addresses/subnets
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : parseInt(trustProxy) || trustProxy);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -23,7 +39,7 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Auth-Mode', 'X-CSRF-Token', 'X-Workspace-Id']
 }));
 
 // Rate limiting
@@ -44,6 +60,10 @@ app.use('/api', limiter);
 // Body parsing middleware
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+app.use(cookieParser());
+
+// Double-submit CSRF check for cookie sessions
+app.use('/api', csrfProtection);
 
 // Logging middleware
 if (process.env.NODE_ENV !== 'test') {
@@ -66,9 +86,18 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens (empty with HS256)
+app.get('/.well-known/jwks.json', getJwksDocument);
+
 // API Routes with versioning
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/tasks', taskRoutes);
+app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/projects', projectRoutes);
+app.use('/api/v1/workspaces/:workspaceId/tasks', taskRoutes);
+app.use('/api/v1/workspaces/:workspaceId/projects', projectRoutes);
+app.use('/api/v1/workspaces', workspaceRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -87,9 +116,16 @@ app.use(notFound);
 // Global error handler
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Rotate access token signing keys on schedule (RS256 / EdDSA)
+scheduleKeyRotation();
+
+// Send due-date reminders, including those that fell due while the server was down
+scheduleReminders();
+
+// Start server (tests load the app without listening)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
 ║   🚀 Prime Trade API Server                               ║
@@ -103,7 +139,8 @@ app.listen(PORT, () => {
 ║   - Health:    http://localhost:${PORT}/health               ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,97 @@
+const prisma = require('../config/db');
+const { getStorage } = require('./storage');
+
+/**
+ * Files attached to tasks: which files are accepted, and removing stored files
+ * along with their tasks.
+ */
+
+const MAX_ATTACHMENTS_PER_TASK = 20;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain'
+];
+
+// First bytes of each type, so a file cannot claim to be what it is not
+const SIGNATURES = {
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/gif': (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6)),
+  'image/webp': (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+  'application/pdf': (buffer) => buffer.toString('latin1', 0, 5) === '%PDF-',
+  'text/plain': (buffer) => !buffer.includes(0)
+};
+
+const maxFileSizeMb = () => parseInt(process.env.ATTACHMENT_MAX_FILE_SIZE_MB) || 10;
+
+const maxFileSize = () => maxFileSizeMb() * 1024 * 1024;
+
+const allowedTypes = () => (process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map((type) => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES);
+
+/**
+ * The type of an uploaded file if it is allowed and its content matches it, else null.
+ * Allowed types without a known signature are taken as declared.
+ */
+const acceptedType = (file) => {
+  const type = file.mimetype.split(';')[0].trim().toLowerCase();
+
+  if (!allowedTypes().includes(type)) {
+    return null;
+  }
+
+  return !SIGNATURES[type] || SIGNATURES[type](file.buffer) ? type : null;
+};
+
+/**
+ * A file name safe to store and send back: no path, no control characters
+ */
+const cleanFileName = (name) =>
+  name.split(/[/\\]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim().slice(0, 255) || 'file';
+
+/**
+ * Delete stored files, logging the ones that could not be (they are left behind)
+ */
+const deleteStoredFiles = (storageKeys) =>
+  Promise.all(storageKeys.map((key) =>
+    getStorage().delete(key).catch((error) => {
+      console.error(`Deleting stored file ${key} failed:`, error);
+    })
+  ));
+
+/**
+ * Run a deletion that removes tasks, then delete the stored files of the
+ * attachments matching `where` (those of the tasks removed). A deletion that
+ * answers null was called off, and the files are kept.
+ */
+const deletingAttachments = async (where, remove) => {
+  const attachments = await prisma.taskAttachment.findMany({
+    where,
+    select: { storageKey: true }
+  });
+
+  const result = await remove();
+
+  if (result !== null) {
+    await deleteStoredFiles(attachments.map((attachment) => attachment.storageKey));
+  }
+
+  return result;
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_TASK,
+  maxFileSize,
+  maxFileSizeMb,
+  allowedTypes,
+  acceptedType,
+  cleanFileName,
+  deleteStoredFiles,
+  deletingAttachments
+};
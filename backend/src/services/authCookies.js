@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Cookie session mode. Browsers that send `X-Auth-Mode: cookie` when signing
+ * in get their tokens as HttpOnly cookies instead of in the response body,
+ * so scripts cannot read them. Cookie-authenticated requests that change
+ * state must echo the CSRF cookie in the X-CSRF-Token header (double submit).
+ */
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'XSRF-TOKEN';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// The refresh token cookie is only sent to the auth routes, which include /auth/refresh
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+const baseOptions = () => ({
+  secure: process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || 'lax',
+  domain: process.env.COOKIE_DOMAIN || undefined
+});
+
+// Cookie lifetime matching a JWT's expiry
+const maxAgeOf = (token) => jwt.decode(token).exp * 1000 - Date.now();
+
+/**
+ * Whether the client asked for a cookie session
+ */
+const wantsCookieSession = (req) => req.get('X-Auth-Mode') === 'cookie';
+
+/**
+ * Whether the request is authenticated by cookies rather than an Authorization header
+ */
+const usesAuthCookies = (req) =>
+  !req.headers.authorization && !!(req.cookies?.[ACCESS_COOKIE] || req.cookies?.[REFRESH_COOKIE]);
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const options = baseOptions();
+  const refreshMaxAge = maxAgeOf(refreshToken);
+
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    ...options,
+    httpOnly: true,
+    path: '/api',
+    maxAge: maxAgeOf(accessToken)
+  });
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshMaxAge
+  });
+  // Readable by the frontend, which sends it back in the CSRF header
+  res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('base64url'), {
+    ...options,
+    path: '/',
+    maxAge: refreshMaxAge
+  });
+};
+
+const clearAuthCookies = (res) => {
+  const options = baseOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/api' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Hand a newly issued token pair to the client. Returns the fields to include
+ * in the response data: the tokens themselves, or nothing in cookie mode.
+ */
+const deliverTokens = (req, res, tokens, cookieSession = wantsCookieSession(req)) => {
+  if (!cookieSession) {
+    return tokens;
+  }
+
+  setAuthCookies(res, tokens);
+  return {};
+};
+
+/**
+ * Whether the CSRF header matches the CSRF cookie
+ */
+const hasValidCsrfToken = (req) => {
+  const cookie = req.cookies?.[CSRF_COOKIE];
+  const header = req.get(CSRF_HEADER);
+
+  if (!cookie || !header) {
+    return false;
+  }
+
+  // Compare byte lengths: a multibyte header can match the cookie's length in
+  // characters, and timingSafeEqual throws on buffers of different lengths
+  const expected = Buffer.from(cookie);
+  const actual = Buffer.from(header);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_HEADER,
+  wantsCookieSession,
+  usesAuthCookies,
+  clearAuthCookies,
+  deliverTokens,
+  hasValidCsrfToken
+};
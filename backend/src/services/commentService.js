@@ -0,0 +1,151 @@
+const prisma = require('../config/db');
+const { memberCan } = require('./taskService');
+
+/**
+ * Task comments and the @mentions in them. A mention is an email address after
+ * an "@", e.g. "@jane@example.com"; its user is notified if they can see the task.
+ */
+
+const MAX_MENTIONS = 20;
+// Length of the comment excerpt in mention notifications
+const EXCERPT_LENGTH = 200;
+
+const MENTION_PATTERN = /(?:^|[^\w.@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// Author shown with comments
+const commentInclude = {
+  user: {
+    select: { id: true, email: true, firstName: true, lastName: true }
+  }
+};
+
+const displayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+
+/**
+ * Email addresses mentioned in a comment, lower-cased, without duplicates
+ */
+const parseMentions = (body) =>
+  [...new Set([...body.matchAll(MENTION_PATTERN)].map((match) => match[1].toLowerCase()))]
+    .slice(0, MAX_MENTIONS);
+
+/**
+ * Users mentioned in a comment who can see the task, other than its author
+ */
+const mentionedUsers = async (body, task, author) => {
+  const emails = parseMentions(body);
+
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const users = await prisma.user.findMany({
+    where: { email: { in: emails }, isActive: true, id: { not: author.id } },
+    select: { id: true, email: true, role: true }
+  });
+
+  const shares = await prisma.taskShare.findMany({
+    where: { taskId: task.id, userId: { in: users.map((user) => user.id) } },
+    select: { userId: true, permission: true }
+  });
+
+  const allowed = await Promise.all(
+    users.map((user) => memberCan(user, 'task:read', { ...task, shares }))
+  );
+
+  return users.filter((user, index) => allowed[index]);
+};
+
+/**
+ * Notify mentioned users of a comment
+ */
+const notifyMentions = async (users, comment, task, author) => {
+  if (users.length === 0) {
+    return;
+  }
+
+  const excerpt = comment.body.length > EXCERPT_LENGTH
+    ? `${comment.body.slice(0, EXCERPT_LENGTH - 1)}…`
+    : comment.body;
+
+  await prisma.notification.createMany({
+    data: users.map((user) => ({
+      type: 'TASK_MENTION',
+      title: `${displayName(author)} mentioned you on "${task.title}"`,
+      body: excerpt,
+      userId: user.id,
+      taskId: task.id
+    }))
+  });
+};
+
+/**
+ * A task's comments as threads: top-level comments, oldest first, each with its
+ * replies. Deleted comments keep their place in a thread with an empty body.
+ */
+const commentThreads = async (taskId) => {
+  const comments = await prisma.taskComment.findMany({
+    where: { taskId },
+    orderBy: { createdAt: 'asc' },
+    include: commentInclude
+  });
+
+  const threads = new Map(
+    comments
+      .filter((comment) => !comment.parentId)
+      .map((comment) => [comment.id, { ...comment, replies: [] }])
+  );
+
+  for (const comment of comments.filter((reply) => reply.parentId)) {
+    const thread = threads.get(comment.parentId);
+
+    // The top-level comment is gone with its author: the reply starts its own thread
+    if (thread) {
+      thread.replies.push(comment);
+    } else {
+      threads.set(comment.id, { ...comment, replies: [] });
+    }
+  }
+
+  return [...threads.values()];
+};
+
+/**
+ * Delete a comment. A top-level comment with replies is blanked instead, and a
+ * blanked comment goes once its last reply is deleted.
+ */
+const removeComment = async (comment) => {
+  if (!comment.parentId) {
+    const replies = await prisma.taskComment.count({ where: { parentId: comment.id } });
+
+    if (replies > 0) {
+      await prisma.taskComment.update({
+        where: { id: comment.id },
+        data: { body: '', mentionIds: [], deletedAt: new Date() }
+      });
+      return;
+    }
+  }
+
+  await prisma.taskComment.delete({ where: { id: comment.id } });
+
+  if (comment.parentId) {
+    const [parent, replies] = await Promise.all([
+      prisma.taskComment.findUnique({ where: { id: comment.parentId }, select: { deletedAt: true } }),
+      prisma.taskComment.count({ where: { parentId: comment.parentId } })
+    ]);
+
+    if (parent && parent.deletedAt && replies === 0) {
+      await prisma.taskComment.delete({ where: { id: comment.parentId } });
+    }
+  }
+};
+
+module.exports = {
+  commentInclude,
+  parseMentions,
+  mentionedUsers,
+  notifyMentions,
+  commentThreads,
+  removeComment
+};
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ms = require('ms');
+const archiver = require('archiver');
+const prisma = require('../config/db');
+const { apiUrl } = require('../config/urls');
+const { toCsv } = require('../utils/csv');
+const { hashToken } = require('./tokenService');
+const { loadProfile } = require('./userService');
+const { sendDataExportEmail } = require('./emails');
+
+/**
+ * Personal data exports ("everything you store about me").
+ * Archives are built in the background, written to DATA_EXPORT_DIR and
+ * downloaded through an unguessable link that expires after DATA_EXPORT_EXPIRES_IN.
+ */
+
+const exportDir = () => path.resolve(process.env.DATA_EXPORT_DIR || 'exports');
+
+const exportLifetime = () => ms(process.env.DATA_EXPORT_EXPIRES_IN || '24h');
+
+// A pending export older than this was lost (e.g. the server restarted) and may be retried
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+const downloadUrl = (token) =>
+  `${apiUrl()}/api/v1/auth/export/download?token=${encodeURIComponent(token)}`;
+
+const exportFilePath = (dataExport) => path.join(exportDir(), dataExport.fileName);
+
+/**
+ * Collect everything stored about a user. Secrets (password and token
+ * hashes, 2FA secrets) and internal fields (storage keys, locks) are left out.
+ */
+const collectUserData = async (userId) => {
+  const [
+    profile,
+    tasks,
+    sessions,
+    identities,
+    accessTokens,
+    memberships,
+    comments,
+    reminders,
+    attachments,
+    notifications
+  ] = await Promise.all([
+    loadProfile(userId),
+    prisma.task.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.userIdentity.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.personalAccessToken.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        name: true,
+        tokenPrefix: true,
+        scopes: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true
+      }
+    }),
+    prisma.workspaceMember.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        role: true,
+        createdAt: true,
+        workspace: { select: { id: true, name: true } }
+      }
+    }),
+    prisma.taskComment.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.taskReminder.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        taskId: true,
+        remindAt: true,
+        offsetMinutes: true,
+        channels: true,
+        webhookUrl: true,
+        fireAt: true,
+        sentAt: true,
+        deliveredChannels: true,
+        createdAt: true
+      }
+    }),
+    prisma.taskAttachment.findMany({
+      where: { uploadedById: userId },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        taskId: true,
+        fileName: true,
+        contentType: true,
+        size: true,
+        createdAt: true
+      }
+    }),
+    prisma.notification.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    profile,
+    tasks,
+    loginHistory: sessions,
+    identities,
+    accessTokens,
+    workspaces: memberships.map(({ workspace, role, createdAt }) => ({
+      workspaceId: workspace.id,
+      workspaceName: workspace.name,
+      role,
+      joinedAt: createdAt
+    })),
+    comments,
+    reminders,
+    attachments,
+    notifications
+  };
+};
+
+/**
+ * Write the archive: everything as JSON, plus CSV files for spreadsheets
+ */
+const writeArchive = (filePath, data) =>
+  new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip');
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    archive.append(JSON.stringify({ exportedAt: new Date(), ...data }, null, 2), { name: 'data.json' });
+    archive.append(toCsv([data.profile]), { name: 'profile.csv' });
+    archive.append(toCsv(data.tasks), { name: 'tasks.csv' });
+    archive.append(toCsv(data.loginHistory), { name: 'login-history.csv' });
+    archive.append(toCsv(data.workspaces), { name: 'workspaces.csv' });
+    archive.append(toCsv(data.comments), { name: 'comments.csv' });
+    archive.append(toCsv(data.reminders), { name: 'reminders.csv' });
+    archive.append(toCsv(data.attachments), { name: 'attachments.csv' });
+    archive.append(toCsv(data.notifications), { name: 'notifications.csv' });
+    archive.finalize();
+  });
+
+/**
+ * Delete expired exports and their files
+ */
+const removeExpiredExports = async () => {
+  const expired = await prisma.dataExport.findMany({
+    where: { expiresAt: { lte: new Date() } },
+    select: { id: true, fileName: true }
+  });
+
+  await removeExports(expired);
+};
+
+/**
+ * Delete all of a user's exports and their files (e.g. before deleting the account)
+ */
+const removeUserExports = async (userId) => {
+  const dataExports = await prisma.dataExport.findMany({
+    where: { userId },
+    select: { id: true, fileName: true }
+  });
+
+  await removeExports(dataExports);
+};
+
+const removeExports = async (dataExports) => {
+  if (dataExports.length === 0) {
+    return;
+  }
+
+  await Promise.all(
+    dataExports
+      .filter((dataExport) => dataExport.fileName)
+      .map((dataExport) => fs.promises.rm(exportFilePath(dataExport), { force: true }))
+  );
+
+  await prisma.dataExport.deleteMany({
+    where: { id: { in: dataExports.map((dataExport) => dataExport.id) } }
+  });
+};
+
+/**
+ * Build the archive for an export and email the download link
+ */
+const buildDataExport = async (dataExport, token) => {
+  try {
+    await removeExpiredExports();
+    await fs.promises.mkdir(exportDir(), { recursive: true });
+
+    const fileName = `${dataExport.id}.zip`;
+    const data = await collectUserData(dataExport.userId);
+
+    await writeArchive(path.join(exportDir(), fileName), data);
+
+    // The link is valid for the full lifetime from when the archive is ready
+    const expiresAt = new Date(Date.now() + exportLifetime());
+
+    await prisma.dataExport.update({
+      where: { id: dataExport.id },
+      data: { status: 'READY', fileName, completedAt: new Date(), expiresAt }
+    });
+
+    try {
+      await sendDataExportEmail(data.profile, downloadUrl(token), expiresAt);
+    } catch (error) {
+      console.error('Failed to send data export email:', error);
+    }
+  } catch (error) {
+    await prisma.dataExport.updateMany({
+      where: { id: dataExport.id },
+      data: { status: 'FAILED' }
+    });
+    throw error;
+  }
+};
+
+/**
+ * Start an export for a user. Returns the export and its download link,
+ * or null if an export is already being built.
+ */
+const requestDataExport = async (userId) => {
+  const inProgress = await prisma.dataExport.findFirst({
+    where: {
+      userId,
+      status: 'PENDING',
+      createdAt: { gt: new Date(Date.now() - STALE_AFTER_MS) }
+    }
+  });
+
+  if (inProgress) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const dataExport = await prisma.dataExport.create({
+    data: {
+      userId,
+      downloadTokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + STALE_AFTER_MS + exportLifetime())
+    }
+  });
+
+  // Build after the response has been sent
+  setImmediate(() => {
+    buildDataExport(dataExport, token).catch((error) => {
+      console.error('Data export failed:', error);
+    });
+  });
+
+  return { dataExport, downloadUrl: downloadUrl(token) };
+};
+
+/**
+ * Look up an export by its download token. Returns null if unknown or expired.
+ */
+const findDataExportByToken = async (token) => {
+  const dataExport = await prisma.dataExport.findUnique({
+    where: { downloadTokenHash: hashToken(token) }
+  });
+
+  if (!dataExport || dataExport.expiresAt <= new Date()) {
+    return null;
+  }
+
+  return dataExport;
+};
+
+module.exports = {
+  requestDataExport,
+  findDataExportByToken,
+  exportFilePath,
+  removeUserExports
+};
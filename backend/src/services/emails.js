@@ -0,0 +1,141 @@
+const { sendMail } = require('./mailer');
+const { appUrl } = require('../config/urls');
+
+/**
+ * Transactional emails
+ */
+
+const greeting = (user) => `Hi${user.firstName ? ` ${user.firstName}` : ''},`;
+
+/**
+ * Send a password reset link
+ */
+const sendPasswordResetEmail = (user, token, expiresAt) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Prime Trade password',
+    text: [
+      greeting(user),
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      link,
+      '',
+      `The link can be used once and expires at ${expiresAt.toUTCString()}.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send an email address verification link
+ */
+const sendVerificationEmail = (user, token, expiresAt) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Prime Trade email address',
+    text: [
+      greeting(user),
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `The link expires at ${expiresAt.toUTCString()}.`,
+      'If you did not create a Prime Trade account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send a link confirming a new email address to that address
+ */
+const sendEmailChangeEmail = (user, newEmail, token, expiresAt) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: newEmail,
+    subject: 'Confirm your new Prime Trade email address',
+    text: [
+      greeting(user),
+      '',
+      'Please confirm your new email address by opening the link below:',
+      link,
+      '',
+      `The link expires at ${expiresAt.toUTCString()}. Until then you keep signing in with ${user.email}.`,
+      'If you did not request this change, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send the download link of a personal data export
+ */
+const sendDataExportEmail = (user, link, expiresAt) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your Prime Trade data export is ready',
+    text: [
+      greeting(user),
+      '',
+      'The export of your personal data you requested is ready. Download it here:',
+      link,
+      '',
+      `The link expires at ${expiresAt.toUTCString()}.`,
+      'If you did not request an export, please change your password.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send an invitation to join a workspace
+ */
+const sendWorkspaceInvitationEmail = (email, inviter, workspace, token, expiresAt) => {
+  const link = `${appUrl()}/invitations/accept?token=${encodeURIComponent(token)}`;
+  const inviterName = [inviter.firstName, inviter.lastName].filter(Boolean).join(' ') || inviter.email;
+
+  return sendMail({
+    to: email,
+    subject: `Join ${workspace.name} on Prime Trade`,
+    text: [
+      'Hi,',
+      '',
+      `${inviterName} invited you to join "${workspace.name}" on Prime Trade. Open the link below to accept:`,
+      link,
+      '',
+      `Sign in or register with ${email} to accept. The link expires at ${expiresAt.toUTCString()}.`,
+      'If you were not expecting this invitation, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send a reminder of a task
+ */
+const sendTaskReminderEmail = (user, task) => {
+  return sendMail({
+    to: user.email,
+    subject: `Reminder: ${task.title}`,
+    text: [
+      greeting(user),
+      '',
+      task.dueDate
+        ? `This is your reminder that "${task.title}" is due at ${task.dueDate.toUTCString()}.`
+        : `This is your reminder about "${task.title}".`,
+      `${appUrl()}/dashboard`,
+      '',
+      'You receive this email because you set a reminder on this task.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendDataExportEmail,
+  sendWorkspaceInvitationEmail,
+  sendTaskReminderEmail
+};
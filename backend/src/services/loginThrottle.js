@@ -0,0 +1,120 @@
+const ms = require('ms');
+const prisma = require('../config/db');
+const { ensureTtlIndex } = require('./ttlIndex');
+
+/**
+ * Login brute-force protection
+ *
+ * Failed logins are counted per account and per client IP in MongoDB, so the
+ * limits hold across server instances. Once a key reaches its threshold it is
+ * locked, and every further failure doubles the lockout (exponential back-off)
+ * up to LOGIN_LOCKOUT_MAX. Failures older than LOGIN_ATTEMPT_WINDOW are forgotten.
+ */
+
+const config = () => ({
+  accountThreshold: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  ipThreshold: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  window: ms(process.env.LOGIN_ATTEMPT_WINDOW || '15m'),
+  lockoutBase: ms(process.env.LOGIN_LOCKOUT_BASE || '1m'),
+  lockoutMax: ms(process.env.LOGIN_LOCKOUT_MAX || '1h')
+});
+
+const accountKey = (email) => `account:${email.toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Add one failure to a key, locking it once the threshold is reached
+ */
+const addFailure = async (key, threshold) => {
+  const { window, lockoutBase, lockoutMax } = config();
+  const now = new Date();
+
+  await ensureTtlIndex('login_throttles');
+
+  // Start counting afresh when the previous failures are outside the window
+  await prisma.loginThrottle.updateMany({
+    where: { key, lastFailureAt: { lt: new Date(now.getTime() - window) } },
+    data: { failures: 0 }
+  });
+
+  const upsert = () => prisma.loginThrottle.upsert({
+    where: { key },
+    create: { key, failures: 1, lastFailureAt: now, expiresAt: new Date(now.getTime() + window) },
+    update: { failures: { increment: 1 }, lastFailureAt: now }
+  });
+
+  let throttle;
+  try {
+    throttle = await upsert();
+  } catch (error) {
+    // Two instances created the same key concurrently; the retry updates it
+    if (error.code !== 'P2002') throw error;
+    throttle = await upsert();
+  }
+
+  let lockedUntil = null;
+  if (throttle.failures >= threshold) {
+    const lockout = Math.min(lockoutBase * 2 ** (throttle.failures - threshold), lockoutMax);
+    lockedUntil = new Date(now.getTime() + lockout);
+  }
+
+  const windowEnd = new Date(now.getTime() + window);
+
+  await prisma.loginThrottle.update({
+    where: { key },
+    data: {
+      lockedUntil,
+      expiresAt: lockedUntil && lockedUntil > windowEnd ? lockedUntil : windowEnd
+    }
+  });
+};
+
+/**
+ * Current lockout for a login attempt, if any.
+ * Returns { code, retryAfter } (seconds) or null.
+ */
+const getLockout = async ({ email, ip }) => {
+  const keys = [ip && ipKey(ip), email && accountKey(email)].filter(Boolean);
+
+  const locks = await prisma.loginThrottle.findMany({
+    where: { key: { in: keys }, lockedUntil: { gt: new Date() } }
+  });
+
+  if (locks.length === 0) {
+    return null;
+  }
+
+  const lock = locks.reduce((latest, current) => (current.lockedUntil > latest.lockedUntil ? current : latest));
+
+  return {
+    code: lock.key.startsWith('account:') ? 'ACCOUNT_LOCKED' : 'TOO_MANY_LOGIN_ATTEMPTS',
+    retryAfter: Math.ceil((lock.lockedUntil.getTime() - Date.now()) / 1000)
+  };
+};
+
+/**
+ * Record a failed login for the account and the client IP
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+  const { accountThreshold, ipThreshold } = config();
+
+  await Promise.all([
+    email && addFailure(accountKey(email), accountThreshold),
+    ip && addFailure(ipKey(ip), ipThreshold)
+  ]);
+};
+
+/**
+ * Clear an account's failures after a successful login or an admin unlock
+ */
+const resetLoginFailures = (email) => {
+  return prisma.loginThrottle.deleteMany({
+    where: { key: accountKey(email) }
+  });
+};
+
+module.exports = {
+  getLockout,
+  recordLoginFailure,
+  resetLoginFailures
+};
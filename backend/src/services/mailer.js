@@ -0,0 +1,92 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mailer
+ *
+ * Sends mail through the transport selected by MAIL_TRANSPORT:
+ *   smtp   - deliver through an SMTP server (SMTP_* variables)
+ *   outbox - write each message as an .eml file to MAIL_OUTBOX_DIR,
+ *            so mail can be read locally without a mail server
+ */
+
+/**
+ * SMTP transport
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * Filesystem "outbox" transport
+ */
+const createOutboxTransport = (directory = process.env.MAIL_OUTBOX_DIR || 'outbox') => {
+  // Build the raw RFC 822 message without sending it anywhere
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+      const filePath = path.resolve(directory, fileName);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, info.message);
+
+      return { ...info, path: filePath };
+    }
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Send an email
+ */
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Prime Trade <no-reply@primetrade.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  createSmtpTransport,
+  createOutboxTransport
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const prisma = require('../config/db');
+const { hashToken } = require('./tokenService');
+const { generateSecret, buildOtpauthUri, verifyCode } = require('./totp');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+
+/**
+ * Two-factor authentication helpers: secret storage, enrollment data,
+ * recovery codes, the interim login token and the role policy.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * New TOTP secret with the data an authenticator app needs to enroll it
+ */
+const createEnrollment = async (email) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUri({
+    secret,
+    account: email,
+    issuer: process.env.MFA_ISSUER || 'Prime Trade'
+  });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+    encryptedSecret: encryptSecret(secret)
+  };
+};
+
+const normalizeRecoveryCode = (code) => code.trim().toLowerCase().replace(/\s/g, '');
+
+/**
+ * Generate one-time recovery codes. Returns the plaintext codes (shown once)
+ * and the hashes to store.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+const hashRecoveryCode = (code) => hashToken(normalizeRecoveryCode(code));
+
+/**
+ * Check a TOTP code for a user with 2FA enabled. Each code is accepted only once:
+ * the matched time step must be newer than the last one used.
+ */
+const consumeTotpCode = async (user, code) => {
+  const step = verifyCode(decryptSecret(user.mfaSecret), code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, mfaLastUsedStep: { lt: step } },
+    data: { mfaLastUsedStep: step }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Check and burn a recovery code
+ */
+const consumeRecoveryCode = async (user, code) => {
+  const hash = hashRecoveryCode(code);
+
+  if (!user.mfaRecoveryCodes.includes(hash)) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, mfaRecoveryCodes: { has: hash } },
+    data: { mfaRecoveryCodes: user.mfaRecoveryCodes.filter((value) => value !== hash) }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Check a second factor: a TOTP code or, failing that, a recovery code
+ */
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) return consumeTotpCode(user, code);
+  if (recoveryCode) return consumeRecoveryCode(user, recoveryCode);
+  return false;
+};
+
+/**
+ * Short-lived token proving the password step of a two-step login
+ */
+const signMfaToken = (userId) => {
+  return jwt.sign(
+    { userId, type: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.MFA_TOKEN_EXPIRES_IN || '5m' }
+  );
+};
+
+/**
+ * Verify an interim MFA token. Returns the decoded payload or null.
+ */
+const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'mfa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether the MFA policy (MFA_REQUIRED_ROLES) requires 2FA for a role
+ */
+const isMfaRequired = (role) => {
+  return (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map((value) => value.trim())
+    .includes(role);
+};
+
+module.exports = {
+  createEnrollment,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  consumeSecondFactor,
+  signMfaToken,
+  verifyMfaToken,
+  isMfaRequired
+};
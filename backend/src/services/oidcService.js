@@ -0,0 +1,224 @@
+const { Issuer, generators } = require('openid-client');
+const prisma = require('../config/db');
+const { apiUrl } = require('../config/urls');
+const { ensureTtlIndex } = require('./ttlIndex');
+const { createPersonalWorkspace } = require('./workspaceService');
+
+/**
+ * Single sign-on through OpenID Connect providers (authorization code flow with PKCE).
+ *
+ * Providers are listed in OIDC_PROVIDERS (e.g. "company,google") and each one is
+ * configured with OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET and
+ * optionally OIDC_<ID>_NAME (button label) and OIDC_<ID>_SCOPES.
+ */
+
+// How long a user has to finish signing in at the provider
+const AUTH_REQUEST_LIFETIME_MS = 10 * 60 * 1000;
+
+const providerIds = () =>
+  (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Configuration of a provider, or null if it is unknown or incomplete
+ */
+const getProvider = (id) => {
+  if (!providerIds().includes(id)) {
+    return null;
+  }
+
+  const env = (name) => process.env[`OIDC_${id.toUpperCase().replace(/-/g, '_')}_${name}`];
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    return null;
+  }
+
+  return {
+    id,
+    name: env('NAME') || id,
+    issuer: env('ISSUER'),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scope: env('SCOPES') || 'openid email profile',
+    redirectUri: `${apiUrl()}/api/v1/auth/oidc/${id}/callback`
+  };
+};
+
+/**
+ * Providers users can sign in with
+ */
+const listProviders = () =>
+  providerIds()
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+
+// Discovered clients, one per provider, created on first use
+const clients = new Map();
+
+const getClient = (provider) => {
+  if (!clients.has(provider.id)) {
+    const client = Issuer.discover(provider.issuer)
+      .then((issuer) => new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        redirect_uris: [provider.redirectUri],
+        response_types: ['code'],
+        token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+      }))
+      .catch((error) => {
+        clients.delete(provider.id);
+        throw error;
+      });
+
+    clients.set(provider.id, client);
+  }
+
+  return clients.get(provider.id);
+};
+
+/**
+ * Start a sign-in: remember state, nonce and PKCE verifier and
+ * return the provider URL to send the browser to
+ */
+const createAuthorizationUrl = async (provider) => {
+  const client = await getClient(provider);
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await ensureTtlIndex('oidc_auth_requests');
+  await prisma.oidcAuthRequest.create({
+    data: {
+      state,
+      nonce,
+      codeVerifier,
+      provider: provider.id,
+      expiresAt: new Date(Date.now() + AUTH_REQUEST_LIFETIME_MS)
+    }
+  });
+
+  return client.authorizationUrl({
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+};
+
+/**
+ * Finish a sign-in from the provider's redirect. Returns the ID token claims
+ * (plus userinfo when the ID token has no email), or null if the state is
+ * unknown, expired or was already used. Provider errors are thrown.
+ */
+const handleCallback = async (provider, req) => {
+  const client = await getClient(provider);
+  const params = client.callbackParams(req);
+
+  if (!params.state) {
+    return null;
+  }
+
+  const authRequest = await prisma.oidcAuthRequest.findUnique({
+    where: { state: params.state }
+  });
+
+  if (!authRequest || authRequest.provider !== provider.id || authRequest.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // Each authorization request can be completed once
+  const { count } = await prisma.oidcAuthRequest.deleteMany({
+    where: { id: authRequest.id }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const tokenSet = await client.callback(provider.redirectUri, params, {
+    state: authRequest.state,
+    nonce: authRequest.nonce,
+    code_verifier: authRequest.codeVerifier
+  });
+
+  const claims = tokenSet.claims();
+
+  if (!claims.email && tokenSet.access_token) {
+    const userinfo = await client.userinfo(tokenSet);
+    return { ...userinfo, ...claims };
+  }
+
+  return claims;
+};
+
+/**
+ * Find the user for an external identity. Identities seen before map to their
+ * user; new ones are linked to the account with the same email, or a new
+ * account is created. Linking requires an email the provider has verified, and
+ * an account whose owner has verified it too: anyone could have registered an
+ * unverified account, and linking would let them keep signing in to it.
+ * Answers `{ user }`, or `{ error }` with the code of why the identity cannot be linked.
+ */
+const findOrCreateUser = async (providerId, claims) => {
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider: providerId, subject: claims.sub } },
+    include: { user: true }
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date() }
+    });
+
+    return { user: identity.user };
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    return { error: 'EMAIL_NOT_VERIFIED' };
+  }
+
+  const email = claims.email.toLowerCase();
+  let user = await prisma.user.findUnique({ where: { email } });
+
+  if (!user) {
+    user = await prisma.user.create({
+      data: {
+        email,
+        firstName: claims.given_name,
+        lastName: claims.family_name,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }
+    });
+    await createPersonalWorkspace(user);
+  } else if (!user.emailVerified) {
+    // Its owner proves control first, e.g. with a password reset
+    return { error: 'ACCOUNT_NOT_VERIFIED' };
+  }
+
+  await prisma.userIdentity.create({
+    data: {
+      provider: providerId,
+      subject: claims.sub,
+      email,
+      lastLoginAt: new Date(),
+      userId: user.id
+    }
+  });
+
+  return { user };
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationUrl,
+  handleCallback,
+  findOrCreateUser
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Personal access tokens for scripts and integrations.
+ * Tokens look like `pat_<random>`; only their hash is stored.
+ */
+
+const TOKEN_PREFIX = 'pat_';
+
+// Scopes a personal access token can be granted
+const SCOPES = ['tasks:read', 'tasks:write', 'profile:read'];
+
+// Don't write lastUsedAt more than once per interval for a busy token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token. Returns the stored record and the plaintext token,
+ * which is never retrievable again.
+ */
+const createPersonalAccessToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = await prisma.personalAccessToken.create({
+    data: {
+      name,
+      scopes,
+      expiresAt,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      userId
+    }
+  });
+
+  return { token, record };
+};
+
+/**
+ * Look up a presented token. Returns null if unknown, revoked or expired.
+ */
+const findPersonalAccessToken = async (token) => {
+  const record = await prisma.personalAccessToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!record || record.revokedAt || (record.expiresAt && record.expiresAt <= new Date())) {
+    return null;
+  }
+
+  return record;
+};
+
+/**
+ * Record that a token was used
+ */
+const touchPersonalAccessToken = async (record) => {
+  const now = Date.now();
+
+  if (record.lastUsedAt && now - record.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+
+  await prisma.personalAccessToken.update({
+    where: { id: record.id },
+    data: { lastUsedAt: new Date(now) }
+  });
+};
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  createPersonalAccessToken,
+  findPersonalAccessToken,
+  touchPersonalAccessToken
+};
@@ -0,0 +1,201 @@
+/**
+ * Authorization policy: which roles may do what, and to whose resources.
+ *
+ * Permissions are named `<resource>:<action>`. Actions on owned resources
+ * are granted with a suffix: `:own` (resources the user owns) or `:any`.
+ * A task shared with a user counts as their own for the actions the share
+ * grants, within what their role allows on their own tasks.
+ *
+ * The account role grants account-wide permissions. Task permissions come
+ * from the user's role in the active workspace (`user.workspaceRole`, set by
+ * the workspace middleware), and `:any` means any task of that workspace.
+ * The account role bounds the workspace role (see ACCOUNT_ROLE_BOUNDS).
+ */
+
+const PERMISSIONS = {
+  TASK_CREATE: 'task:create',
+  TASK_READ_OWN: 'task:read:own',
+  TASK_READ_ANY: 'task:read:any',
+  TASK_UPDATE_OWN: 'task:update:own',
+  TASK_UPDATE_ANY: 'task:update:any',
+  TASK_DELETE_OWN: 'task:delete:own',
+  TASK_DELETE_ANY: 'task:delete:any',
+  TASK_SHARE_OWN: 'task:share:own',
+  TASK_SHARE_ANY: 'task:share:any',
+  TASK_STATS: 'task:stats',
+  // Start or complete a task while tasks blocking it are still open
+  TASK_FORCE_STATUS: 'task:force-status',
+  PROJECT_CREATE: 'project:create',
+  PROJECT_UPDATE_OWN: 'project:update:own',
+  PROJECT_UPDATE_ANY: 'project:update:any',
+  PROJECT_DELETE_OWN: 'project:delete:own',
+  PROJECT_DELETE_ANY: 'project:delete:any',
+  WORKSPACE_MANAGE: 'workspace:manage',
+  USER_MANAGE: 'user:manage'
+};
+
+const {
+  TASK_CREATE,
+  TASK_READ_OWN,
+  TASK_READ_ANY,
+  TASK_UPDATE_OWN,
+  TASK_UPDATE_ANY,
+  TASK_DELETE_OWN,
+  TASK_DELETE_ANY,
+  TASK_SHARE_OWN,
+  TASK_STATS,
+  PROJECT_CREATE,
+  PROJECT_UPDATE_OWN,
+  PROJECT_UPDATE_ANY,
+  PROJECT_DELETE_OWN,
+  WORKSPACE_MANAGE,
+  USER_MANAGE
+} = PERMISSIONS;
+
+// Account-wide permissions, by account role
+const ROLE_PERMISSIONS = {
+  VIEWER: [],
+  USER: [],
+  MANAGER: [],
+  ADMIN: [USER_MANAGE]
+};
+
+// Permissions within a workspace, by workspace role
+const WORKSPACE_ROLE_PERMISSIONS = {
+  // Read-only access to every task
+  VIEWER: [TASK_READ_ANY],
+  MEMBER: [
+    TASK_CREATE, TASK_READ_OWN, TASK_UPDATE_OWN, TASK_DELETE_OWN, TASK_SHARE_OWN,
+    PROJECT_CREATE, PROJECT_UPDATE_OWN, PROJECT_DELETE_OWN
+  ],
+  // Oversees everyone's tasks and projects, but only deletes and shares their own
+  MANAGER: [
+    TASK_CREATE, TASK_READ_ANY, TASK_UPDATE_ANY, TASK_DELETE_OWN, TASK_SHARE_OWN, TASK_STATS,
+    PROJECT_CREATE, PROJECT_UPDATE_ANY, PROJECT_DELETE_OWN
+  ],
+  ADMIN: Object.values(PERMISSIONS).filter((permission) => permission !== USER_MANAGE)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+// Lowest to highest
+const WORKSPACE_ROLES = Object.keys(WORKSPACE_ROLE_PERMISSIONS);
+
+// Workspace roles implied by the account role: viewer accounts are read-only in
+// every workspace, manager accounts oversee every workspace they belong to
+const ACCOUNT_ROLE_BOUNDS = {
+  VIEWER: { max: 'VIEWER' },
+  MANAGER: { min: 'MANAGER' }
+};
+
+// Field holding the owner's user ID, per kind of resource
+const OWNER_FIELDS = {
+  task: 'userId',
+  project: 'createdById'
+};
+
+// Actions granted by each task share permission. Only owners delete or reshare.
+const SHARED_ACTIONS = {
+  VIEW: ['task:read'],
+  EDIT: ['task:read', 'task:update']
+};
+
+const sharePermissionsFor = (action) =>
+  Object.keys(SHARED_ACTIONS).filter((permission) => SHARED_ACTIONS[permission].includes(action));
+
+/**
+ * The role a user acts with in a workspace: their role there, within the
+ * bounds of their account role
+ */
+const effectiveWorkspaceRole = (workspaceRole, accountRole) => {
+  let rank = WORKSPACE_ROLES.indexOf(workspaceRole);
+
+  if (rank === -1) {
+    return null;
+  }
+
+  const { min, max } = ACCOUNT_ROLE_BOUNDS[accountRole] || {};
+  if (min) rank = Math.max(rank, WORKSPACE_ROLES.indexOf(min));
+  if (max) rank = Math.min(rank, WORKSPACE_ROLES.indexOf(max));
+
+  return WORKSPACE_ROLES[rank];
+};
+
+const workspacePermissionsFor = (workspaceRole, accountRole) =>
+  WORKSPACE_ROLE_PERMISSIONS[effectiveWorkspaceRole(workspaceRole, accountRole)] || [];
+
+const permissionsFor = (user) => (user
+  ? [...(ROLE_PERMISSIONS[user.role] || []), ...workspacePermissionsFor(user.workspaceRole, user.role)]
+  : []);
+
+const ownerField = (action) => OWNER_FIELDS[action.split(':')[0]];
+
+const isOwner = (user, action, resource) => {
+  const field = ownerField(action);
+  return !!field && resource[field] === user.id;
+};
+
+// Expects the resource to be loaded with its `shares` (at least the user's)
+const isSharedWith = (user, action, resource) =>
+  (resource.shares || []).some((share) =>
+    share.userId === user.id && SHARED_ACTIONS[share.permission].includes(action)
+  );
+
+/**
+ * Whether the user may perform an action, e.g. can(user, 'task:update', task).
+ * Without a resource, only permissions that are not limited to own resources count.
+ */
+const can = (user, action, resource) => {
+  const granted = permissionsFor(user);
+
+  if (granted.includes(action) || granted.includes(`${action}:any`)) {
+    return true;
+  }
+
+  if (!resource || !granted.includes(`${action}:own`)) {
+    return false;
+  }
+
+  return isOwner(user, action, resource) || isSharedWith(user, action, resource);
+};
+
+/**
+ * Whether the user may perform an action on at least some resources
+ * (e.g. their own), before a specific resource is known
+ */
+const canSometimes = (user, action) =>
+  can(user, action) || permissionsFor(user).includes(`${action}:own`);
+
+/**
+ * Prisma `where` conditions limiting a list to the resources the user may
+ * perform the action on, or null if they may not perform it at all
+ */
+const accessFilter = (user, action) => {
+  if (can(user, action)) {
+    return {};
+  }
+
+  if (permissionsFor(user).includes(`${action}:own`)) {
+    const conditions = [{ [ownerField(action)]: user.id }];
+    const sharePermissions = sharePermissionsFor(action);
+
+    if (sharePermissions.length > 0) {
+      conditions.push({ shares: { some: { userId: user.id, permission: { in: sharePermissions } } } });
+    }
+
+    return { OR: conditions };
+  }
+
+  return null;
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  WORKSPACE_ROLES,
+  permissionsFor,
+  effectiveWorkspaceRole,
+  workspacePermissionsFor,
+  can,
+  canSometimes,
+  accessFilter
+};
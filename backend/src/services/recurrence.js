@@ -0,0 +1,238 @@
+const { DateTime, IANAZone } = require('luxon');
+
+/**
+ * Recurrence rules for repeating tasks: the subset of iCalendar RRULEs (RFC 5545)
+ * made of FREQ (DAILY, WEEKLY or MONTHLY), INTERVAL, BYDAY, BYMONTHDAY and an end
+ * with UNTIL or COUNT, e.g. FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10 or FREQ=MONTHLY;BYDAY=-1FR.
+ *
+ * Occurrences are computed in the series' timezone, at the wall-clock time of its first
+ * occurrence, so a task due at 09:00 stays due at 09:00 across DST changes.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// In luxon's order: weekday 1 is Monday
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const MAX_RULE_LENGTH = 200;
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 999;
+// Months looked at for a monthly occurrence before giving up (e.g. BYMONTHDAY=31 every 12 months)
+const MAX_MONTHS_AHEAD = 100;
+
+const BYDAY_PATTERN = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/;
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+
+const positiveInteger = (value, max, name) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < 1 || number > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}.`);
+  }
+  return number;
+};
+
+/**
+ * Parse a rule (with or without the "RRULE:" prefix). Throws an error explaining
+ * what is wrong with invalid or unsupported rules.
+ */
+const parseRule = (text) => {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_RULE_LENGTH) {
+    throw new Error(`The repeat rule must be an RRULE of at most ${MAX_RULE_LENGTH} characters.`);
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+  const parts = text.trim().replace(/^RRULE:/i, '').toUpperCase().split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, value = ''] = part.split('=');
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}.`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = positiveInteger(value, MAX_INTERVAL, 'INTERVAL');
+        break;
+      case 'COUNT':
+        rule.count = positiveInteger(value, MAX_COUNT, 'COUNT');
+        break;
+      case 'UNTIL': {
+        const match = UNTIL_PATTERN.exec(value);
+        if (!match) {
+          throw new Error('UNTIL must be a date such as 20261231 or 20261231T170000Z.');
+        }
+        const [, year, month, day, hour, minute, second, utc] = match;
+        rule.until = { year: +year, month: +month, day: +day, utc: !!utc };
+        if (hour !== undefined) {
+          Object.assign(rule.until, { hour: +hour, minute: +minute, second: +second });
+        }
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.split(',').map((token) => {
+          const match = BYDAY_PATTERN.exec(token);
+          if (!match) {
+            throw new Error('BYDAY must list weekdays such as MO,WE or, for monthly rules, 2TU or -1FR.');
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]) + 1, nth: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map((token) => {
+          const day = parseInt(token, 10);
+          if (!/^-?\d{1,2}$/.test(token) || day === 0 || Math.abs(day) > 31) {
+            throw new Error('BYMONTHDAY must list days of the month from 1 to 31, or -1 to -31 from the end.');
+          }
+          return day;
+        });
+        break;
+      case 'WKST':
+        if (value !== 'MO') {
+          throw new Error('Only weeks starting on Monday (WKST=MO) are supported.');
+        }
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}.`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('The repeat rule needs a FREQ.');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('A repeat rule can end with UNTIL or COUNT, not both.');
+  }
+  if (rule.byDay.length > 0 && rule.freq === 'DAILY') {
+    throw new Error('BYDAY applies to WEEKLY and MONTHLY rules.');
+  }
+  if (rule.byDay.some((day) => day.nth !== null) && rule.freq !== 'MONTHLY') {
+    throw new Error('Numbered weekdays such as 2TU apply to MONTHLY rules.');
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY applies to MONTHLY rules.');
+  }
+  if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+    throw new Error('Monthly rules repeat either BYDAY or BYMONTHDAY, not both.');
+  }
+
+  return rule;
+};
+
+/**
+ * Why a rule is invalid or unsupported, or null if it can be used
+ */
+const ruleError = (text) => {
+  try {
+    parseRule(text);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+const isValidTimezone = (timezone) => IANAZone.isValidZone(timezone);
+
+/**
+ * Days of a month (1-31) on which a monthly rule falls
+ */
+const monthDays = (rule, month, start) => {
+  const length = month.daysInMonth;
+
+  if (rule.byMonthDay.length > 0) {
+    return rule.byMonthDay.map((day) => (day > 0 ? day : length + day + 1));
+  }
+
+  if (rule.byDay.length > 0) {
+    return rule.byDay.flatMap(({ weekday, nth }) => {
+      const days = [];
+      for (let day = 1; day <= length; day += 1) {
+        if (month.set({ day }).weekday === weekday) {
+          days.push(day);
+        }
+      }
+      if (nth === null) {
+        return days;
+      }
+      return [nth > 0 ? days[nth - 1] : days[days.length + nth]];
+    });
+  }
+
+  return [start.day];
+};
+
+/**
+ * The next occurrence of a series after the given one: `rule` and `timezone` are the
+ * series', `start` its first occurrence and `occurrence` the number of the current one
+ * (1 for the first). Returns null once the rule has ended.
+ */
+const nextOccurrence = ({ rule: text, timezone, start: startDate }, after, occurrence) => {
+  const rule = parseRule(text);
+
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const start = DateTime.fromJSDate(startDate, { zone: timezone });
+  const current = DateTime.fromJSDate(after, { zone: timezone });
+  let day = null;
+
+  if (rule.freq === 'DAILY') {
+    day = current.plus({ days: rule.interval });
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length > 0
+      ? [...new Set(rule.byDay.map((byDay) => byDay.weekday))].sort((a, b) => a - b)
+      : [start.weekday];
+    const later = weekdays.find((weekday) => weekday > current.weekday);
+
+    // Weeks start on Monday, so setting the weekday stays in the same week
+    day = later
+      ? current.set({ weekday: later })
+      : current.plus({ weeks: rule.interval }).set({ weekday: weekdays[0] });
+  } else {
+    for (let months = 0; months <= MAX_MONTHS_AHEAD && !day; months += rule.interval) {
+      const month = current.startOf('month').plus({ months });
+      const days = monthDays(rule, month, start)
+        .filter((candidate) => candidate >= 1 && candidate <= month.daysInMonth)
+        .filter((candidate) => months > 0 || candidate > current.day)
+        .sort((a, b) => a - b);
+
+      if (days.length > 0) {
+        day = month.set({ day: days[0] });
+      }
+    }
+  }
+
+  if (!day) {
+    return null;
+  }
+
+  // Same wall-clock time as the first occurrence, whatever the UTC offset on that day
+  const next = day.set({
+    hour: start.hour,
+    minute: start.minute,
+    second: start.second,
+    millisecond: start.millisecond
+  });
+
+  if (rule.until) {
+    const { utc, ...fields } = rule.until;
+    const until = fields.hour === undefined
+      ? DateTime.fromObject(fields, { zone: timezone }).endOf('day')
+      : DateTime.fromObject(fields, { zone: utc ? 'utc' : timezone });
+
+    if (next > until) {
+      return null;
+    }
+  }
+
+  return next.toJSDate();
+};
+
+module.exports = {
+  parseRule,
+  ruleError,
+  isValidTimezone,
+  nextOccurrence
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const prisma = require('../config/db');
+const { FINISHED_STATUSES, memberCan } = require('./taskService');
+const { sendTaskReminderEmail } = require('./emails');
+const { postWebhook } = require('./webhookService');
+
+/**
+ * Reminder scheduler
+ *
+ * Every REMINDER_POLL_INTERVAL, sends the reminders whose `fireAt` has passed,
+ * including those that fell due while no instance was running. An instance claims
+ * a reminder by setting its `lockedUntil` in a single conditional update, so each
+ * reminder is sent by one instance only; if that instance dies, the claim expires
+ * and another one sends it. Channels that fail are retried with backoff, without
+ * repeating the ones already delivered, until MAX_ATTEMPTS.
+ */
+
+// How long a claimed reminder is left to its instance
+const LOCK_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+// Reminders sent per run; the rest wait for the next one
+const BATCH_SIZE = 50;
+
+const pollInterval = () => ms(process.env.REMINDER_POLL_INTERVAL || '30s');
+
+// 2, 4, 8... minutes after each failed attempt
+const retryDelay = (attempts) => 2 ** attempts * 60 * 1000;
+
+/**
+ * Delivery channels, by ReminderChannel
+ */
+const channels = {
+  IN_APP: (reminder, task, user) =>
+    prisma.notification.create({
+      data: {
+        type: 'TASK_REMINDER',
+        title: `Reminder: ${task.title}`,
+        body: task.dueDate ? `Due ${task.dueDate.toUTCString()}` : null,
+        userId: user.id,
+        taskId: task.id
+      }
+    }),
+
+  EMAIL: (reminder, task, user) => sendTaskReminderEmail(user, task),
+
+  // POST the reminder as JSON, signed with REMINDER_WEBHOOK_SECRET when set, to
+  // public addresses only (see webhookService.js)
+  WEBHOOK: async (reminder, task, user) => {
+    const body = JSON.stringify({
+      event: 'task.reminder',
+      reminder: { id: reminder.id, remindAt: reminder.remindAt, offsetMinutes: reminder.offsetMinutes },
+      task: { id: task.id, title: task.title, status: task.status, dueDate: task.dueDate, workspaceId: task.workspaceId },
+      user: { id: user.id, email: user.email },
+      sentAt: new Date()
+    });
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (process.env.REMINDER_WEBHOOK_SECRET) {
+      const signature = crypto
+        .createHmac('sha256', process.env.REMINDER_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+      headers['X-Reminder-Signature'] = `sha256=${signature}`;
+    }
+
+    await postWebhook(reminder.webhookUrl, body, headers);
+  }
+};
+
+// What users see of a failed channel: webhook errors are not shown, as they would
+// tell what the API can reach
+const publicError = (channel, error) =>
+  (channel === 'WEBHOOK' ? 'delivery failed' : error.message);
+
+// Not sent yet and not claimed by another instance
+const claimable = (now) => ({
+  sentAt: null,
+  fireAt: { lte: now },
+  OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }]
+});
+
+/**
+ * Claim a due reminder for this instance. False if another instance was first.
+ */
+const claimReminder = async (id, now) => {
+  const { count } = await prisma.taskReminder.updateMany({
+    where: { id, ...claimable(now) },
+    data: { lockedUntil: new Date(now.getTime() + LOCK_MS) }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Whether the reminder should still go out: its task is open and its user can
+ * still see it
+ */
+const stillRelevant = ({ task, user }) =>
+  !FINISHED_STATUSES.includes(task.status) && memberCan(user, 'task:read', task);
+
+/**
+ * Deliver a claimed reminder on the channels not delivered yet, then record
+ * it as sent, or schedule a retry
+ */
+const sendReminder = async (id) => {
+  const reminder = await prisma.taskReminder.findUnique({
+    where: { id },
+    include: {
+      task: { include: { shares: { select: { userId: true, permission: true } } } },
+      user: { select: { id: true, email: true, firstName: true, role: true } }
+    }
+  });
+  const now = new Date();
+
+  if (!(await stillRelevant(reminder))) {
+    await prisma.taskReminder.update({
+      where: { id },
+      data: { fireAt: null, lockedUntil: null, lastError: 'Skipped: the task is finished or no longer shared.' }
+    });
+    return;
+  }
+
+  const delivered = [...reminder.deliveredChannels];
+  const errors = [];
+
+  for (const channel of reminder.channels.filter((name) => !delivered.includes(name))) {
+    try {
+      await channels[channel](reminder, reminder.task, reminder.user);
+      delivered.push(channel);
+    } catch (error) {
+      console.error(`Sending reminder ${id} by ${channel} failed:`, error);
+      errors.push(`${channel}: ${publicError(channel, error)}`);
+    }
+  }
+
+  if (errors.length === 0) {
+    await prisma.taskReminder.update({
+      where: { id },
+      data: { sentAt: now, fireAt: null, lockedUntil: null, deliveredChannels: delivered, lastError: null }
+    });
+    return;
+  }
+
+  const attempts = reminder.attempts + 1;
+
+  await prisma.taskReminder.update({
+    where: { id },
+    data: {
+      attempts,
+      // Given up after MAX_ATTEMPTS
+      fireAt: attempts < MAX_ATTEMPTS ? new Date(now.getTime() + retryDelay(attempts)) : null,
+      lockedUntil: null,
+      deliveredChannels: delivered,
+      lastError: errors.join('; ')
+    }
+  });
+};
+
+/**
+ * Send the reminders that are due. Returns how many this instance handled.
+ */
+const runDueReminders = async () => {
+  const now = new Date();
+  const due = await prisma.taskReminder.findMany({
+    where: claimable(now),
+    orderBy: { fireAt: 'asc' },
+    take: BATCH_SIZE,
+    select: { id: true }
+  });
+  let handled = 0;
+
+  for (const { id } of due) {
+    try {
+      if (await claimReminder(id, now)) {
+        await sendReminder(id);
+        handled += 1;
+      }
+    } catch (error) {
+      // The claim expires and the reminder is tried again
+      console.error(`Sending reminder ${id} failed:`, error);
+    }
+  }
+
+  return handled;
+};
+
+/**
+ * Send due reminders now and periodically
+ */
+const scheduleReminders = () => {
+  if (process.env.REMINDER_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  let running = false;
+
+  const check = () => {
+    // A slow run is not overlapped by the next one
+    if (running) {
+      return;
+    }
+
+    running = true;
+    runDueReminders()
+      .catch((error) => {
+        console.error('Reminder scheduler failed:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  check();
+  setInterval(check, pollInterval()).unref();
+};
+
+module.exports = {
+  channels,
+  runDueReminders,
+  scheduleReminders
+};
@@ -0,0 +1,89 @@
+const prisma = require('../config/db');
+
+/**
+ * Task reminders: when each one is due to be sent. A reminder is either at a
+ * fixed time (`remindAt`) or some minutes before the task is due (`offsetMinutes`),
+ * in which case it follows the due date. Sending is left to the reminder scheduler.
+ */
+
+const MAX_REMINDERS_PER_TASK = 10;
+// Longest offset before the due date: 30 days
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
+
+/**
+ * When a reminder is due to be sent, or null for an offset on a task without a due date
+ */
+const fireAtFor = ({ remindAt, offsetMinutes }, dueDate) => {
+  if (remindAt) {
+    return remindAt;
+  }
+
+  return dueDate ? new Date(dueDate.getTime() - offsetMinutes * 60 * 1000) : null;
+};
+
+/**
+ * Follow a task's new due date with its offset reminders. A reminder already sent
+ * is sent again when it now falls in the future.
+ */
+const rescheduleReminders = async (task) => {
+  const reminders = await prisma.taskReminder.findMany({
+    where: { taskId: task.id, offsetMinutes: { not: null } }
+  });
+  const now = new Date();
+
+  await Promise.all(reminders.map((reminder) => {
+    const fireAt = fireAtFor(reminder, task.dueDate);
+
+    if (reminder.sentAt && (!fireAt || fireAt <= now)) {
+      return null;
+    }
+
+    return prisma.taskReminder.update({
+      where: { id: reminder.id },
+      data: {
+        fireAt,
+        sentAt: null,
+        deliveredChannels: [],
+        attempts: 0,
+        lastError: null
+      }
+    });
+  }));
+};
+
+/**
+ * Give the next occurrence of a repeating task the offset reminders of the
+ * completed one (fixed-time reminders belong to that occurrence only)
+ */
+const copyReminders = async (from, to) => {
+  const reminders = await prisma.taskReminder.findMany({
+    where: { taskId: from.id, offsetMinutes: { not: null } }
+  });
+
+  if (reminders.length === 0) {
+    return;
+  }
+
+  await prisma.taskReminder.createMany({
+    // Unset fields would not match the scheduler's `null` filters, so they are set explicitly
+    data: reminders.map(({ offsetMinutes, channels, webhookUrl, userId }) => ({
+      remindAt: null,
+      offsetMinutes,
+      channels,
+      webhookUrl,
+      userId,
+      taskId: to.id,
+      fireAt: fireAtFor({ offsetMinutes }, to.dueDate),
+      sentAt: null,
+      lockedUntil: null
+    }))
+  });
+};
+
+module.exports = {
+  MAX_REMINDERS_PER_TASK,
+  MAX_OFFSET_MINUTES,
+  fireAtFor,
+  rescheduleReminders,
+  copyReminders
+};
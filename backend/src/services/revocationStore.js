@@ -0,0 +1,74 @@
+const prisma = require('../config/db');
+const { ensureTtlIndex } = require('./ttlIndex');
+
+/**
+ * Revocation store
+ *
+ * Keeps revoked token identifiers until the token would have expired anyway.
+ * Both adapters expose the same interface:
+ *   revoke(key, expiresAt)  - mark a key as revoked until expiresAt
+ *   isRevoked(keys)         - true if any of the keys is currently revoked
+ */
+
+/**
+ * MongoDB adapter. Expired entries are removed by a TTL index.
+ */
+const createMongoStore = (client = prisma) => {
+  return {
+    async revoke(key, expiresAt) {
+      await ensureTtlIndex('revoked_tokens', 'expiresAt', client);
+      await client.revokedToken.upsert({
+        where: { key },
+        update: { expiresAt },
+        create: { key, expiresAt }
+      });
+    },
+
+    async isRevoked(keys) {
+      // The TTL monitor only runs periodically, so check expiry as well
+      const entry = await client.revokedToken.findFirst({
+        where: { key: { in: keys }, expiresAt: { gt: new Date() } },
+        select: { id: true }
+      });
+      return !!entry;
+    }
+  };
+};
+
+/**
+ * In-memory adapter for tests and single-process development
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    async revoke(key, expiresAt) {
+      entries.set(key, expiresAt.getTime());
+    },
+
+    async isRevoked(keys) {
+      const now = Date.now();
+      return keys.some((key) => {
+        const expiresAt = entries.get(key);
+        if (expiresAt === undefined) return false;
+        if (expiresAt <= now) {
+          entries.delete(key);
+          return false;
+        }
+        return true;
+      });
+    }
+  };
+};
+
+const useMemoryStore = process.env.TOKEN_STORE
+  ? process.env.TOKEN_STORE === 'memory'
+  : process.env.NODE_ENV === 'test';
+
+const revocationStore = useMemoryStore ? createMemoryStore() : createMongoStore();
+
+module.exports = {
+  revocationStore,
+  createMongoStore,
+  createMemoryStore
+};
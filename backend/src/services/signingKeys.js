@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const prisma = require('../config/db');
+const { ensureTtlIndex } = require('./ttlIndex');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+
+/**
+ * Asymmetric access token signing keys.
+ *
+ * With JWT_ALGORITHM set to RS256 or EdDSA, access tokens are signed with the
+ * newest key in the database and carry its `kid`. Every JWT_KEY_ROTATION_INTERVAL
+ * a new key takes over; the old one keeps verifying for JWT_KEY_GRACE_PERIOD so
+ * tokens it signed stay valid. Public keys are published as a JWKS.
+ */
+
+const generators = {
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  EdDSA: () => crypto.generateKeyPairSync('ed25519')
+};
+
+const ALGORITHMS = Object.keys(generators);
+
+// How often loaded keys are re-read, so rotations by other instances are picked up
+const CACHE_TTL_MS = 60 * 1000;
+// Minimum time between reloads triggered by an unknown kid
+const RELOAD_THROTTLE_MS = 5 * 1000;
+// How often the rotation schedule is checked
+const ROTATION_CHECK_MS = 60 * 60 * 1000;
+
+const signingAlgorithm = () => process.env.JWT_ALGORITHM || 'HS256';
+
+const usesSigningKeys = () => ALGORITHMS.includes(signingAlgorithm());
+
+const rotationInterval = () => ms(process.env.JWT_KEY_ROTATION_INTERVAL || '30d');
+
+// Retired keys must outlive the access tokens they signed
+const gracePeriod = () =>
+  ms(process.env.JWT_KEY_GRACE_PERIOD || process.env.JWT_EXPIRES_IN || '7d');
+
+const accessTokenLifetime = () => ms(process.env.JWT_EXPIRES_IN || '7d');
+
+let keys = [];
+let loadedAt = 0;
+let rotating = null;
+
+const toKey = (record) => ({
+  kid: record.kid,
+  algorithm: record.algorithm,
+  publicKey: crypto.createPublicKey(record.publicKey),
+  privateKey: crypto.createPrivateKey(decryptSecret(record.privateKey)),
+  createdAt: record.createdAt,
+  retiredAt: record.retiredAt,
+  expiresAt: record.expiresAt,
+  acceptHs256Until: record.acceptHs256Until
+});
+
+/**
+ * Read the keys that have not expired, newest first
+ */
+const loadKeys = async () => {
+  await ensureTtlIndex('signing_keys');
+
+  const records = await prisma.signingKey.findMany({
+    where: {
+      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  keys = records.map(toKey);
+  loadedAt = Date.now();
+  return keys;
+};
+
+const getKeys = () => (Date.now() - loadedAt > CACHE_TTL_MS ? loadKeys() : keys);
+
+/**
+ * Generate a key for the configured algorithm and retire the older ones
+ */
+const rotateSigningKey = async () => {
+  const algorithm = signingAlgorithm();
+  const { publicKey, privateKey } = generators[algorithm]();
+
+  // Without any other key, access tokens were signed with HS256 until now
+  const switching = (await loadKeys()).length === 0;
+
+  const created = await prisma.signingKey.create({
+    data: {
+      kid: crypto.randomBytes(12).toString('base64url'),
+      algorithm,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: encryptSecret(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      ...(switching && { acceptHs256Until: new Date(Date.now() + accessTokenLifetime()) })
+    }
+  });
+
+  // Only older keys, so instances rotating at the same time settle on the newest key
+  const now = new Date();
+  await prisma.signingKey.updateMany({
+    where: { retiredAt: null, createdAt: { lte: created.createdAt }, id: { not: created.id } },
+    data: { retiredAt: now, expiresAt: new Date(now.getTime() + gracePeriod()) }
+  });
+
+  return loadKeys();
+};
+
+const isDue = (key) =>
+  !key || key.algorithm !== signingAlgorithm() || Date.now() - key.createdAt >= rotationInterval();
+
+const activeKey = (candidates) => candidates.find((key) => !key.retiredAt);
+
+/**
+ * The key to sign new access tokens with, rotating first when it is due
+ */
+const getSigningKey = async () => {
+  let key = activeKey(await getKeys());
+
+  if (isDue(key)) {
+    rotating = rotating || rotateSigningKey().finally(() => {
+      rotating = null;
+    });
+    key = activeKey(await rotating);
+  }
+
+  return key;
+};
+
+/**
+ * The key that signed a token, by kid (null if unknown or expired)
+ */
+const findVerificationKey = async (kid) => {
+  const find = (candidates) => candidates.find((candidate) =>
+    candidate.kid === kid && !(candidate.expiresAt && candidate.expiresAt <= new Date())
+  );
+
+  let key = find(await getKeys());
+
+  // Possibly a key another instance just created
+  if (!key && Date.now() - loadedAt > RELOAD_THROTTLE_MS) {
+    key = find(await loadKeys());
+  }
+
+  return key || null;
+};
+
+/**
+ * Whether HS256 access tokens are still accepted: JWT_ACCEPT_HS256 "true" or
+ * "false" decides, otherwise they are until the last one issued before the
+ * switch to signing keys has expired
+ */
+const acceptsHs256 = async () => {
+  if (process.env.JWT_ACCEPT_HS256 === 'true' || process.env.JWT_ACCEPT_HS256 === 'false') {
+    return process.env.JWT_ACCEPT_HS256 === 'true';
+  }
+
+  // Creates the first key if none has been yet, which starts the switch
+  await getSigningKey();
+
+  const now = new Date();
+  return keys.some((key) => key.acceptHs256Until && key.acceptHs256Until > now);
+};
+
+/**
+ * Public keys as a JSON Web Key Set
+ */
+const getJwks = async () => {
+  if (!usesSigningKeys()) {
+    return { keys: [] };
+  }
+
+  // Make sure there is a key to publish before the first token is signed
+  await getSigningKey();
+
+  return {
+    keys: keys.map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+/**
+ * Check the rotation schedule now and periodically
+ */
+const scheduleKeyRotation = () => {
+  const algorithm = signingAlgorithm();
+
+  if (algorithm !== 'HS256' && !ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT_ALGORITHM "${algorithm}" (use HS256, ${ALGORITHMS.join(' or ')})`);
+  }
+
+  if (!usesSigningKeys()) {
+    return;
+  }
+
+  const check = () => {
+    getSigningKey().catch((error) => {
+      console.error('Signing key rotation failed:', error);
+    });
+  };
+
+  check();
+  setInterval(check, ROTATION_CHECK_MS).unref();
+};
+
+module.exports = {
+  ALGORITHMS,
+  usesSigningKeys,
+  getSigningKey,
+  findVerificationKey,
+  acceptsHs256,
+  rotateSigningKey,
+  getJwks,
+  scheduleKeyRotation
+};
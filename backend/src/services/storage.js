@@ -0,0 +1,117 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+/**
+ * Attachment storage
+ *
+ * Stores files under keys, in the driver selected by ATTACHMENT_STORAGE:
+ *   local - files in ATTACHMENT_DIR (use a shared volume when running several instances)
+ *   s3    - objects in S3_BUCKET of an S3-compatible service (AWS S3, MinIO, R2...);
+ *           `npm run mock:s3` starts a local stand-in
+ */
+
+/**
+ * Local disk driver
+ */
+const createLocalStorage = (directory = process.env.ATTACHMENT_DIR || 'uploads') => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the API, but never let one point outside the directory
+  const filePath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key "${key}".`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = filePath(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      const file = filePath(key);
+      // Fail here rather than mid-response when the file is missing
+      await fsp.access(file);
+      return fs.createReadStream(file);
+    },
+
+    delete: (key) => fsp.rm(filePath(key), { force: true })
+  };
+};
+
+/**
+ * S3-compatible driver
+ */
+const createS3Storage = () => {
+  // Loaded only when used
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required with ATTACHMENT_STORAGE=s3.');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // Bucket in the path rather than the host name, as MinIO and local stand-ins expect
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+    // Not every S3-compatible service accepts the checksums the SDK adds by default
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage;
+
+/**
+ * The configured storage: `put(key, buffer, contentType)`, `get(key)` answering
+ * a readable stream, and `delete(key)`
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = drivers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown ATTACHMENT_STORAGE "${name}".`);
+    }
+
+    storage = factory();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  createLocalStorage,
+  createS3Storage
+};
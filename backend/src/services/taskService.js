@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { can } = require('./policy');
+const { findMembership } = require('./workspaceService');
+const { nextOccurrence } = require('./recurrence');
+const { copyReminders } = require('./reminderService');
+const { deletingAttachments } = require('./attachmentService');
+
+// Levels of subtasks below a top-level task
+const maxSubtaskDepth = () => parseInt(process.env.TASK_MAX_SUBTASK_DEPTH) || 3;
+
+// Statuses that count as finished, for subtasks and for blocking tasks
+const FINISHED_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+// Dependencies on tasks that are not finished yet
+const openBlockerFilter = { blocker: { status: { notIn: FINISHED_STATUSES } } };
+
+/**
+ * Relations returned with a task: its owner, its project, its repeat rule, the
+ * status of its subtasks (for progress), how many open tasks block it and how
+ * many comments it has, and the share (if any) that gives the current user
+ * access, which clients use to tell what they may do
+ */
+const taskInclude = (user) => ({
+  user: {
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true
+    }
+  },
+  project: {
+    select: { id: true, name: true, color: true }
+  },
+  series: {
+    select: { id: true, rule: true, timezone: true }
+  },
+  subtasks: {
+    select: { id: true, status: true }
+  },
+  _count: {
+    select: { blockedBy: { where: openBlockerFilter }, comments: true }
+  },
+  shares: {
+    where: { userId: user.id },
+    select: { userId: true, permission: true }
+  }
+});
+
+/**
+ * Whether another user than the current one may perform an action on a task, as a
+ * member of its workspace. The task must be loaded with that user's shares.
+ */
+const memberCan = async (user, action, task) => {
+  const membership = await findMembership(user.id, task.workspaceId);
+
+  return !!membership && can({ ...user, workspaceRole: membership.role }, action, task);
+};
+
+/**
+ * Whether tasks of the workspace can be moved into a project: it must belong
+ * to the workspace and not be archived. `null` (the Inbox) always can.
+ */
+const isAssignableProject = async (projectId, workspaceId) => {
+  if (projectId === null) {
+    return true;
+  }
+
+  const project = await prisma.project.findFirst({
+    where: { id: projectId, workspaceId, archived: false },
+    select: { id: true }
+  });
+
+  return !!project;
+};
+
+/**
+ * Number of levels above a task (0 for a top-level task)
+ */
+const taskDepth = async (task) => {
+  let depth = 0;
+  let { parentId } = task;
+
+  while (parentId) {
+    depth += 1;
+    const parent = await prisma.task.findUnique({
+      where: { id: parentId },
+      select: { parentId: true }
+    });
+    parentId = parent && parent.parentId;
+  }
+
+  return depth;
+};
+
+/**
+ * Whether a subtask can be added below the parent without exceeding
+ * TASK_MAX_SUBTASK_DEPTH
+ */
+const canNestUnder = async (parent) => (await taskDepth(parent)) < maxSubtaskDepth();
+
+/**
+ * IDs of a task's subtasks, their subtasks, and so on
+ */
+const descendantIds = async (taskId) => {
+  const ids = [];
+  let level = [taskId];
+
+  while (level.length > 0) {
+    const children = await prisma.task.findMany({
+      where: { parentId: { in: level } },
+      select: { id: true }
+    });
+    level = children.map((child) => child.id);
+    ids.push(...level);
+  }
+
+  return ids;
+};
+
+/**
+ * Delete a task with all its subtasks and their attached files
+ */
+const deleteTaskTree = async (taskId) => {
+  const ids = await descendantIds(taskId);
+
+  await deletingAttachments({ taskId: { in: [taskId, ...ids] } }, () =>
+    // Deepest first, so no subtask is left without its parent
+    prisma.$transaction([
+      ...ids.reverse().map((id) => prisma.task.delete({ where: { id } })),
+      prisma.task.delete({ where: { id: taskId } })
+    ])
+  );
+};
+
+/**
+ * IDs of the unfinished tasks blocking a task
+ */
+const openBlockerIds = async (taskId) => {
+  const dependencies = await prisma.taskDependency.findMany({
+    where: { taskId, ...openBlockerFilter },
+    select: { blockerId: true }
+  });
+
+  return dependencies.map((dependency) => dependency.blockerId);
+};
+
+/**
+ * Whether making `taskId` wait for `blockerId` would close a cycle, i.e. the
+ * blocker already waits, directly or not, for the task (or is the task)
+ */
+const wouldCreateCycle = async (taskId, blockerId) => {
+  const visited = new Set([blockerId]);
+  let level = [blockerId];
+
+  while (level.length > 0) {
+    if (level.includes(taskId)) {
+      return true;
+    }
+
+    const dependencies = await prisma.taskDependency.findMany({
+      where: { taskId: { in: level } },
+      select: { blockerId: true }
+    });
+    level = dependencies
+      .map((dependency) => dependency.blockerId)
+      .filter((id) => !visited.has(id));
+    level.forEach((id) => visited.add(id));
+  }
+
+  return false;
+};
+
+// Fields of linked tasks, with what is needed to tell whether the user may read them
+const linkedTaskSelect = (user) => ({
+  id: true,
+  title: true,
+  status: true,
+  userId: true,
+  shares: {
+    where: { userId: user.id },
+    select: { userId: true, permission: true }
+  }
+});
+
+/**
+ * Tasks blocking a task (upstream) and tasks it blocks (downstream).
+ * Titles of tasks the user may not read are left out.
+ */
+const taskDependencies = async (task, user) => {
+  const [upstream, downstream] = await Promise.all([
+    prisma.taskDependency.findMany({
+      where: { taskId: task.id },
+      orderBy: { createdAt: 'asc' },
+      select: { blocker: { select: linkedTaskSelect(user) } }
+    }),
+    prisma.taskDependency.findMany({
+      where: { blockerId: task.id },
+      orderBy: { createdAt: 'asc' },
+      select: { task: { select: linkedTaskSelect(user) } }
+    })
+  ]);
+
+  const summary = ({ id, title, status, ...linked }) =>
+    (can(user, 'task:read', linked) ? { id, title, status } : { id, status });
+
+  return {
+    blockedBy: upstream.map((dependency) => summary(dependency.blocker)),
+    blocking: downstream.map((dependency) => summary(dependency.task))
+  };
+};
+
+/**
+ * Complete the task if it completes with its subtasks and they are all finished
+ * (at least one completed), then do the same for its parent, and so on.
+ * Returns the IDs of the tasks that were completed.
+ */
+const completeFinishedParents = async (taskId) => {
+  const completed = [];
+  let id = taskId;
+
+  while (id) {
+    const task = await prisma.task.findUnique({
+      where: { id },
+      select: { id: true, status: true, parentId: true, completeWithSubtasks: true }
+    });
+
+    if (!task || !task.completeWithSubtasks || FINISHED_STATUSES.includes(task.status)) {
+      break;
+    }
+
+    // A blocked task waits for its blockers, even when its subtasks are done
+    if ((await openBlockerIds(task.id)).length > 0) {
+      break;
+    }
+
+    const subtasks = await prisma.task.findMany({
+      where: { parentId: task.id },
+      select: { status: true }
+    });
+    const finished = subtasks.length > 0 &&
+      subtasks.every((subtask) => FINISHED_STATUSES.includes(subtask.status)) &&
+      subtasks.some((subtask) => subtask.status === 'COMPLETED');
+
+    if (!finished) {
+      break;
+    }
+
+    // Recorded without a user: the change follows from the subtasks', whatever the workflow
+    await prisma.$transaction([
+      prisma.task.update({
+        where: { id: task.id },
+        data: { status: 'COMPLETED', completedAt: new Date() }
+      }),
+      prisma.taskTransition.create({
+        data: { taskId: task.id, fromStatus: task.status, toStatus: 'COMPLETED' }
+      })
+    ]);
+    completed.push(task.id);
+    id = task.parentId;
+  }
+
+  return completed;
+};
+
+// Fields a series gives its occurrences
+const SERIES_FIELDS = ['title', 'description', 'priority', 'projectId', 'completeWithSubtasks'];
+
+const pick = (object, fields) =>
+  Object.fromEntries(fields.filter((field) => object[field] !== undefined).map((field) => [field, object[field]]));
+
+/**
+ * Make a task the first occurrence of a new series, with its fields after `changes`.
+ * Returns the task fields to save along with the changes.
+ */
+const startSeries = async (task, { rule, timezone = 'UTC' }, changes) => {
+  const fields = { ...task, ...changes };
+
+  const series = await prisma.taskSeries.create({
+    data: {
+      ...pick(fields, SERIES_FIELDS),
+      rule,
+      timezone,
+      start: fields.dueDate,
+      workspaceId: task.workspaceId
+    }
+  });
+
+  return { seriesId: series.id, occurrence: 1, occurrenceDate: fields.dueDate };
+};
+
+/**
+ * Apply changes to "all future occurrences" of a repeating task: its series and
+ * its later open occurrences, if any. A `rule` of null ends the series here.
+ * Returns the task fields to save along with the changes.
+ */
+const updateSeries = async (task, { rule, timezone }, changes) => {
+  const later = {
+    seriesId: task.seriesId,
+    occurrence: { gt: task.occurrence || 1 },
+    status: { notIn: FINISHED_STATUSES }
+  };
+
+  if (rule === null) {
+    const detached = { seriesId: null, occurrence: null, occurrenceDate: null };
+    await prisma.task.updateMany({ where: later, data: detached });
+    return detached;
+  }
+
+  const fields = pick(changes, SERIES_FIELDS);
+  const moved = changes.dueDate && changes.dueDate.getTime() !== (task.dueDate && task.dueDate.getTime());
+
+  await prisma.$transaction([
+    prisma.taskSeries.update({
+      where: { id: task.seriesId },
+      data: {
+        ...fields,
+        ...(rule !== undefined && { rule }),
+        ...(timezone !== undefined && { timezone }),
+        // Moving this occurrence moves the following ones, to the same time of day
+        ...(moved && { start: changes.dueDate })
+      }
+    }),
+    prisma.task.updateMany({ where: later, data: fields })
+  ]);
+
+  return moved ? { occurrenceDate: changes.dueDate } : {};
+};
+
+/**
+ * Create the next occurrence of a repeating task that was completed, with its
+ * series' fields, owner, shares and reminders before the due date, and its
+ * checklist unchecked. Returns null when the series has ended, or when that
+ * occurrence already exists (the task was reopened and completed again).
+ */
+const createNextOccurrence = async (task, user) => {
+  const series = task.seriesId && await prisma.taskSeries.findUnique({ where: { id: task.seriesId } });
+
+  if (!series) {
+    return null;
+  }
+
+  const occurrence = task.occurrence || 1;
+  const existing = await prisma.task.findFirst({
+    where: { seriesId: series.id, occurrence: { gt: occurrence } },
+    select: { id: true }
+  });
+  const dueDate = !existing && nextOccurrence(series, task.occurrenceDate || task.dueDate, occurrence);
+
+  if (!dueDate) {
+    return null;
+  }
+
+  const [projectOpen, shares] = await Promise.all([
+    series.projectId ? isAssignableProject(series.projectId, task.workspaceId) : false,
+    prisma.taskShare.findMany({
+      where: { taskId: task.id },
+      select: { userId: true, permission: true }
+    })
+  ]);
+
+  const next = await prisma.task.create({
+    data: {
+      title: series.title,
+      description: series.description,
+      priority: series.priority,
+      completeWithSubtasks: series.completeWithSubtasks,
+      dueDate,
+      userId: task.userId,
+      workspaceId: task.workspaceId,
+      projectId: projectOpen ? series.projectId : null,
+      parentId: task.parentId,
+      checklist: (task.checklist || []).map((item) => ({
+        id: crypto.randomBytes(12).toString('hex'),
+        text: item.text,
+        done: false
+      })),
+      seriesId: series.id,
+      occurrence: occurrence + 1,
+      occurrenceDate: dueDate
+    }
+  });
+
+  if (shares.length > 0) {
+    await prisma.taskShare.createMany({
+      data: shares.map((share) => ({ ...share, taskId: next.id }))
+    });
+  }
+
+  await copyReminders(task, next);
+
+  return prisma.task.findUnique({
+    where: { id: next.id },
+    include: taskInclude(user)
+  });
+};
+
+module.exports = {
+  FINISHED_STATUSES,
+  openBlockerFilter,
+  maxSubtaskDepth,
+  taskInclude,
+  memberCan,
+  isAssignableProject,
+  canNestUnder,
+  deleteTaskTree,
+  completeFinishedParents,
+  startSeries,
+  updateSeries,
+  createNextOccurrence,
+  openBlockerIds,
+  wouldCreateCycle,
+  taskDependencies
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jose = require('jose');
+const ms = require('ms');
+const prisma = require('../config/db');
+const { revocationStore } = require('./revocationStore');
+const {
+  ALGORITHMS,
+  usesSigningKeys,
+  getSigningKey,
+  findVerificationKey,
+  acceptsHs256
+} = require('./signingKeys');
+
+/**
+ * Hash an opaque token for storage (only hashes are persisted)
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a refresh token in the given family and persist its hash
+ */
+const issueRefreshToken = async (userId, familyId) => {
+  const refreshToken = jwt.sign(
+    { userId, type: 'refresh', familyId },
+    process.env.JWT_REFRESH_SECRET,
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+      jwtid: crypto.randomUUID()
+    }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      userId,
+      expiresAt: new Date(exp * 1000)
+    }
+  });
+
+  return refreshToken;
+};
+
+/**
+ * Sign an access token: with the current signing key (and its kid) when
+ * JWT_ALGORITHM is asymmetric, otherwise with JWT_SECRET
+ */
+const signAccessToken = async (payload) => {
+  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+
+  if (!usesSigningKeys()) {
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn,
+      jwtid: crypto.randomUUID()
+    });
+  }
+
+  const key = await getSigningKey();
+  const now = Math.floor(Date.now() / 1000);
+
+  return new jose.SignJWT(payload)
+    .setProtectedHeader({ alg: key.algorithm, kid: key.kid, typ: 'JWT' })
+    .setIssuedAt(now)
+    .setExpirationTime(now + Math.floor(ms(expiresIn) / 1000))
+    .setJti(crypto.randomUUID())
+    .sign(key.privateKey);
+};
+
+/**
+ * Generate JWT tokens for a session (the session id is the refresh token family)
+ */
+const generateTokens = async (userId, role, familyId) => {
+  const accessToken = await signAccessToken({ userId, role, familyId });
+
+  const refreshToken = await issueRefreshToken(userId, familyId);
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Device details recorded on a session
+ */
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, 512) || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Start a new session for a user and issue its first token pair
+ */
+const startSession = async (userId, role, req) => {
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      ...clientInfo(req),
+      expiresAt: new Date(Date.now() + ms(process.env.JWT_REFRESH_EXPIRES_IN || '30d'))
+    }
+  });
+
+  return generateTokens(userId, role, session.id);
+};
+
+/**
+ * Record activity on a session when its refresh token is rotated
+ */
+const touchSession = (sessionId, req) => {
+  return prisma.session.update({
+    where: { id: sessionId },
+    data: {
+      ...clientInfo(req),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + ms(process.env.JWT_REFRESH_EXPIRES_IN || '30d'))
+    }
+  });
+};
+
+/**
+ * Verify a token signed with a signing key, selected by its kid.
+ * Errors are reported as jsonwebtoken errors, like HS256 tokens.
+ */
+const verifyWithSigningKey = async (token) => {
+  try {
+    const { payload } = await jose.jwtVerify(
+      token,
+      async ({ kid, alg }) => {
+        const key = kid && (await findVerificationKey(kid));
+
+        if (!key || key.algorithm !== alg) {
+          throw new jwt.JsonWebTokenError('unknown signing key');
+        }
+
+        return key.publicKey;
+      },
+      { algorithms: ALGORITHMS }
+    );
+
+    return payload;
+  } catch (error) {
+    if (error instanceof jose.errors.JWTExpired) {
+      throw new jwt.TokenExpiredError('jwt expired', new Date(error.payload.exp * 1000));
+    }
+
+    throw error instanceof jwt.JsonWebTokenError ? error : new jwt.JsonWebTokenError(error.message);
+  }
+};
+
+const isHs256Token = (token) => {
+  try {
+    return jose.decodeProtectedHeader(token).alg === 'HS256';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Verify an access token. Other JWTs signed with the same secret carry a
+ * `type` claim (e.g. the interim MFA token) and are not access tokens.
+ *
+ * With asymmetric signing, HS256 tokens issued before the switch are accepted
+ * for one access token lifetime after it (see acceptsHs256).
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = usesSigningKeys() && !(isHs256Token(token) && (await acceptsHs256()))
+    ? await verifyWithSigningKey(token)
+    : jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+
+  if (decoded.type) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  return decoded;
+};
+
+/**
+ * Find the stored record for a presented refresh token
+ */
+const findRefreshToken = (refreshToken) => {
+  return prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+};
+
+/**
+ * Atomically mark a refresh token as used.
+ * Returns false if it was already used or revoked, i.e. the token is being replayed.
+ */
+const claimRefreshToken = async (id) => {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id, usedAt: null, revokedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Revoke every refresh token in a family
+ */
+const revokeTokenFamily = (familyId) => {
+  return prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+};
+
+/**
+ * Revocation store keys for a decoded access token
+ */
+const revocationKeys = (decoded) => {
+  const keys = [];
+  if (decoded.jti) keys.push(`jti:${decoded.jti}`);
+  if (decoded.familyId) keys.push(`family:${decoded.familyId}`);
+  return keys;
+};
+
+/**
+ * Check whether a decoded access token has been revoked, either directly,
+ * through its token family, or by a "log out everywhere" for the user
+ */
+const isAccessTokenRevoked = async (decoded, tokensValidAfter) => {
+  if (tokensValidAfter && decoded.iat < Math.floor(tokensValidAfter.getTime() / 1000)) {
+    return true;
+  }
+
+  const keys = revocationKeys(decoded);
+  return keys.length > 0 && revocationStore.isRevoked(keys);
+};
+
+/**
+ * Revoke a single access token until it expires
+ */
+const revokeAccessToken = async (decoded) => {
+  if (decoded.jti) {
+    await revocationStore.revoke(`jti:${decoded.jti}`, new Date(decoded.exp * 1000));
+  }
+};
+
+/**
+ * Revoke every access token issued in a family. They can live at most one
+ * access token lifetime from now.
+ */
+const revokeFamilyAccessTokens = (familyId) => {
+  const accessTokenLifetime = ms(process.env.JWT_EXPIRES_IN || '7d');
+
+  return revocationStore.revoke(`family:${familyId}`, new Date(Date.now() + accessTokenLifetime));
+};
+
+/**
+ * End a login: revoke its refresh tokens and every access token issued from them
+ */
+const revokeSession = async (familyId) => {
+  await Promise.all([
+    prisma.session.updateMany({
+      where: { id: familyId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    revokeTokenFamily(familyId),
+    revokeFamilyAccessTokens(familyId)
+  ]);
+};
+
+/**
+ * End every login of a user except one (e.g. after a password change)
+ */
+const revokeOtherSessions = async (userId, keepFamilyId) => {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, id: { not: keepFamilyId } },
+    select: { id: true }
+  });
+
+  await Promise.all(sessions.map((session) => revokeSession(session.id)));
+};
+
+/**
+ * Invalidate every token ever issued to a user ("log out everywhere")
+ */
+const revokeAllUserTokens = async (userId) => {
+  const families = await prisma.refreshToken.findMany({
+    where: { userId, revokedAt: null },
+    select: { familyId: true },
+    distinct: ['familyId']
+  });
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { tokensValidAfter: new Date() }
+    }),
+    prisma.session.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.personalAccessToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    })
+  ]);
+
+  // `iat` is in whole seconds, so tokensValidAfter lets through the access tokens
+  // issued earlier in the same second: their families catch them
+  await Promise.all(families.map(({ familyId }) => revokeFamilyAccessTokens(familyId)));
+};
+
+module.exports = {
+  hashToken,
+  generateTokens,
+  startSession,
+  touchSession,
+  verifyAccessToken,
+  findRefreshToken,
+  claimRefreshToken,
+  revokeTokenFamily,
+  isAccessTokenRevoked,
+  revokeAccessToken,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllUserTokens
+};
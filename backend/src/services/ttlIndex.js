@@ -0,0 +1,31 @@
+const prisma = require('../config/db');
+
+/**
+ * Prisma cannot declare MongoDB TTL indexes, so collections that expire
+ * documents create theirs at runtime, once per process.
+ */
+const pending = new Map();
+
+const ensureTtlIndex = (collection, field = 'expiresAt', client = prisma) => {
+  const key = `${collection}.${field}`;
+
+  if (!pending.has(key)) {
+    const created = client.$runCommandRaw({
+      createIndexes: collection,
+      indexes: [
+        { key: { [field]: 1 }, name: `${field}_ttl`, expireAfterSeconds: 0 }
+      ]
+    }).catch((error) => {
+      pending.delete(key);
+      console.error(`Failed to create TTL index on ${key}:`, error);
+    });
+
+    pending.set(key, created);
+  }
+
+  return pending.get(key);
+};
+
+module.exports = {
+  ensureTtlIndex
+};
@@ -0,0 +1,100 @@
+const prisma = require('../config/db');
+const { isMfaRequired } = require('./mfaService');
+const { permissionsFor } = require('./policy');
+
+/**
+ * Load a user's profile as returned by GET /auth/profile
+ */
+const loadProfile = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      pendingEmail: true,
+      password: true,
+      firstName: true,
+      lastName: true,
+      role: true,
+      isActive: true,
+      emailVerified: true,
+      mfaEnabledAt: true,
+      createdAt: true,
+      lastLoginAt: true,
+      _count: {
+        select: { tasks: true }
+      }
+    }
+  });
+
+  const { mfaEnabledAt, password, ...profile } = user;
+
+  return {
+    ...profile,
+    hasPassword: !!password,
+    mfaEnabled: !!mfaEnabledAt,
+    mfaEnrollmentRequired: !mfaEnabledAt && isMfaRequired(user.role),
+    permissions: permissionsFor(user)
+  };
+};
+
+/**
+ * Whether the user is the only active admin. Only answers early, before work
+ * the final write cannot undo: that write must still go through
+ * unlessLastActiveAdmin.
+ */
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'ADMIN' || !user.isActive) {
+    return false;
+  }
+
+  const activeAdmins = await prisma.user.count({
+    where: { role: 'ADMIN', isActive: true }
+  });
+
+  return activeAdmins <= 1;
+};
+
+class LastAdminError extends Error {}
+
+/**
+ * Run a write that may demote, deactivate or delete the user (given the client
+ * to write through), unless it leaves no active admin. When the user is an
+ * active admin, the admins are counted again after the write, in the same
+ * transaction, which is rolled back if none is left; checking first and
+ * writing afterwards would let two admins demote each other at once.
+ * Returns the write's result, or null when it was rolled back.
+ */
+const unlessLastActiveAdmin = async (user, write) => {
+  if (user.role !== 'ADMIN' || !user.isActive) {
+    return write(prisma);
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const result = await write(tx);
+
+      const activeAdmins = await tx.user.count({
+        where: { role: 'ADMIN', isActive: true }
+      });
+
+      if (activeAdmins === 0) {
+        throw new LastAdminError();
+      }
+
+      return result;
+    });
+  } catch (error) {
+    if (error instanceof LastAdminError) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+module.exports = {
+  loadProfile,
+  isLastActiveAdmin,
+  unlessLastActiveAdmin
+};
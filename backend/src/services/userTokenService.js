@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const prisma = require('../config/db');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Single-use, expiring tokens sent to users (e.g. password reset links).
+ * Only the hash is stored; the plaintext token exists only in the email.
+ */
+
+/**
+ * Issue a token of the given type, invalidating earlier unused ones
+ */
+const createUserToken = async (userId, type, lifetimeMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + lifetimeMs);
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.userToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        type,
+        userId,
+        expiresAt
+      }
+    })
+  ]);
+
+  return { token, expiresAt };
+};
+
+/**
+ * Redeem a token. Returns the token record, or null if it is unknown,
+ * expired or was already used.
+ */
+const consumeUserToken = async (token, type) => {
+  const tokenHash = hashToken(token);
+
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      type,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.userToken.findUnique({ where: { tokenHash } });
+};
+
+module.exports = {
+  createUserToken,
+  consumeUserToken
+};
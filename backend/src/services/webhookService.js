@@ -0,0 +1,151 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Outgoing webhooks
+ *
+ * Webhook URLs are given by users, so they are only called on public addresses:
+ * a webhook cannot reach the API's own network (cloud metadata at 169.254.169.254,
+ * databases, admin interfaces...). The address is checked when the host is
+ * resolved for the connection itself, so a host cannot resolve to a public address
+ * when checked and to a private one when called. Redirects are not followed.
+ */
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Loopback, private, link-local, shared, reserved and multicast ranges
+const blockedAddresses = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const isPublicAddress = (address) =>
+  !blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Hosts webhooks may be sent to (REMINDER_WEBHOOK_ALLOWED_HOSTS), `*.example.com`
+ * covering subdomains; null allows any public host
+ */
+const allowedHosts = () => (process.env.REMINDER_WEBHOOK_ALLOWED_HOSTS
+  ? process.env.REMINDER_WEBHOOK_ALLOWED_HOSTS.split(',').map((host) => host.trim().toLowerCase()).filter(Boolean)
+  : null);
+
+const isAllowedHost = (hostname) => {
+  const hosts = allowedHosts();
+
+  return !hosts || hosts.some((host) =>
+    host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host
+  );
+};
+
+const blockedError = (hostname) =>
+  Object.assign(new Error(`${hostname} is not a public address`), { code: 'WEBHOOK_ADDRESS_BLOCKED' });
+
+/**
+ * dns.lookup for webhook connections, failing when the host has a non-public address
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(blockedError(hostname));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Whether webhooks may be sent to a URL: an allowed host with only public addresses
+ */
+const isAllowedWebhookUrl = async (url) => {
+  let hostname;
+  try {
+    // IPv6 hosts are in brackets
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (!isAllowedHost(hostname)) {
+    return false;
+  }
+
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname);
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * POST a body to a webhook URL. Rejects unless it is allowed and answers with a 2xx status.
+ */
+const postWebhook = async (url, body, headers) => {
+  if (!(await isAllowedWebhookUrl(url))) {
+    throw blockedError(url);
+  }
+
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const status = await new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: TIMEOUT_MS
+    }, (response) => {
+      // Only the status matters
+      response.destroy();
+      resolve(response.statusCode);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${TIMEOUT_MS} ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook responded with ${status}`);
+  }
+};
+
+module.exports = {
+  isAllowedWebhookUrl,
+  postWebhook
+};
@@ -0,0 +1,248 @@
+/**
+ * Task status workflows: which status changes are allowed, on which
+ * conditions (guards) and with which side effects.
+ *
+ * A workflow is a list of transitions, e.g.
+ *   { name: 'cancel', from: ['PENDING'], to: 'CANCELLED', guards: ['commentRequired'] }
+ * A project's workflow applies to its tasks, otherwise the workspace's, otherwise
+ * DEFAULT_WORKFLOW. Guards and effects are referred to by name, from GUARDS and EFFECTS.
+ */
+const prisma = require('../config/db');
+const { can } = require('./policy');
+const { FINISHED_STATUSES, openBlockerIds } = require('./taskService');
+
+const STATUSES = ['PENDING', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Statuses a task cannot move to while tasks blocking it are open, whatever the workflow
+const BLOCKED_STATUSES = ['IN_PROGRESS', 'COMPLETED'];
+
+const MAX_TRANSITIONS = 50;
+
+const DEFAULT_WORKFLOW = {
+  transitions: [
+    { name: 'start', from: ['PENDING'], to: 'IN_PROGRESS' },
+    { name: 'pause', from: ['IN_PROGRESS'], to: 'PENDING' },
+    { name: 'complete', from: ['PENDING', 'IN_PROGRESS'], to: 'COMPLETED', effects: ['recordCompletedAt'] },
+    { name: 'cancel', from: ['PENDING', 'IN_PROGRESS'], to: 'CANCELLED', guards: ['commentRequired'] },
+    { name: 'reopen', from: ['COMPLETED', 'CANCELLED'], to: 'PENDING', effects: ['clearCompletedAt'] }
+  ]
+};
+
+// Conditions a transition can require. Each answers a rejection when not met.
+const GUARDS = {
+  commentRequired: async (task, { comment }) => (comment ? null : {
+    status: 400,
+    code: 'COMMENT_REQUIRED',
+    message: 'A comment is required for this status change.'
+  }),
+
+  subtasksFinished: async (task) => {
+    const open = await prisma.task.count({
+      where: { parentId: task.id, status: { notIn: FINISHED_STATUSES } }
+    });
+
+    return open === 0 ? null : {
+      status: 409,
+      code: 'SUBTASKS_OPEN',
+      message: `This task has ${open} open subtask(s).`
+    };
+  },
+
+  checklistDone: async (task) => {
+    const open = (task.checklist || []).filter((item) => !item.done).length;
+
+    return open === 0 ? null : {
+      status: 409,
+      code: 'CHECKLIST_INCOMPLETE',
+      message: `This task has ${open} unchecked checklist item(s).`
+    };
+  }
+};
+
+// Changes made to the task along with a transition
+const EFFECTS = {
+  recordCompletedAt: () => ({ completedAt: new Date() }),
+  clearCompletedAt: () => ({ completedAt: null })
+};
+
+/**
+ * Why a workflow definition is invalid, or null if it is valid
+ */
+const workflowError = (workflow) => {
+  if (!workflow || !Array.isArray(workflow.transitions) || workflow.transitions.length === 0) {
+    return 'A workflow needs a non-empty list of transitions.';
+  }
+
+  if (workflow.transitions.length > MAX_TRANSITIONS) {
+    return `A workflow can have at most ${MAX_TRANSITIONS} transitions.`;
+  }
+
+  const seen = new Set();
+
+  for (const transition of workflow.transitions) {
+    const { name, from, to, guards = [], effects = [] } = transition || {};
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 50)) {
+      return 'Transition names must be strings of at most 50 characters.';
+    }
+
+    if (!STATUSES.includes(to)) {
+      return `Transition targets must be one of: ${STATUSES.join(', ')}.`;
+    }
+
+    if (!Array.isArray(from) || from.length === 0 || !from.every((status) => STATUSES.includes(status))) {
+      return `Transitions need a list of statuses to start from (${STATUSES.join(', ')}).`;
+    }
+
+    for (const status of from) {
+      if (status === to) {
+        return `A transition cannot lead from ${status} to itself.`;
+      }
+      if (seen.has(`${status}>${to}`)) {
+        return `More than one transition leads from ${status} to ${to}.`;
+      }
+      seen.add(`${status}>${to}`);
+    }
+
+    if (!Array.isArray(guards) || !guards.every((guard) => guard in GUARDS)) {
+      return `Guards must be among: ${Object.keys(GUARDS).join(', ')}.`;
+    }
+
+    if (!Array.isArray(effects) || !effects.every((effect) => effect in EFFECTS)) {
+      return `Effects must be among: ${Object.keys(EFFECTS).join(', ')}.`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * A valid workflow definition reduced to the fields the engine uses
+ */
+const normalizeWorkflow = (workflow) => ({
+  transitions: workflow.transitions.map(({ name, from, to, guards = [], effects = [] }) => ({
+    ...(name && { name }),
+    from: [...new Set(from)],
+    to,
+    guards,
+    effects
+  }))
+});
+
+/**
+ * The workflow that applies to a task: its project's, its workspace's or the default
+ */
+const workflowFor = async (task) => {
+  if (task.projectId) {
+    const project = await prisma.project.findUnique({
+      where: { id: task.projectId },
+      select: { workflow: true }
+    });
+
+    if (project && project.workflow) {
+      return project.workflow;
+    }
+  }
+
+  const workspace = await prisma.workspace.findUnique({
+    where: { id: task.workspaceId },
+    select: { workflow: true }
+  });
+
+  return (workspace && workspace.workflow) || DEFAULT_WORKFLOW;
+};
+
+/**
+ * Transitions a task can take from its current status
+ */
+const availableTransitions = (workflow, task) =>
+  workflow.transitions
+    .filter((transition) => transition.from.includes(task.status))
+    .map(({ name, to, guards = [] }) => ({ name: name || null, to, guards }));
+
+/**
+ * Check a status change against the task's workflow and open blockers.
+ * Answers `{ rejection }` (status, code and message to answer with), or `{ data }`
+ * with the status and the effects' changes to save.
+ */
+const planTransition = async (task, to, user, { comment, force } = {}) => {
+  const workflow = await workflowFor(task);
+  const transition = workflow.transitions.find((candidate) =>
+    candidate.to === to && candidate.from.includes(task.status)
+  );
+
+  if (!transition) {
+    return {
+      rejection: {
+        status: 409,
+        code: 'INVALID_TRANSITION',
+        message: `Tasks cannot move from ${task.status} to ${to}.`
+      }
+    };
+  }
+
+  for (const guard of transition.guards || []) {
+    const rejection = await GUARDS[guard](task, { comment, user });
+    if (rejection) {
+      return { rejection };
+    }
+  }
+
+  if (BLOCKED_STATUSES.includes(to)) {
+    const blockerIds = await openBlockerIds(task.id);
+
+    if (blockerIds.length > 0 && !force) {
+      return {
+        rejection: {
+          status: 409,
+          code: 'TASK_BLOCKED',
+          message: `This task is blocked by ${blockerIds.length} open task(s).`
+        }
+      };
+    }
+
+    if (blockerIds.length > 0 && !can(user, 'task:force-status')) {
+      return {
+        rejection: {
+          status: 403,
+          code: 'FORBIDDEN',
+          message: 'Only workspace admins can start or complete a blocked task.'
+        }
+      };
+    }
+  }
+
+  const data = { status: to };
+  for (const effect of transition.effects || []) {
+    Object.assign(data, EFFECTS[effect](task));
+  }
+
+  return { data };
+};
+
+/**
+ * Keep the history of a task's status changes
+ */
+const recordTransition = (task, to, user, comment) =>
+  prisma.taskTransition.create({
+    data: {
+      taskId: task.id,
+      fromStatus: task.status,
+      toStatus: to,
+      comment: comment || null,
+      userId: user.id
+    }
+  });
+
+module.exports = {
+  STATUSES,
+  DEFAULT_WORKFLOW,
+  GUARDS,
+  EFFECTS,
+  workflowError,
+  normalizeWorkflow,
+  workflowFor,
+  availableTransitions,
+  planTransition,
+  recordTransition
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const prisma = require('../config/db');
+const { hashToken } = require('./tokenService');
+const { ensureTtlIndex } = require('./ttlIndex');
+const { workspacePermissionsFor } = require('./policy');
+const { deletingAttachments } = require('./attachmentService');
+
+/**
+ * Workspaces, their members and invitations
+ */
+
+const invitationLifetime = () => ms(process.env.WORKSPACE_INVITATION_EXPIRES_IN || '7d');
+
+/**
+ * A membership as returned to clients: the workspace with the user's role
+ * and what it allows them to do there, given their account role
+ */
+const toWorkspace = ({ workspace, role }, accountRole) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role,
+  permissions: workspacePermissionsFor(role, accountRole),
+  createdAt: workspace.createdAt
+});
+
+/**
+ * Create a workspace with the user as its admin
+ */
+const createWorkspace = async (name, user) => {
+  const workspace = await prisma.workspace.create({
+    data: {
+      name,
+      members: { create: { userId: user.id, role: 'ADMIN' } }
+    }
+  });
+
+  return toWorkspace({ workspace, role: 'ADMIN' }, user.role);
+};
+
+/**
+ * The workspace every new account starts with
+ */
+const createPersonalWorkspace = (user) =>
+  createWorkspace(user.firstName ? `${user.firstName}'s workspace` : 'Personal', user);
+
+/**
+ * The user's membership of a workspace, or when no workspace is given, of
+ * the first workspace they joined. Null if there is none.
+ */
+const findMembership = (userId, workspaceId) => {
+  if (workspaceId) {
+    return prisma.workspaceMember.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId } },
+      include: { workspace: true }
+    });
+  }
+
+  return prisma.workspaceMember.findFirst({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+    include: { workspace: true }
+  });
+};
+
+/**
+ * Whether the member is the workspace's only admin
+ */
+const isLastAdmin = async (member) => {
+  if (member.role !== 'ADMIN') {
+    return false;
+  }
+
+  const admins = await prisma.workspaceMember.count({
+    where: { workspaceId: member.workspaceId, role: 'ADMIN' }
+  });
+
+  return admins <= 1;
+};
+
+class LastAdminError extends Error {}
+
+/**
+ * Run a write that may demote or remove a member (given the transaction to
+ * write through), unless it leaves the workspace without an admin. When the
+ * member is an admin, the workspace's admins are counted again after the
+ * write, and the transaction is rolled back if none is left; checking first
+ * and writing afterwards would let two admins demote each other at once.
+ * Returns the write's result, or null when it was rolled back.
+ */
+const unlessLastAdmin = async (member, write) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const result = await write(tx);
+
+      if (member.role === 'ADMIN') {
+        const admins = await tx.workspaceMember.count({
+          where: { workspaceId: member.workspaceId, role: 'ADMIN' }
+        });
+
+        if (admins === 0) {
+          throw new LastAdminError();
+        }
+      }
+
+      return result;
+    });
+  } catch (error) {
+    if (error instanceof LastAdminError) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Remove a member, along with the shares they were given on the workspace's
+ * tasks, unless they are its last admin. Returns null when they were not removed.
+ */
+const removeMember = (member) =>
+  unlessLastAdmin(member, async (tx) => {
+    await tx.taskShare.deleteMany({
+      where: { userId: member.userId, task: { workspaceId: member.workspaceId } }
+    });
+
+    return tx.workspaceMember.delete({ where: { id: member.id } });
+  });
+
+/**
+ * The longest-standing member of a workspace other than the given user
+ */
+const findSuccessor = (workspaceId, userId) =>
+  prisma.workspaceMember.findFirst({
+    where: { workspaceId, userId: { not: userId } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+/**
+ * Give a user's tasks in a workspace to another member. Their shares with
+ * that member are dropped, as a task is never shared with its owner.
+ */
+const handOverTasks = (workspaceId, fromUserId, toUserId) =>
+  prisma.$transaction([
+    prisma.taskShare.deleteMany({
+      where: { userId: toUserId, task: { workspaceId, userId: fromUserId } }
+    }),
+    prisma.task.updateMany({
+      where: { workspaceId, userId: fromUserId },
+      data: { userId: toUserId }
+    })
+  ]);
+
+/**
+ * Before an account is deleted: delete the workspaces only the user belongs to,
+ * and hand the user's tasks in the others to their longest-standing member,
+ * who is made admin if the user was the last one
+ */
+const releaseUserWorkspaces = async (userId) => {
+  const memberships = await prisma.workspaceMember.findMany({ where: { userId } });
+
+  for (const membership of memberships) {
+    const successor = await findSuccessor(membership.workspaceId, userId);
+
+    if (!successor) {
+      await deletingAttachments(
+        { task: { workspaceId: membership.workspaceId } },
+        () => prisma.workspace.delete({ where: { id: membership.workspaceId } })
+      );
+      continue;
+    }
+
+    if (await isLastAdmin(membership)) {
+      await prisma.workspaceMember.update({
+        where: { id: successor.id },
+        data: { role: 'ADMIN' }
+      });
+    }
+
+    await handOverTasks(membership.workspaceId, userId, successor.userId);
+  }
+
+  // Tasks the user kept in workspaces they were removed from
+  const tasks = await prisma.task.findMany({
+    where: { userId },
+    select: { workspaceId: true }
+  });
+
+  for (const workspaceId of new Set(tasks.map((task) => task.workspaceId))) {
+    const successor = await findSuccessor(workspaceId, userId);
+
+    if (successor) {
+      await handOverTasks(workspaceId, userId, successor.userId);
+    }
+  }
+};
+
+/**
+ * Invite an email address to a workspace, replacing an earlier invitation
+ * to the same address. Returns the invitation and its plaintext token.
+ */
+const createInvitation = async ({ workspaceId, email, role, invitedById }) => {
+  await ensureTtlIndex('workspace_invitations');
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + invitationLifetime());
+
+  const [, invitation] = await prisma.$transaction([
+    prisma.workspaceInvitation.deleteMany({ where: { workspaceId, email } }),
+    prisma.workspaceInvitation.create({
+      data: {
+        email,
+        role,
+        tokenHash: hashToken(token),
+        expiresAt,
+        workspaceId,
+        invitedById
+      }
+    })
+  ]);
+
+  return { invitation, token };
+};
+
+/**
+ * Find a pending invitation by its token (null if unknown or expired)
+ */
+const findInvitation = (token) =>
+  prisma.workspaceInvitation.findFirst({
+    where: { tokenHash: hashToken(token), expiresAt: { gt: new Date() } },
+    include: { workspace: true }
+  });
+
+/**
+ * Join the invitation's workspace and use up the invitation. Users who are
+ * already members keep their role.
+ */
+const acceptInvitation = async (invitation, user) => {
+  const userId = user.id;
+  const where = { workspaceId_userId: { workspaceId: invitation.workspaceId, userId } };
+
+  const [, member] = await prisma.$transaction([
+    prisma.workspaceInvitation.delete({ where: { id: invitation.id } }),
+    prisma.workspaceMember.upsert({
+      where,
+      update: {},
+      create: { workspaceId: invitation.workspaceId, userId, role: invitation.role }
+    })
+  ]);
+
+  return toWorkspace({ workspace: invitation.workspace, role: member.role }, user.role);
+};
+
+module.exports = {
+  toWorkspace,
+  createWorkspace,
+  createPersonalWorkspace,
+  findMembership,
+  unlessLastAdmin,
+  removeMember,
+  releaseUserWorkspaces,
+  createInvitation,
+  findInvitation,
+  acceptInvitation
+};
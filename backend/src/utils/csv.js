@@ -0,0 +1,46 @@
+/**
+ * Format a single value for a CSV cell
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  const text = String(value);
+
+  // Keep spreadsheet apps from evaluating user-provided text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    return `'${text}`;
+  }
+
+  return text;
+};
+
+const escapeCell = (value) => {
+  const text = formatValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV (RFC 4180). Columns default to every key found in the rows.
+ */
+const toCsv = (rows, columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]) => {
+  const lines = [
+    columns.map(escapeCell).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCell(row[column])).join(','))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv
+};
@@ -0,0 +1,31 @@
+/**
+ * Parse pagination parameters from query
+ */
+const parsePagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+  const skip = (page - 1) * limit;
+  return { page, limit, skip };
+};
+
+/**
+ * Build ordering object from query
+ */
+const parseOrdering = (query, allowedFields) => {
+  const orderBy = {};
+  const sortField = query.sort || 'createdAt';
+  const sortOrder = query.order === 'asc' ? 'asc' : 'desc';
+  
+  if (allowedFields.includes(sortField)) {
+    orderBy[sortField] = sortOrder;
+  } else {
+    orderBy.createdAt = 'desc';
+  }
+  
+  return orderBy;
+};
+
+module.exports = {
+  parsePagination,
+  parseOrdering
+};
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.stop());
+
+const PASSWORD = 'Passw0rd!23';
+let accounts = 0;
+
+/**
+ * Register a new account and log in. Answers the login's token pair.
+ */
+const signUp = async () => {
+  const email = `user${++accounts}@example.com`;
+
+  const registered = await api.request('POST', '/api/v1/auth/register', {
+    body: { email, password: PASSWORD, firstName: 'Test', lastName: 'User' }
+  });
+  assert.equal(registered.status, 201);
+
+  return logIn(email);
+};
+
+const logIn = async (email) => {
+  const response = await api.request('POST', '/api/v1/auth/login', {
+    body: { email, password: PASSWORD }
+  });
+  assert.equal(response.status, 200);
+
+  return { email, ...response.body.data };
+};
+
+const refresh = (refreshToken) =>
+  api.request('POST', '/api/v1/auth/refresh', { body: { refreshToken } });
+
+const profile = (accessToken) =>
+  api.request('GET', '/api/v1/auth/profile', { token: accessToken });
+
+test('a refresh token is exchanged for a new pair once', async () => {
+  const { refreshToken } = await signUp();
+
+  const first = await refresh(refreshToken);
+  assert.equal(first.status, 200);
+  assert.ok(first.body.data.accessToken);
+  assert.notEqual(first.body.data.refreshToken, refreshToken);
+
+  const second = await refresh(first.body.data.refreshToken);
+  assert.equal(second.status, 200);
+});
+
+test('replaying a used refresh token revokes its whole family', async () => {
+  const { refreshToken } = await signUp();
+
+  const rotated = await refresh(refreshToken);
+  assert.equal(rotated.status, 200);
+
+  const replayed = await refresh(refreshToken);
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.code, 'REFRESH_TOKEN_REUSED');
+
+  // Including the token it was rotated into
+  const successor = await refresh(rotated.body.data.refreshToken);
+  assert.equal(successor.status, 401);
+});
+
+test('logout revokes the access token and its refresh family', async () => {
+  const { accessToken, refreshToken } = await signUp();
+  assert.equal((await profile(accessToken)).status, 200);
+
+  const logout = await api.request('POST', '/api/v1/auth/logout', { token: accessToken });
+  assert.equal(logout.status, 200);
+
+  const revoked = await profile(accessToken);
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, 'TOKEN_REVOKED');
+  assert.equal((await refresh(refreshToken)).status, 401);
+});
+
+test('logout-all revokes every login, including tokens issued the same second', async () => {
+  const first = await signUp();
+  const second = await logIn(first.email);
+
+  const logoutAll = await api.request('POST', '/api/v1/auth/logout-all', { token: first.accessToken });
+  assert.equal(logoutAll.status, 200);
+
+  for (const { accessToken, refreshToken } of [first, second]) {
+    assert.equal((await profile(accessToken)).status, 401);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  }
+
+  // Logging in again afterwards works
+  const again = await logIn(first.email);
+  assert.equal((await profile(again.accessToken)).status, 200);
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.stop());
+
+const CSRF_TOKEN = 'a'.repeat(43);
+
+/**
+ * Send a state-changing request authenticated by cookies, with the given
+ * CSRF header
+ */
+const postWithCookies = (csrfHeader) =>
+  api.request('POST', '/api/v1/auth/logout', {
+    headers: {
+      Cookie: `access_token=not-checked-yet; XSRF-TOKEN=${CSRF_TOKEN}`,
+      ...(csrfHeader !== undefined && { 'X-CSRF-Token': csrfHeader })
+    }
+  });
+
+test('cookie-authenticated requests need the CSRF header to match the cookie', async () => {
+  for (const header of [undefined, 'b'.repeat(43), 'a'.repeat(42)]) {
+    const response = await postWithCookies(header);
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'CSRF_TOKEN_INVALID');
+  }
+
+  // A matching header lets the request through to authentication
+  const matching = await postWithCookies(CSRF_TOKEN);
+  assert.equal(matching.status, 401);
+});
+
+test('a header as long as the cookie but with multibyte characters is rejected', async () => {
+  const response = await postWithCookies('é'.repeat(43));
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, 'CSRF_TOKEN_INVALID');
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installMemoryPrisma } = require('./memoryPrisma');
+
+/**
+ * The API on a random port, backed by an in-memory database, for tests that go
+ * through HTTP. Environment values the tests need are set before the app loads.
+ */
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  TOKEN_STORE: 'memory',
+  JWT_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  JWT_EXPIRES_IN: '15m',
+  JWT_REFRESH_EXPIRES_IN: '30d',
+  RATE_LIMIT_MAX: '10000',
+  MAIL_TRANSPORT: 'outbox',
+  MAIL_OUTBOX_DIR: path.join(os.tmpdir(), `prime-trade-test-outbox-${process.pid}`),
+  REMINDER_SCHEDULER_ENABLED: 'false'
+};
+
+const startApi = async (env = {}) => {
+  Object.assign(process.env, TEST_ENV, env);
+
+  const db = installMemoryPrisma();
+  const app = require('../../src/server');
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a JSON request. Answers the status, headers and parsed body.
+   */
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (error) {
+      json = null;
+    }
+
+    return { status: response.status, headers: response.headers, body: json };
+  };
+
+  const stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(process.env.MAIL_OUTBOX_DIR, { recursive: true, force: true });
+  };
+
+  return { db, baseUrl, request, stop };
+};
+
+module.exports = {
+  startApi
+};
@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * In-memory stand-in for the Prisma client, so tests run without MongoDB.
+ *
+ * Models, defaults and relations are read from prisma/schema.prisma. It covers the
+ * queries the API makes (filters, relation filters, select/include, nested creates,
+ * transactions) and enforces unique fields, but does not cascade deletes.
+ */
+
+const SCHEMA_PATH = path.join(__dirname, '../../prisma/schema.prisma');
+
+const objectId = () => crypto.randomBytes(12).toString('hex');
+
+const notFound = (model) =>
+  Object.assign(new Error(`No ${model} record found`), { code: 'P2025' });
+
+const uniqueViolation = (model, fields) =>
+  Object.assign(new Error(`Unique constraint failed on ${model} (${fields.join(', ')})`), {
+    code: 'P2002',
+    meta: { target: fields }
+  });
+
+/**
+ * Models of the schema: their fields, defaults, unique keys and relations
+ */
+const parseSchema = (source) => {
+  const blocks = [...source.matchAll(/^(model|type|enum) (\w+) \{([\s\S]*?)^\}/gm)];
+  const enums = new Set(blocks.filter(([, kind]) => kind === 'enum').map(([, , name]) => name));
+  const composites = new Set(blocks.filter(([, kind]) => kind === 'type').map(([, , name]) => name));
+  const models = {};
+
+  for (const [, kind, name, body] of blocks) {
+    if (kind !== 'model') continue;
+
+    const model = { name, fields: {}, unique: [] };
+
+    for (const raw of body.split('\n')) {
+      const line = raw.replace(/\/\/.*$/, '').trim();
+      const unique = line.match(/^@@unique\(\[([^\]]+)\]/);
+
+      if (unique) {
+        model.unique.push(unique[1].split(',').map((field) => field.trim()));
+        continue;
+      }
+
+      const field = line.match(/^(\w+)\s+(\w+)(\[\]|\?)?\s*(.*)$/);
+      if (!field) continue;
+
+      const [, fieldName, type, modifier, attributes] = field;
+      const relation = attributes.match(/@relation\(([^)]*)\)/);
+      const isModel = !enums.has(type) && !composites.has(type) && blocks.some(([, k, n]) => k === 'model' && n === type);
+
+      model.fields[fieldName] = {
+        type,
+        list: modifier === '[]',
+        optional: modifier === '?',
+        isRelation: isModel,
+        relationName: relation && (relation[1].match(/^"([^"]+)"/) || [])[1],
+        foreignKey: relation && (relation[1].match(/fields:\s*\[(\w+)\]/) || [])[1],
+        default: (attributes.match(/@default\(((?:[^()]|\(\))*)\)/) || [])[1],
+        updatedAt: attributes.includes('@updatedAt')
+      };
+
+      if (attributes.includes('@unique')) {
+        model.unique.push([fieldName]);
+      }
+    }
+
+    models[name] = model;
+  }
+
+  return models;
+};
+
+const defaultValue = (field) => {
+  const value = field.default;
+
+  if (value === 'auto()') return objectId();
+  if (value === 'now()') return new Date();
+  if (value === 'uuid()' || value === 'cuid()') return crypto.randomUUID();
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === '[]') return [];
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^".*"$/.test(value)) return value.slice(1, -1);
+  return value;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const equal = (a, b) => comparable(a ?? null) === comparable(b ?? null);
+
+const clone = (value) => structuredClone(value);
+
+const createMemoryPrisma = () => {
+  const models = parseSchema(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const tables = Object.fromEntries(Object.keys(models).map((name) => [name, []]));
+
+  /**
+   * Where a relation field points: the related model, and the fields joining the
+   * two (`local` on this record equals `remote` on the related ones)
+   */
+  const relationOf = (model, fieldName) => {
+    const field = models[model].fields[fieldName];
+
+    if (field.foreignKey) {
+      return { model: field.type, local: field.foreignKey, remote: 'id', list: false };
+    }
+
+    const [remoteName, remoteField] = Object.entries(models[field.type].fields).find(([name, candidate]) =>
+      candidate.type === model &&
+      candidate.foreignKey &&
+      (candidate.relationName || null) === (field.relationName || null) &&
+      !(field.type === model && name === fieldName)
+    );
+
+    return { model: field.type, local: 'id', remote: remoteField.foreignKey, list: field.list, name: remoteName };
+  };
+
+  const related = (model, record, fieldName) => {
+    const relation = relationOf(model, fieldName);
+    const records = tables[relation.model].filter((candidate) =>
+      record[relation.local] != null && equal(candidate[relation.remote], record[relation.local])
+    );
+
+    return { relation, records };
+  };
+
+  const matchesValue = (value, filter) => {
+    if (!isPlainObject(filter)) {
+      return Array.isArray(filter) ? JSON.stringify(value) === JSON.stringify(filter) : equal(value, filter);
+    }
+
+    const insensitive = filter.mode === 'insensitive';
+    const text = (input) => (insensitive ? String(input ?? '').toLowerCase() : String(input ?? ''));
+
+    return Object.entries(filter).every(([operator, operand]) => {
+      switch (operator) {
+        case 'equals': return insensitive ? text(value) === text(operand) : equal(value, operand);
+        case 'not': return !matchesValue(value, operand);
+        case 'in': return operand.some((item) => equal(value, item));
+        case 'notIn': return !operand.some((item) => equal(value, item));
+        case 'lt': return value != null && comparable(value) < comparable(operand);
+        case 'lte': return value != null && comparable(value) <= comparable(operand);
+        case 'gt': return value != null && comparable(value) > comparable(operand);
+        case 'gte': return value != null && comparable(value) >= comparable(operand);
+        case 'contains': return value != null && text(value).includes(text(operand));
+        case 'startsWith': return value != null && text(value).startsWith(text(operand));
+        case 'endsWith': return value != null && text(value).endsWith(text(operand));
+        case 'has': return (value || []).some((item) => equal(item, operand));
+        case 'hasSome': return operand.some((item) => (value || []).some((entry) => equal(entry, item)));
+        case 'hasEvery': return operand.every((item) => (value || []).some((entry) => equal(entry, item)));
+        case 'isEmpty': return ((value || []).length === 0) === operand;
+        case 'isSet': return (value !== undefined) === operand;
+        case 'mode': return true;
+        default: throw new Error(`Unsupported filter: ${operator}`);
+      }
+    });
+  };
+
+  const matches = (model, record, where = {}) =>
+    Object.entries(where).every(([key, filter]) => {
+      if (filter === undefined) return true;
+      if (key === 'AND') return [].concat(filter).every((part) => matches(model, record, part));
+      if (key === 'OR') return filter.some((part) => matches(model, record, part));
+      if (key === 'NOT') return ![].concat(filter).some((part) => matches(model, record, part));
+
+      const field = models[model].fields[key];
+
+      // Compound unique keys, e.g. workspaceId_userId
+      if (!field && key.includes('_') && isPlainObject(filter)) {
+        return Object.entries(filter).every(([name, value]) => equal(record[name], value));
+      }
+
+      if (!field) throw new Error(`Unknown field ${model}.${key}`);
+
+      if (field.isRelation) {
+        const { relation, records } = related(model, record, key);
+        const matching = (where) => records.filter((candidate) => matches(relation.model, candidate, where));
+
+        if (relation.list) {
+          if (filter.some) return matching(filter.some).length > 0;
+          if (filter.none) return matching(filter.none).length === 0;
+          if (filter.every) return matching(filter.every).length === records.length;
+          throw new Error(`Unsupported list relation filter on ${model}.${key}`);
+        }
+
+        if (filter === null) return records.length === 0;
+        if ('is' in filter) return filter.is === null ? records.length === 0 : matching(filter.is).length > 0;
+        if ('isNot' in filter) return filter.isNot === null ? records.length > 0 : matching(filter.isNot).length === 0;
+        return matching(filter).length > 0;
+      }
+
+      return matchesValue(record[key], filter);
+    });
+
+  const sort = (records, orderBy) => {
+    const orders = [].concat(orderBy || []).flatMap((order) => Object.entries(order));
+
+    return [...records].sort((a, b) => {
+      for (const [field, direction] of orders) {
+        const order = typeof direction === 'object' ? direction.sort : direction;
+        const [x, y] = [comparable(a[field]), comparable(b[field])];
+
+        if (x === y) continue;
+        if (x == null) return -1;
+        if (y == null) return 1;
+        return (x < y ? -1 : 1) * (order === 'desc' ? -1 : 1);
+      }
+
+      return 0;
+    });
+  };
+
+  const query = (model, { where, orderBy, skip = 0, take, distinct } = {}) => {
+    let records = sort(tables[model].filter((record) => matches(model, record, where)), orderBy);
+
+    if (distinct) {
+      const seen = new Set();
+      records = records.filter((record) => {
+        const key = JSON.stringify([].concat(distinct).map((field) => record[field]));
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+
+    return take === undefined ? records.slice(skip) : records.slice(skip, skip + take);
+  };
+
+  /**
+   * A record as returned by the client: its scalar fields, or those selected,
+   * with the relations and counts asked for
+   */
+  const project = (model, record, { select, include } = {}) => {
+    const result = {};
+    const { fields } = models[model];
+
+    for (const [name, field] of Object.entries(fields)) {
+      if (!field.isRelation && (!select || select[name]) && record[name] !== undefined) {
+        result[name] = clone(record[name]);
+      }
+    }
+
+    for (const [name, args] of Object.entries({ ...include, ...select })) {
+      if (!args) continue;
+
+      if (name === '_count') {
+        result._count = Object.fromEntries(Object.entries(args.select).map(([relationName, countArgs]) => {
+          const { relation, records } = related(model, record, relationName);
+          const where = isPlainObject(countArgs) ? countArgs.where : undefined;
+          return [relationName, records.filter((candidate) => matches(relation.model, candidate, where)).length];
+        }));
+        continue;
+      }
+
+      if (!fields[name] || !fields[name].isRelation) continue;
+
+      const { relation, records } = related(model, record, name);
+      const nested = args === true ? {} : args;
+
+      if (relation.list) {
+        const ids = new Set(records.map((candidate) => candidate.id));
+        result[name] = query(relation.model, { ...nested, where: { AND: [nested.where || {}, { id: { in: [...ids] } }] } })
+          .map((candidate) => project(relation.model, candidate, nested));
+      } else {
+        result[name] = records[0] ? project(relation.model, records[0], nested) : null;
+      }
+    }
+
+    return result;
+  };
+
+  const checkUnique = (model, record) => {
+    for (const fields of models[model].unique) {
+      if (fields.some((field) => record[field] == null)) continue;
+
+      const clash = tables[model].some((other) =>
+        other.id !== record.id && fields.every((field) => equal(other[field], record[field]))
+      );
+
+      if (clash) throw uniqueViolation(model, fields);
+    }
+  };
+
+  // Relation writes nested in create data, run once the record exists
+  const splitRelationWrites = (model, data) => {
+    const scalars = {};
+    const writes = [];
+
+    for (const [name, value] of Object.entries(data)) {
+      const field = models[model].fields[name];
+
+      if (field && field.isRelation) {
+        const relation = relationOf(model, name);
+
+        if (value.connect && relation.local !== 'id') {
+          scalars[relation.local] = value.connect.id;
+        } else {
+          writes.push([relation, value]);
+        }
+      } else if (value !== undefined) {
+        scalars[name] = value;
+      }
+    }
+
+    return { scalars, writes };
+  };
+
+  const insert = (model, data) => {
+    const { scalars, writes } = splitRelationWrites(model, data);
+    const record = {};
+
+    for (const [name, field] of Object.entries(models[model].fields)) {
+      if (field.isRelation) continue;
+      if (field.default !== undefined) record[name] = defaultValue(field);
+      else if (field.updatedAt) record[name] = new Date();
+      else if (field.list) record[name] = [];
+    }
+
+    Object.assign(record, clone(scalars));
+    checkUnique(model, record);
+    tables[model].push(record);
+
+    for (const [relation, value] of writes) {
+      const items = [].concat(value.create || [], (value.createMany && value.createMany.data) || []);
+      items.forEach((item) => insert(relation.model, { ...item, [relation.remote]: record.id }));
+    }
+
+    return record;
+  };
+
+  const applyUpdate = (model, record, data) => {
+    const next = { ...record };
+
+    for (const [name, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+
+      const field = models[model].fields[name];
+
+      if (field && field.isRelation) {
+        const relation = relationOf(model, name);
+        if (value.connect) next[relation.local] = value.connect.id;
+        if (value.disconnect) next[relation.local] = null;
+        continue;
+      }
+
+      if (!isPlainObject(value) || (field && !['Int', 'Float'].includes(field.type) && !field.list)) {
+        next[name] = clone(value);
+      } else if ('set' in value) {
+        next[name] = clone(value.set);
+      } else if ('increment' in value) {
+        next[name] = (next[name] || 0) + value.increment;
+      } else if ('decrement' in value) {
+        next[name] = (next[name] || 0) - value.decrement;
+      } else if ('push' in value) {
+        next[name] = [...(next[name] || []), ...clone([].concat(value.push))];
+      } else {
+        next[name] = clone(value);
+      }
+    }
+
+    for (const [name, field] of Object.entries(models[model].fields)) {
+      if (field.updatedAt) next[name] = new Date();
+    }
+
+    checkUnique(model, next);
+    Object.assign(record, next);
+    return record;
+  };
+
+  const findOne = (model, where) => tables[model].find((record) => matches(model, record, where));
+
+  const delegate = (model) => ({
+    findUnique: async (args) => {
+      const record = findOne(model, args.where);
+      return record ? project(model, record, args) : null;
+    },
+    findUniqueOrThrow: async (args) => {
+      const record = findOne(model, args.where);
+      if (!record) throw notFound(model);
+      return project(model, record, args);
+    },
+    findFirst: async (args = {}) => {
+      const [record] = query(model, { ...args, take: 1 });
+      return record ? project(model, record, args) : null;
+    },
+    findMany: async (args = {}) => query(model, args).map((record) => project(model, record, args)),
+    count: async (args = {}) => query(model, args).length,
+    create: async (args) => project(model, insert(model, args.data), args),
+    createMany: async ({ data }) => {
+      data.forEach((item) => insert(model, item));
+      return { count: data.length };
+    },
+    update: async (args) => {
+      const record = findOne(model, args.where);
+      if (!record) throw notFound(model);
+      return project(model, applyUpdate(model, record, args.data), args);
+    },
+    updateMany: async ({ where, data }) => {
+      const records = query(model, { where });
+      records.forEach((record) => applyUpdate(model, record, data));
+      return { count: records.length };
+    },
+    upsert: async (args) => {
+      const record = findOne(model, args.where);
+      return project(model, record ? applyUpdate(model, record, args.update) : insert(model, args.create), args);
+    },
+    delete: async (args) => {
+      const record = findOne(model, args.where);
+      if (!record) throw notFound(model);
+      tables[model] = tables[model].filter((candidate) => candidate !== record);
+      return project(model, record, args);
+    },
+    deleteMany: async ({ where } = {}) => {
+      const before = tables[model].length;
+      tables[model] = tables[model].filter((record) => !matches(model, record, where));
+      return { count: before - tables[model].length };
+    },
+    groupBy: async ({ by, where, _count }) => {
+      const groups = new Map();
+
+      for (const record of query(model, { where })) {
+        const key = JSON.stringify(by.map((field) => record[field]));
+        if (!groups.has(key)) groups.set(key, { ...Object.fromEntries(by.map((field) => [field, record[field]])), records: [] });
+        groups.get(key).records.push(record);
+      }
+
+      return [...groups.values()].map(({ records, ...group }) => ({
+        ...group,
+        ...(_count && { _count: _count === true ? records.length : Object.fromEntries(Object.keys(_count).map((field) => [field, records.length])) })
+      }));
+    }
+  });
+
+  const delegates = Object.fromEntries(
+    Object.keys(models).map((name) => [name[0].toLowerCase() + name.slice(1), delegate(name)])
+  );
+
+  const client = {
+    ...delegates,
+    $connect: async () => {},
+    $disconnect: async () => {},
+    // Index creation (TTL indexes) has nothing to do in memory
+    $runCommandRaw: async () => ({ ok: 1 }),
+    // Interactive transactions are rolled back when they throw
+    $transaction: async (operations) => {
+      if (typeof operations !== 'function') {
+        return Promise.all(operations);
+      }
+
+      const snapshot = structuredClone(tables);
+      try {
+        return await operations(client);
+      } catch (error) {
+        Object.keys(tables).forEach((name) => {
+          tables[name] = snapshot[name];
+        });
+        throw error;
+      }
+    },
+    /**
+     * Empty every collection
+     */
+    $reset: () => {
+      Object.keys(tables).forEach((name) => {
+        tables[name] = [];
+      });
+    }
+  };
+
+  return client;
+};
+
+/**
+ * Make `src/config/db.js` export an in-memory client. Call before loading the app.
+ */
+const installMemoryPrisma = () => {
+  const dbPath = require.resolve('../../src/config/db');
+  const client = createMemoryPrisma();
+
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: client };
+
+  return client;
+};
+
+module.exports = {
+  createMemoryPrisma,
+  installMemoryPrisma
+};
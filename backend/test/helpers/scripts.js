@@ -0,0 +1,48 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Run the mock services from scripts/ next to the tests
+ */
+
+/**
+ * A TCP port nothing listens on
+ */
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+/**
+ * Start a script of scripts/ and wait until it prints that it is running
+ */
+const startScript = (name, env) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '../../scripts', name)], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  let output = '';
+
+  const stop = () => new Promise((done) => {
+    if (child.exitCode !== null) return done();
+    child.once('exit', () => done());
+    child.kill();
+  });
+
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    if (/running/i.test(output)) resolve({ stop });
+  });
+  child.once('exit', (code) => reject(new Error(`${name} exited with code ${code}`)));
+});
+
+module.exports = {
+  freePort,
+  startScript
+};
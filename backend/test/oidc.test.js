@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+const { freePort, startScript } = require('./helpers/scripts');
+
+const APP_URL = 'http://app.test';
+
+let api;
+let idp;
+
+before(async () => {
+  const idpPort = await freePort();
+  const issuer = `http://127.0.0.1:${idpPort}`;
+
+  idp = await startScript('mock-oidc-provider.js', {
+    MOCK_OIDC_PORT: String(idpPort),
+    MOCK_OIDC_ISSUER: issuer
+  });
+
+  api = await startApi({
+    APP_URL,
+    OIDC_PROVIDERS: 'mock',
+    OIDC_MOCK_ISSUER: issuer,
+    OIDC_MOCK_CLIENT_ID: 'prime-trade',
+    OIDC_MOCK_CLIENT_SECRET: 'mock-secret'
+  });
+  // The callback URL registered with the provider
+  process.env.API_URL = api.baseUrl;
+});
+
+after(async () => {
+  await api.stop();
+  await idp.stop();
+});
+
+/**
+ * Start a sign-in and submit the provider's sign-in form. Answers the URL the
+ * provider redirects back to (the API's callback).
+ */
+const authorize = async ({ email, emailVerified = true }) => {
+  const start = await api.request('GET', '/api/v1/auth/oidc/mock');
+  assert.equal(start.status, 302);
+
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+  assert.ok(authorizeUrl.searchParams.get('code_challenge'));
+
+  const form = new URLSearchParams();
+  for (const name of ['client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge']) {
+    form.set(name, authorizeUrl.searchParams.get(name));
+  }
+  form.set('email', email);
+  form.set('given_name', 'Single');
+  form.set('family_name', 'Sign-On');
+  if (emailVerified) form.set('email_verified', 'on');
+
+  const submitted = await fetch(authorizeUrl.origin + authorizeUrl.pathname, {
+    method: 'POST',
+    body: form,
+    redirect: 'manual'
+  });
+  assert.equal(submitted.status, 302);
+
+  return new URL(submitted.headers.get('location'));
+};
+
+/**
+ * Follow the provider's redirect to the API. Answers the parameters the API
+ * sends the browser back to the frontend with (`code` or `error`).
+ */
+const callback = async (callbackUrl) => {
+  const response = await api.request('GET', callbackUrl.pathname + callbackUrl.search);
+  assert.equal(response.status, 302);
+
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.origin, APP_URL);
+
+  return Object.fromEntries(location.searchParams);
+};
+
+const exchange = (code) =>
+  api.request('POST', '/api/v1/auth/oidc/exchange', { body: { code } });
+
+test('signing in through the provider creates a verified account', async () => {
+  const result = await callback(await authorize({ email: 'new.sso@example.com' }));
+  assert.ok(result.code, `expected a login code, got ${JSON.stringify(result)}`);
+
+  const login = await exchange(result.code);
+  assert.equal(login.status, 200);
+  assert.equal(login.body.data.user.email, 'new.sso@example.com');
+
+  const user = await api.db.user.findUnique({ where: { email: 'new.sso@example.com' } });
+  assert.equal(user.emailVerified, true);
+
+  // The one-time login code is spent
+  assert.equal((await exchange(result.code)).status, 401);
+
+  // The next sign-in finds the same account through its linked identity
+  const again = await callback(await authorize({ email: 'new.sso@example.com' }));
+  assert.equal((await exchange(again.code)).body.data.user.id, user.id);
+});
+
+test('a callback cannot be replayed', async () => {
+  const callbackUrl = await authorize({ email: 'replay.sso@example.com' });
+
+  assert.ok((await callback(callbackUrl)).code);
+  assert.deepEqual(await callback(callbackUrl), { error: 'SSO_EXPIRED' });
+});
+
+test('the code is only redeemed with the PKCE verifier of the sign-in', async () => {
+  const callbackUrl = await authorize({ email: 'pkce.sso@example.com' });
+
+  await api.db.oidcAuthRequest.update({
+    where: { state: callbackUrl.searchParams.get('state') },
+    data: { codeVerifier: 'a-verifier-that-does-not-match-the-challenge-sent' }
+  });
+
+  assert.deepEqual(await callback(callbackUrl), { error: 'SSO_FAILED' });
+  assert.equal(await api.db.user.findUnique({ where: { email: 'pkce.sso@example.com' } }), null);
+});
+
+test('identities are only linked through verified email addresses', async () => {
+  const unverifiedClaim = await callback(await authorize({ email: 'claim.sso@example.com', emailVerified: false }));
+  assert.deepEqual(unverifiedClaim, { error: 'EMAIL_NOT_VERIFIED' });
+
+  // Anyone could have registered this address without owning it
+  await api.db.user.create({
+    data: { email: 'squatted.sso@example.com', password: 'x', emailVerified: false }
+  });
+  const squatted = await callback(await authorize({ email: 'squatted.sso@example.com' }));
+  assert.deepEqual(squatted, { error: 'ACCOUNT_NOT_VERIFIED' });
+
+  const owner = await api.db.user.create({
+    data: { email: 'owner.sso@example.com', password: 'x', emailVerified: true }
+  });
+  const linked = await callback(await authorize({ email: 'owner.sso@example.com' }));
+  assert.equal((await exchange(linked.code)).body.data.user.id, owner.id);
+});
@@ -0,0 +1,98 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage, createS3Storage } = require('../src/services/storage');
+const { freePort, startScript } = require('./helpers/scripts');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * The behavior every storage driver shares
+ */
+const storesFiles = (getStorage) => {
+  test('stores, reads back and deletes a file', async () => {
+    const storage = getStorage();
+    const content = Buffer.from('%PDF-1.7 attachment content');
+
+    await storage.put('tasks/abc/report.pdf', content, 'application/pdf');
+    assert.deepEqual(await readAll(await storage.get('tasks/abc/report.pdf')), content);
+
+    await storage.delete('tasks/abc/report.pdf');
+    await assert.rejects(storage.get('tasks/abc/report.pdf'));
+  });
+
+  test('replaces a file stored under the same key', async () => {
+    const storage = getStorage();
+
+    await storage.put('tasks/abc/notes.txt', Buffer.from('first'), 'text/plain');
+    await storage.put('tasks/abc/notes.txt', Buffer.from('second'), 'text/plain');
+
+    assert.equal((await readAll(await storage.get('tasks/abc/notes.txt'))).toString(), 'second');
+  });
+
+  test('deleting a missing file succeeds', async () => {
+    await getStorage().delete('tasks/abc/missing.txt');
+  });
+};
+
+describe('local storage', () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prime-trade-test-uploads-'));
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  storesFiles(() => createLocalStorage(directory));
+
+  test('keeps files inside its directory', async () => {
+    const storage = createLocalStorage(directory);
+
+    await storage.put('tasks/abc/kept.txt', Buffer.from('kept'), 'text/plain');
+    assert.ok(fs.existsSync(path.join(directory, 'tasks', 'abc', 'kept.txt')));
+
+    await assert.rejects(storage.put('../outside.txt', Buffer.from('x'), 'text/plain'), /Invalid storage key/);
+    assert.equal(fs.existsSync(path.join(directory, '..', 'outside.txt')), false);
+  });
+});
+
+describe('S3 storage', () => {
+  let s3;
+
+  before(async () => {
+    const port = await freePort();
+    s3 = await startScript('mock-s3-server.js', { MOCK_S3_PORT: String(port) });
+
+    Object.assign(process.env, {
+      S3_BUCKET: 'attachments',
+      S3_ENDPOINT: `http://127.0.0.1:${port}`,
+      S3_FORCE_PATH_STYLE: 'true',
+      S3_ACCESS_KEY_ID: 'mock',
+      S3_SECRET_ACCESS_KEY: 'mock'
+    });
+  });
+
+  after(() => s3.stop());
+
+  storesFiles(() => createS3Storage());
+
+  test('requires a bucket', () => {
+    const bucket = process.env.S3_BUCKET;
+    delete process.env.S3_BUCKET;
+
+    try {
+      assert.throws(() => createS3Storage(), /S3_BUCKET is required/);
+    } finally {
+      process.env.S3_BUCKET = bucket;
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.stop());
+
+const PASSWORD = 'Passw0rd!23';
+let accounts = 0;
+
+/**
+ * Register an admin and log in. Answers the admin's id and access token.
+ */
+const signUpAdmin = async () => {
+  const email = `admin${++accounts}@example.com`;
+
+  const registered = await api.request('POST', '/api/v1/auth/register', {
+    body: { email, password: PASSWORD, firstName: 'Test', lastName: 'Admin' }
+  });
+  assert.equal(registered.status, 201);
+
+  const user = await api.db.user.update({ where: { email }, data: { role: 'ADMIN' } });
+
+  const login = await api.request('POST', '/api/v1/auth/login', {
+    body: { email, password: PASSWORD }
+  });
+  assert.equal(login.status, 200);
+
+  return { id: user.id, accessToken: login.body.data.accessToken };
+};
+
+test('the last active admin cannot be demoted, deactivated or deleted', async () => {
+  const admin = await signUpAdmin();
+  const other = await signUpAdmin();
+
+  const demoted = await api.request('PATCH', `/api/v1/users/${other.id}/role`, {
+    token: admin.accessToken,
+    body: { role: 'USER' }
+  });
+  assert.equal(demoted.status, 200);
+
+  const demoteSelf = await api.request('PATCH', `/api/v1/users/${admin.id}/role`, {
+    token: admin.accessToken,
+    body: { role: 'USER' }
+  });
+  assert.equal(demoteSelf.status, 409);
+  assert.equal(demoteSelf.body.code, 'LAST_ADMIN');
+
+  const deactivateSelf = await api.request('POST', `/api/v1/users/${admin.id}/deactivate`, {
+    token: admin.accessToken
+  });
+  assert.equal(deactivateSelf.status, 409);
+
+  const deleteSelf = await api.request('DELETE', '/api/v1/auth/account', {
+    token: admin.accessToken,
+    body: { password: PASSWORD }
+  });
+  assert.equal(deleteSelf.status, 409);
+
+  // The writes were rolled back
+  const unchanged = await api.db.user.findUnique({ where: { id: admin.id } });
+  assert.equal(unchanged.role, 'ADMIN');
+  assert.equal(unchanged.isActive, true);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.stop());
+
+const PASSWORD = 'Passw0rd!23';
+let accounts = 0;
+
+/**
+ * Register an account and log in. Answers the user's id, access token and
+ * personal workspace.
+ */
+const signUp = async () => {
+  const email = `member${++accounts}@example.com`;
+
+  const registered = await api.request('POST', '/api/v1/auth/register', {
+    body: { email, password: PASSWORD, firstName: 'Test', lastName: 'Member' }
+  });
+  assert.equal(registered.status, 201);
+
+  const login = await api.request('POST', '/api/v1/auth/login', {
+    body: { email, password: PASSWORD }
+  });
+  assert.equal(login.status, 200);
+
+  const { accessToken, user } = login.body.data;
+  const workspaces = await api.request('GET', '/api/v1/workspaces', { token: accessToken });
+
+  return { id: user.id, accessToken, workspaceId: workspaces.body.data.workspaces[0].id };
+};
+
+test('a workspace keeps its last admin', async () => {
+  const owner = await signUp();
+  const other = await signUp();
+  const members = `/api/v1/workspaces/${owner.workspaceId}/members`;
+
+  await api.db.workspaceMember.create({
+    data: { workspaceId: owner.workspaceId, userId: other.id, role: 'ADMIN' }
+  });
+
+  const demoted = await api.request('PATCH', `${members}/${other.id}`, {
+    token: owner.accessToken,
+    body: { role: 'MEMBER' }
+  });
+  assert.equal(demoted.status, 200);
+
+  const demoteSelf = await api.request('PATCH', `${members}/${owner.id}`, {
+    token: owner.accessToken,
+    body: { role: 'MEMBER' }
+  });
+  assert.equal(demoteSelf.status, 409);
+  assert.equal(demoteSelf.body.code, 'LAST_WORKSPACE_ADMIN');
+
+  const leave = await api.request('DELETE', `${members}/${owner.id}`, { token: owner.accessToken });
+  assert.equal(leave.status, 409);
+
+  // Both writes were rolled back
+  const membership = await api.db.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId: owner.workspaceId, userId: owner.id } }
+  });
+  assert.equal(membership.role, 'ADMIN');
+
+  const removed = await api.request('DELETE', `${members}/${other.id}`, { token: owner.accessToken });
+  assert.equal(removed.status, 200);
+});
@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+const SCOPES = [
+  { value: 'tasks:read', label: 'Read tasks' },
+  { value: 'tasks:write', label: 'Create, update and delete tasks' },
+  { value: 'profile:read', label: 'Read profile' }
+];
+
+function AccessTokens() {
+  const [tokens, setTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState({ name: '', scopes: ['tasks:read'], expiresInDays: '30' });
+  const [newToken, setNewToken] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Load tokens on mount
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const loadTokens = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getAccessTokens();
+      setTokens(response.data.tokens);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setFormData((current) => ({
+      ...current,
+      scopes: current.scopes.includes(scope)
+        ? current.scopes.filter((s) => s !== scope)
+        : [...current.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.createAccessToken({
+        name: formData.name,
+        scopes: formData.scopes,
+        expiresInDays: formData.expiresInDays ? Number(formData.expiresInDays) : null
+      });
+      setNewToken(response.data.token);
+      setShowForm(false);
+      setFormData({ name: '', scopes: ['tasks:read'], expiresInDays: '30' });
+      loadTokens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) return;
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await authAPI.revokeAccessToken(id);
+      setSuccess('Access token revoked successfully');
+      loadTokens();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : 'Never');
+
+  return (
+    <div className="task-list" style={{ marginTop: '24px' }}>
+      <div className="task-header">
+        <h2>Personal Access Tokens</h2>
+        {!showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-secondary btn-sm">
+            New token
+          </button>
+        )}
+      </div>
+
+      {(error || success || newToken || showForm) && (
+        <div className="task-form">
+          {error && <div className="alert alert-error">{error}</div>}
+          {success && <div className="alert alert-success">{success}</div>}
+
+          {newToken && (
+            <div className="recovery-codes">
+              <p>Copy your new token now. It will not be shown again.</p>
+              <p style={{ marginTop: '8px', wordBreak: 'break-all' }}><code>{newToken}</code></p>
+              <button onClick={() => setNewToken(null)} className="btn btn-secondary btn-sm" style={{ marginTop: '8px' }}>
+                Done
+              </button>
+            </div>
+          )}
+
+          {showForm && (
+            <form onSubmit={handleCreate}>
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. Backup script"
+                  maxLength={100}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Scopes</label>
+                {SCOPES.map((scope) => (
+                  <label key={scope.value} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.scopes.includes(scope.value)}
+                      onChange={() => toggleScope(scope.value)}
+                    />
+                    <code>{scope.value}</code> {scope.label}
+                  </label>
+                ))}
+              </div>
+              <div className="form-group">
+                <label>Expiration</label>
+                <select
+                  value={formData.expiresInDays}
+                  onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+                >
+                  <option value="7">7 days</option>
+                  <option value="30">30 days</option>
+                  <option value="90">90 days</option>
+                  <option value="365">1 year</option>
+                  <option value="">No expiration</option>
+                </select>
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button type="submit" className="btn btn-primary" disabled={formData.scopes.length === 0}>
+                  Create token
+                </button>
+                <button type="button" onClick={() => setShowForm(false)} className="btn btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading tokens...</div>
+      ) : tokens.length === 0 ? (
+        <div className="empty-state">
+          <h3>No access tokens</h3>
+          <p>Create a token to use the API from scripts and integrations.</p>
+        </div>
+      ) : (
+        <div className="session-list">
+          {tokens.map((token) => (
+            <div key={token.id} className="session-item">
+              <div>
+                <h3>
+                  {token.name} <code>{token.tokenPrefix}…</code>
+                </h3>
+                <p>
+                  {token.scopes.join(', ')} · Created {formatDate(token.createdAt)} ·
+                  Last used {formatDate(token.lastUsedAt)} · Expires {formatDate(token.expiresAt)}
+                </p>
+              </div>
+              <button onClick={() => handleRevoke(token.id)} className="btn btn-danger btn-sm">
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccessTokens;
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import WorkspaceInvitations from './WorkspaceInvitations';
+import Notifications from './Notifications';
+
+const NEW_WORKSPACE = 'new';
+
+function AppHeader() {
+  const { user, logout } = useAuth();
+  const { workspaces, workspace, loaded, switchWorkspace, createWorkspace, can } = useWorkspace();
+  const [inviting, setInviting] = useState(false);
+
+  const handleSwitch = async (e) => {
+    if (e.target.value !== NEW_WORKSPACE) {
+      switchWorkspace(e.target.value);
+      return;
+    }
+
+    const name = window.prompt('Name of the new workspace');
+    if (!name || !name.trim()) return;
+
+    try {
+      await createWorkspace(name.trim());
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  return (
+    <header className="dashboard-header">
+      <div className="container">
+        <Link to="/dashboard" className="dashboard-brand">Prime Trade Tasks</Link>
+        <div className="dashboard-user">
+          {loaded && (
+            <select
+              className="inline-select"
+              value={workspace?.id || ''}
+              onChange={handleSwitch}
+              aria-label="Workspace"
+            >
+              {!workspace && <option value="" disabled>No workspace</option>}
+              {workspaces.map((item) => (
+                <option key={item.id} value={item.id}>{item.name}</option>
+              ))}
+              <option value={NEW_WORKSPACE}>+ New workspace…</option>
+            </select>
+          )}
+          {can('workspace:manage') && (
+            <button onClick={() => setInviting(!inviting)} className="btn btn-secondary btn-sm">
+              Invite
+            </button>
+          )}
+          <Notifications />
+          <Link to="/settings" className="header-link">Settings</Link>
+          <Link to="/security" className="header-link">Security</Link>
+          <span>
+            {user.firstName} {user.lastName} ({workspace?.role || user.role})
+          </span>
+          <button onClick={logout} className="btn btn-secondary btn-sm">
+            Logout
+          </button>
+        </div>
+      </div>
+
+      {inviting && workspace && can('workspace:manage') && (
+        <WorkspaceInvitations workspace={workspace} onClose={() => setInviting(false)} />
+      )}
+    </header>
+  );
+}
+
+export default AppHeader;
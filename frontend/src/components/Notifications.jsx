@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { notificationsAPI } from '../services/api';
+
+// How often the unread count is refreshed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Header button with the unread notification count, opening the latest notifications
+ */
+function Notifications() {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadNotifications = async () => {
+    try {
+      const response = await notificationsAPI.getAll({ limit: 20 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const run = async (change) => {
+    setError('');
+
+    try {
+      await change();
+      loadNotifications();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="notifications">
+      <button onClick={() => setOpen(!open)} className="btn btn-secondary btn-sm">
+        Notifications{unreadCount > 0 && <span className="notification-count">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="task-header">
+            <h2>Notifications</h2>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              {unreadCount > 0 && (
+                <button onClick={() => run(notificationsAPI.markAllRead)} className="btn btn-secondary btn-sm">
+                  Mark all read
+                </button>
+              )}
+              <button onClick={() => setOpen(false)} className="btn btn-secondary btn-sm">
+                Close
+              </button>
+            </div>
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+
+          {notifications.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#888' }}>No notifications yet.</p>
+          ) : (
+            <div className="session-list">
+              {notifications.map((notification) => (
+                <div
+                  key={notification.id}
+                  className={`session-item ${notification.readAt ? '' : 'notification-unread'}`}
+                >
+                  <div>
+                    <h3>{notification.title}</h3>
+                    <p>
+                      {notification.body && `${notification.body} · `}
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  {!notification.readAt && (
+                    <button
+                      onClick={() => run(() => notificationsAPI.markRead(notification.id))}
+                      className="btn btn-secondary btn-sm"
+                    >
+                      Mark read
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Notifications;
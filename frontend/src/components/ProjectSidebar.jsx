@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { projectsAPI } from '../services/api';
+
+export const INBOX = 'inbox';
+
+const emptyForm = { name: '', color: '#4a6cf7', description: '' };
+
+function ProgressCount({ progress }) {
+  const percent = progress.total ? Math.round((progress.completed / progress.total) * 100) : 0;
+
+  return (
+    <>
+      <span className="project-count">{progress.completed}/{progress.total}</span>
+      <div className="project-progress">
+        <div style={{ width: `${percent}%` }} />
+      </div>
+    </>
+  );
+}
+
+/**
+ * Inbox and project list of the workspace. `selected` is null (all tasks),
+ * INBOX or a project ID; `onChange` is called after projects were changed.
+ */
+function ProjectSidebar({ projects, inbox, selected, onSelect, onChange }) {
+  const { workspace, can } = useWorkspace();
+  const [showForm, setShowForm] = useState(false);
+  const [editingProject, setEditingProject] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [archived, setArchived] = useState(null);
+  const [error, setError] = useState('');
+
+  // Projects are owned by their creator
+  const owned = (project) => ({ userId: project.createdById });
+
+  // Archived projects are only listed on demand
+  useEffect(() => {
+    setArchived(null);
+  }, [workspace?.id]);
+
+  const loadArchived = async () => {
+    try {
+      const response = await projectsAPI.getAll({ archived: 'true' });
+      setArchived(response.data.projects);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const afterChange = () => {
+    onChange();
+    if (archived) loadArchived();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      if (editingProject) {
+        await projectsAPI.update(editingProject.id, formData);
+      } else {
+        const response = await projectsAPI.create(formData);
+        onSelect(response.data.project.id);
+      }
+      handleCancel();
+      afterChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEdit = (project) => {
+    setEditingProject(project);
+    setFormData({
+      name: project.name,
+      color: project.color,
+      description: project.description || ''
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingProject(null);
+    setFormData(emptyForm);
+  };
+
+  const handleArchive = async (project, value) => {
+    setError('');
+
+    try {
+      await projectsAPI.update(project.id, { archived: value });
+      if (value && selected === project.id) onSelect(null);
+      afterChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete "${project.name}"? Its tasks will be moved to the Inbox.`)) return;
+
+    setError('');
+
+    try {
+      await projectsAPI.delete(project.id);
+      if (selected === project.id) onSelect(null);
+      afterChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const itemClass = (value) => `project-item${selected === value ? ' active' : ''}`;
+
+  return (
+    <aside className="project-sidebar">
+      <div className="project-sidebar-header">
+        <h2>Projects</h2>
+        {can('project:create') && !showForm && (
+          <button onClick={() => setShowForm(true)} className="btn btn-primary btn-sm">
+            + New
+          </button>
+        )}
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="project-form">
+          <div className="form-group">
+            <label>Name</label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="color"
+                value={formData.color}
+                onChange={(e) => setFormData({ ...formData, color: e.target.value })}
+                aria-label="Color"
+              />
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="Project name"
+                required
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              rows="2"
+            />
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="submit" className="btn btn-primary btn-sm">
+              {editingProject ? 'Save' : 'Create'}
+            </button>
+            <button type="button" onClick={handleCancel} className="btn btn-secondary btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <ul className="project-list">
+        <li className={itemClass(null)} onClick={() => onSelect(null)}>
+          <span className="project-name">All tasks</span>
+        </li>
+        <li className={itemClass(INBOX)} onClick={() => onSelect(INBOX)}>
+          <span className="project-name">Inbox</span>
+          <ProgressCount progress={inbox.progress} />
+        </li>
+        {projects.map((project) => (
+          <li
+            key={project.id}
+            className={itemClass(project.id)}
+            onClick={() => onSelect(project.id)}
+            title={project.description || undefined}
+          >
+            <span className="project-dot" style={{ background: project.color }} />
+            <span className="project-name">{project.name}</span>
+            <ProgressCount progress={project.progress} />
+            {selected === project.id && (
+              <div className="project-actions" onClick={(e) => e.stopPropagation()}>
+                {can('project:update', owned(project)) && (
+                  <>
+                    <button onClick={() => handleEdit(project)} className="btn btn-secondary btn-sm">
+                      Edit
+                    </button>
+                    <button onClick={() => handleArchive(project, true)} className="btn btn-secondary btn-sm">
+                      Archive
+                    </button>
+                  </>
+                )}
+                {can('project:delete', owned(project)) && (
+                  <button onClick={() => handleDelete(project)} className="btn btn-danger btn-sm">
+                    Delete
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {archived ? (
+        <>
+          <h3 className="project-archived-title">Archived</h3>
+          {archived.length === 0 && <p className="project-archived-title">No archived projects</p>}
+          <ul className="project-list">
+            {archived.map((project) => (
+              <li key={project.id} className="project-item archived">
+                <span className="project-dot" style={{ background: project.color }} />
+                <span className="project-name">{project.name}</span>
+                {can('project:update', owned(project)) && (
+                  <button onClick={() => handleArchive(project, false)} className="btn btn-secondary btn-sm">
+                    Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => setArchived(null)} className="btn btn-secondary btn-sm">
+            Hide archived
+          </button>
+        </>
+      ) : (
+        <button onClick={loadArchived} className="btn btn-secondary btn-sm">
+          Show archived
+        </button>
+      )}
+    </aside>
+  );
+}
+
+export default ProjectSidebar;
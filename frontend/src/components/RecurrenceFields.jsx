@@ -0,0 +1,174 @@
+const WEEKDAYS = [
+  ['MO', 'Mon'],
+  ['TU', 'Tue'],
+  ['WE', 'Wed'],
+  ['TH', 'Thu'],
+  ['FR', 'Fri'],
+  ['SA', 'Sat'],
+  ['SU', 'Sun']
+];
+
+const UNITS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+
+// Rules these fields can show; others are edited as text
+const SIMPLE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'];
+
+/**
+ * Split an RRULE into the fields below, or null if only the text field can show it
+ */
+const parseRule = (rule) => {
+  const parts = Object.fromEntries(
+    rule.replace(/^RRULE:/i, '').toUpperCase().split(';').filter(Boolean).map((part) => part.split('='))
+  );
+
+  const simple = Object.keys(parts).every((key) => SIMPLE_PARTS.includes(key)) &&
+    UNITS[parts.FREQ] &&
+    (!parts.BYDAY || (parts.FREQ === 'WEEKLY' && /^(MO|TU|WE|TH|FR|SA|SU)(,(MO|TU|WE|TH|FR|SA|SU))*$/.test(parts.BYDAY))) &&
+    (!parts.UNTIL || /^\d{8}$/.test(parts.UNTIL));
+
+  if (!simple) {
+    return null;
+  }
+
+  return {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL || '1',
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    count: parts.COUNT || '',
+    until: parts.UNTIL ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6)}` : ''
+  };
+};
+
+const buildRule = ({ freq, interval, byDay, count, until }) =>
+  [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    freq === 'WEEKLY' && byDay.length > 0 && `BYDAY=${byDay.join(',')}`,
+    count && `COUNT=${count}`,
+    until && `UNTIL=${until.replaceAll('-', '')}`
+  ].filter(Boolean).join(';');
+
+/**
+ * Repeat settings of a task, as an iCalendar RRULE (`value`, '' for none).
+ * Occurrences follow the browser's timezone.
+ */
+function RecurrenceFields({ value, onChange, disabled }) {
+  const fields = value ? parseRule(value) : null;
+  const mode = !value ? '' : fields ? fields.freq : 'CUSTOM';
+
+  const update = (changes) => onChange(buildRule({ ...fields, ...changes }));
+
+  const handleMode = (next) => {
+    if (next === '' || next === 'CUSTOM') {
+      onChange(next === 'CUSTOM' ? value || 'FREQ=WEEKLY' : '');
+    } else {
+      onChange(buildRule({ interval: 1, byDay: [], count: '', until: '', ...fields, freq: next }));
+    }
+  };
+
+  const toggleDay = (day) =>
+    update({
+      byDay: fields.byDay.includes(day)
+        ? fields.byDay.filter((selected) => selected !== day)
+        : WEEKDAYS.map(([code]) => code).filter((code) => code === day || fields.byDay.includes(code))
+    });
+
+  return (
+    <div className="recurrence-fields">
+      <div className="form-group">
+        <label>Repeat</label>
+        <select value={mode} onChange={(e) => handleMode(e.target.value)} disabled={disabled}>
+          <option value="">Does not repeat</option>
+          <option value="DAILY">Daily</option>
+          <option value="WEEKLY">Weekly</option>
+          <option value="MONTHLY">Monthly (same day)</option>
+          <option value="CUSTOM">Custom rule (RRULE)</option>
+        </select>
+      </div>
+
+      {mode === 'CUSTOM' && (
+        <div className="form-group">
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+            disabled={disabled}
+          />
+        </div>
+      )}
+
+      {fields && (
+        <>
+          <div className="recurrence-row">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={fields.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              disabled={disabled}
+            />
+            <span>{UNITS[fields.freq]}</span>
+          </div>
+
+          {fields.freq === 'WEEKLY' && (
+            <div className="recurrence-row">
+              {WEEKDAYS.map(([code, label]) => (
+                <label key={code} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={fields.byDay.includes(code)}
+                    onChange={() => toggleDay(code)}
+                    disabled={disabled}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="recurrence-row">
+            <span>Ends</span>
+            <select
+              value={fields.count ? 'count' : fields.until ? 'until' : ''}
+              onChange={(e) => update({
+                count: e.target.value === 'count' ? '10' : '',
+                until: e.target.value === 'until' ? new Date().toISOString().slice(0, 10) : ''
+              })}
+              disabled={disabled}
+            >
+              <option value="">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {fields.until && (
+              <input
+                type="date"
+                value={fields.until}
+                onChange={(e) => update({ until: e.target.value })}
+                disabled={disabled}
+              />
+            )}
+            {fields.count && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  max="999"
+                  value={fields.count}
+                  onChange={(e) => update({ count: e.target.value })}
+                  disabled={disabled}
+                />
+                <span>occurrences</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default RecurrenceFields;
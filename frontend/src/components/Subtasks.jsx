@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { tasksAPI } from '../services/api';
+
+/**
+ * Completed subtasks out of those not cancelled, e.g. 3/5
+ */
+const subtaskProgress = (task) => {
+  const counted = (task.subtasks || []).filter((subtask) => subtask.status !== 'CANCELLED');
+  return `${counted.filter((subtask) => subtask.status === 'COMPLETED').length}/${counted.length}`;
+};
+
+/**
+ * Expandable list of a task's subtasks, each with its own subtasks.
+ * `version` changes whenever tasks were changed, to reload open lists.
+ */
+function Subtasks({ task, version, statusBadge, onEdit, onDelete, onAddSubtask }) {
+  const { can } = useWorkspace();
+  const [expanded, setExpanded] = useState(false);
+  const [subtasks, setSubtasks] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (expanded) {
+      loadSubtasks();
+    }
+  }, [expanded, version]);
+
+  const loadSubtasks = async () => {
+    try {
+      const response = await tasksAPI.getAll({ parent: task.id, limit: 100, sort: 'createdAt', order: 'asc' });
+      setSubtasks(response.data.tasks);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!task.subtasks || task.subtasks.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="subtasks">
+      <button onClick={() => setExpanded(!expanded)} className="subtasks-toggle">
+        {expanded ? '▾' : '▸'} Subtasks {subtaskProgress(task)}
+      </button>
+
+      {expanded && (
+        <ul className="subtask-list">
+          {error && <div className="alert alert-error">{error}</div>}
+          {subtasks.map((subtask) => (
+            <li key={subtask.id}>
+              <div className="subtask-row">
+                <span className={`badge ${statusBadge(subtask.status)}`}>
+                  {subtask.status.replace('_', ' ')}
+                </span>
+                <span className="subtask-title">{subtask.title}</span>
+                {can('task:update', subtask) && (
+                  <button onClick={() => onEdit(subtask)} className="btn btn-secondary btn-sm">
+                    Edit
+                  </button>
+                )}
+                {can('task:create') && can('task:update', subtask) && (
+                  <button onClick={() => onAddSubtask(subtask)} className="btn btn-secondary btn-sm">
+                    + Subtask
+                  </button>
+                )}
+                {can('task:delete', subtask) && (
+                  <button onClick={() => onDelete(subtask)} className="btn btn-danger btn-sm">
+                    Delete
+                  </button>
+                )}
+              </div>
+              <Subtasks
+                task={subtask}
+                version={version}
+                statusBadge={statusBadge}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                onAddSubtask={onAddSubtask}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Subtasks;
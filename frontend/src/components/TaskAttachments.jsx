@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef } from 'react';
+import { tasksAPI } from '../services/api';
+
+// The API's default allowlist (ATTACHMENT_ALLOWED_TYPES); it has the final say
+const ACCEPTED_TYPES = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const uploaderName = (user) =>
+  user ? [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email : 'a deleted user';
+
+/**
+ * Files attached to a task. Anyone who can see the task downloads them; editors
+ * attach and remove files.
+ */
+function TaskAttachments({ task, canEdit, onClose }) {
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const fileInput = useRef(null);
+
+  // Reload when another task is picked
+  useEffect(() => {
+    loadAttachments();
+  }, [task.id]);
+
+  const loadAttachments = async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getAttachments(task.id);
+      setAttachments(response.data.attachments);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setSuccess('');
+    setUploading(true);
+
+    try {
+      const response = await tasksAPI.uploadAttachment(task.id, file);
+      setSuccess(response.message);
+      loadAttachments();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+      fileInput.current.value = '';
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    setError('');
+
+    try {
+      const blob = await tasksAPI.downloadAttachment(task.id, attachment.id);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Remove “${attachment.fileName}”?`)) return;
+
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await tasksAPI.deleteAttachment(task.id, attachment.id);
+      setSuccess(response.message);
+      loadAttachments();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="task-form">
+      <div className="task-header">
+        <h2>Files of “{task.title}”</h2>
+        <button onClick={onClose} className="btn btn-secondary btn-sm">
+          Close
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {canEdit && (
+        <div className="attachment-upload">
+          <input
+            ref={fileInput}
+            type="file"
+            accept={ACCEPTED_TYPES}
+            onChange={handleUpload}
+            disabled={uploading}
+          />
+          {uploading && <span>Uploading…</span>}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : attachments.length === 0 ? (
+        <p style={{ fontSize: '13px', color: '#888' }}>No files attached.</p>
+      ) : (
+        <div className="session-list">
+          {attachments.map((attachment) => (
+            <div key={attachment.id} className="session-item">
+              <div>
+                <h3>{attachment.fileName}</h3>
+                <p>
+                  {formatSize(attachment.size)} · Added by {uploaderName(attachment.uploadedBy)},{' '}
+                  {new Date(attachment.createdAt).toLocaleString()}
+                </p>
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={() => handleDownload(attachment)} className="btn btn-secondary btn-sm">
+                  Download
+                </button>
+                {canEdit && (
+                  <button onClick={() => handleDelete(attachment)} className="btn btn-danger btn-sm">
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskAttachments;
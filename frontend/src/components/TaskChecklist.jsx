@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { tasksAPI } from '../services/api';
+
+function TaskChecklist({ task, canEdit }) {
+  const [items, setItems] = useState(task.checklist || []);
+  const [text, setText] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reload when the task was reloaded
+  useEffect(() => {
+    setItems(task.checklist || []);
+  }, [task]);
+
+  // Every change answers with the whole checklist
+  const run = async (change) => {
+    setError('');
+
+    try {
+      const response = await change();
+      setItems(response.data.checklist);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await run(() => tasksAPI.addChecklistItem(task.id, text))) {
+      setText('');
+    }
+  };
+
+  const handleToggle = (item) =>
+    run(() => tasksAPI.updateChecklistItem(task.id, item.id, { done: !item.done }));
+
+  const handleRemove = (item) =>
+    run(() => tasksAPI.deleteChecklistItem(task.id, item.id));
+
+  if (items.length === 0 && !canEdit) {
+    return null;
+  }
+
+  const done = items.filter((item) => item.done).length;
+
+  return (
+    <div className="checklist">
+      {items.length > 0 && (
+        <p className="checklist-summary">Checklist {done}/{items.length}</p>
+      )}
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <ul>
+        {items.map((item) => (
+          <li key={item.id} className={item.done ? 'done' : ''}>
+            <label>
+              <input
+                type="checkbox"
+                checked={item.done}
+                disabled={!canEdit}
+                onChange={() => handleToggle(item)}
+              />
+              {item.text}
+            </label>
+            {canEdit && (
+              <button onClick={() => handleRemove(item)} className="checklist-remove" aria-label="Remove item">
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && (adding ? (
+        <form onSubmit={handleAdd} className="checklist-form">
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="New item"
+            autoFocus
+            required
+          />
+          <button type="submit" className="btn btn-secondary btn-sm">Add</button>
+          <button type="button" onClick={() => setAdding(false)} className="btn btn-secondary btn-sm">
+            Done
+          </button>
+        </form>
+      ) : (
+        <button onClick={() => setAdding(true)} className="checklist-add">
+          + Checklist item
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TaskChecklist;
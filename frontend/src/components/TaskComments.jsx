@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { tasksAPI } from '../services/api';
+
+const authorName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+
+/**
+ * A task's details and its comment threads. Mention people with @ and their email.
+ */
+function TaskComments({ task, onClose, onChange }) {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [body, setBody] = useState('');
+  // Comment being replied to or edited, with the text typed for it
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Reload when another task is picked
+  useEffect(() => {
+    loadComments();
+  }, [task.id]);
+
+  const loadComments = async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getComments(task.id);
+      setComments(response.data.comments);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const run = async (change) => {
+    setError('');
+
+    try {
+      await change();
+      setReplyTo(null);
+      setEditing(null);
+      setDraft('');
+      await loadComments();
+      onChange();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (await run(() => tasksAPI.addComment(task.id, { body }))) {
+      setBody('');
+    }
+  };
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    run(() => tasksAPI.addComment(task.id, { body: draft, parentId: replyTo }));
+  };
+
+  const handleEdit = (e) => {
+    e.preventDefault();
+    run(() => tasksAPI.updateComment(task.id, editing, draft));
+  };
+
+  const handleDelete = (comment) => {
+    if (window.confirm('Delete this comment?')) {
+      run(() => tasksAPI.deleteComment(task.id, comment.id));
+    }
+  };
+
+  const startEditing = (comment) => {
+    setReplyTo(null);
+    setEditing(comment.id);
+    setDraft(comment.body);
+  };
+
+  const startReply = (comment) => {
+    setEditing(null);
+    setReplyTo(comment.id);
+    setDraft('');
+  };
+
+  const renderDraft = (onSubmit, label) => (
+    <form onSubmit={onSubmit} className="comment-form">
+      <textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows="2" required autoFocus />
+      <div className="task-actions">
+        <button type="submit" className="btn btn-primary btn-sm">{label}</button>
+        <button
+          type="button"
+          onClick={() => { setReplyTo(null); setEditing(null); }}
+          className="btn btn-secondary btn-sm"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderComment = (comment, thread) => (
+    <div key={comment.id} className={`comment ${thread ? '' : 'comment-reply'}`}>
+      {comment.deletedAt ? (
+        <p className="comment-deleted">Comment deleted</p>
+      ) : (
+        <>
+          <p className="comment-meta">
+            <strong>{authorName(comment.user)}</strong>
+            {' · '}
+            {new Date(comment.createdAt).toLocaleString()}
+            {comment.editedAt && ' · edited'}
+          </p>
+          {editing === comment.id ? renderDraft(handleEdit, 'Save') : <p className="comment-body">{comment.body}</p>}
+          {editing !== comment.id && (
+            <div className="task-actions">
+              <button onClick={() => startReply(thread || comment)} className="btn btn-secondary btn-sm">
+                Reply
+              </button>
+              {comment.user.id === user.id && (
+                <>
+                  <button onClick={() => startEditing(comment)} className="btn btn-secondary btn-sm">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(comment)} className="btn btn-danger btn-sm">
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="task-form">
+      <div className="task-header">
+        <h2>{task.title}</h2>
+        <button onClick={onClose} className="btn btn-secondary btn-sm">
+          Close
+        </button>
+      </div>
+
+      <p className="task-due">
+        {task.status.replace('_', ' ')} · {task.priority} priority
+        {task.dueDate && ` · Due ${new Date(task.dueDate).toLocaleString()}`}
+        {` · Owner ${authorName(task.user)}`}
+      </p>
+      {task.description && <p className="comment-body">{task.description}</p>}
+
+      <h3 className="section-title" style={{ marginTop: '16px' }}>Comments</h3>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : comments.length === 0 ? (
+        <p style={{ fontSize: '13px', color: '#888' }}>No comments yet.</p>
+      ) : (
+        <div className="comment-list">
+          {comments.map((thread) => (
+            <div key={thread.id} className="comment-thread">
+              {renderComment(thread)}
+              {thread.replies.map((reply) => renderComment(reply, thread))}
+              {replyTo === thread.id && (
+                <div className="comment-reply">{renderDraft(handleReply, 'Reply')}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleComment} className="comment-form">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Write a comment… Mention someone with @their@email.com"
+          rows="3"
+          required
+        />
+        <button type="submit" className="btn btn-primary btn-sm">
+          Comment
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default TaskComments;
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { tasksAPI } from '../services/api';
+
+const FINISHED_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+function TaskDependencies({ task, onClose, onChange }) {
+  const { can } = useWorkspace();
+  const [dependencies, setDependencies] = useState({ blockedBy: [], blocking: [] });
+  const [candidates, setCandidates] = useState([]);
+  const [blockerId, setBlockerId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const canEdit = can('task:update', task);
+
+  // Reload when another task is picked
+  useEffect(() => {
+    loadDependencies();
+  }, [task.id]);
+
+  const loadDependencies = async () => {
+    try {
+      setLoading(true);
+      const [response, tasks] = await Promise.all([
+        tasksAPI.getById(task.id),
+        canEdit ? tasksAPI.getAll({ limit: 100, sort: 'title', order: 'asc' }) : null
+      ]);
+      setDependencies(response.data.task.dependencies);
+      setCandidates(tasks ? tasks.data.tasks.filter((candidate) => candidate.id !== task.id) : []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Both changes answer with the task's updated dependencies
+  const run = async (change) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await change();
+      setDependencies(response.data.dependencies);
+      setSuccess(response.message);
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    await run(() => tasksAPI.addDependency(task.id, blockerId));
+    setBlockerId('');
+  };
+
+  const handleRemove = (blocker) =>
+    run(() => tasksAPI.removeDependency(task.id, blocker.id));
+
+  const blockerIds = dependencies.blockedBy.map((blocker) => blocker.id);
+  const available = candidates.filter((candidate) => !blockerIds.includes(candidate.id));
+
+  const renderTask = (linked) => (
+    <div>
+      <h3>{linked.title || 'Task you cannot view'}</h3>
+      <p>
+        {linked.status.replace('_', ' ')}
+        {!FINISHED_STATUSES.includes(linked.status) && ' · open'}
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="task-form">
+      <div className="task-header">
+        <h2>Dependencies of “{task.title}”</h2>
+        <button onClick={onClose} className="btn btn-secondary btn-sm">
+          Close
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      {canEdit && (
+        <form onSubmit={handleAdd} style={{ display: 'grid', gridTemplateColumns: '1fr auto', gap: '8px', alignItems: 'end' }}>
+          <div className="form-group">
+            <label>Blocked by</label>
+            <select value={blockerId} onChange={(e) => setBlockerId(e.target.value)} required>
+              <option value="">Choose a task…</option>
+              {available.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>{candidate.title}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <button type="submit" className="btn btn-primary">
+              Add
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : (
+        <>
+          <h3 className="section-title">Waits for</h3>
+          {dependencies.blockedBy.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#888' }}>This task is not blocked by other tasks.</p>
+          ) : (
+            <div className="session-list">
+              {dependencies.blockedBy.map((blocker) => (
+                <div key={blocker.id} className="session-item">
+                  {renderTask(blocker)}
+                  {canEdit && (
+                    <button onClick={() => handleRemove(blocker)} className="btn btn-danger btn-sm">
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <h3 className="section-title" style={{ marginTop: '16px' }}>Blocks</h3>
+          {dependencies.blocking.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#888' }}>No task waits for this one.</p>
+          ) : (
+            <div className="session-list">
+              {dependencies.blocking.map((blocked) => (
+                <div key={blocked.id} className="session-item">
+                  {renderTask(blocked)}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TaskDependencies;
@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react';
+import { tasksAPI } from '../services/api';
+
+const CHANNELS = [
+  ['IN_APP', 'In app'],
+  ['EMAIL', 'Email'],
+  ['WEBHOOK', 'Webhook']
+];
+
+const UNITS = [
+  [1, 'minute(s)'],
+  [60, 'hour(s)'],
+  [24 * 60, 'day(s)']
+];
+
+const emptyReminder = { timing: 'offset', amount: '1', unit: 60, remindAt: '', channels: ['IN_APP'], webhookUrl: '' };
+
+const describeOffset = (minutes) => {
+  if (minutes === 0) return 'When due';
+  const [unit, label] = [...UNITS].reverse().find(([size]) => minutes % size === 0);
+  return `${minutes / unit} ${label} before due`;
+};
+
+const describeState = (reminder) => {
+  if (reminder.sentAt) return `Sent ${new Date(reminder.sentAt).toLocaleString()}`;
+  if (reminder.lastError && !reminder.fireAt) return `Not sent: ${reminder.lastError}`;
+  if (!reminder.fireAt) return 'Waits for a due date';
+  return `${reminder.attempts > 0 ? 'Retrying' : 'Sending'} ${new Date(reminder.fireAt).toLocaleString()}`;
+};
+
+/**
+ * The current user's reminders of a task. Each user sees and sets their own.
+ */
+function TaskReminders({ task, onClose }) {
+  const [reminders, setReminders] = useState([]);
+  const [formData, setFormData] = useState(emptyReminder);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Reload when another task is picked
+  useEffect(() => {
+    loadReminders();
+  }, [task.id]);
+
+  const loadReminders = async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getReminders(task.id);
+      setReminders(response.data.reminders);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleChannel = (channel) =>
+    setFormData({
+      ...formData,
+      channels: formData.channels.includes(channel)
+        ? formData.channels.filter((selected) => selected !== channel)
+        : [...formData.channels, channel]
+    });
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    const { timing, amount, unit, remindAt, channels, webhookUrl } = formData;
+
+    try {
+      const response = await tasksAPI.addReminder(task.id, {
+        ...(timing === 'offset'
+          ? { offsetMinutes: Number(amount) * unit }
+          : { remindAt: new Date(remindAt).toISOString() }),
+        channels,
+        ...(channels.includes('WEBHOOK') && { webhookUrl })
+      });
+      setSuccess(response.message);
+      setFormData(emptyReminder);
+      loadReminders();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (reminder) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await tasksAPI.deleteReminder(task.id, reminder.id);
+      setSuccess(response.message);
+      loadReminders();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="task-form">
+      <div className="task-header">
+        <h2>Reminders of “{task.title}”</h2>
+        <button onClick={onClose} className="btn btn-secondary btn-sm">
+          Close
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <form onSubmit={handleAdd}>
+        <div className="recurrence-row">
+          <select
+            value={formData.timing}
+            onChange={(e) => setFormData({ ...formData, timing: e.target.value })}
+          >
+            <option value="offset">Before the due date</option>
+            <option value="time">At a set time</option>
+          </select>
+          {formData.timing === 'offset' ? (
+            <>
+              <input
+                type="number"
+                min="0"
+                max="999"
+                value={formData.amount}
+                onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
+                required
+              />
+              <select
+                value={formData.unit}
+                onChange={(e) => setFormData({ ...formData, unit: Number(e.target.value) })}
+              >
+                {UNITS.map(([size, label]) => (
+                  <option key={size} value={size}>{label}</option>
+                ))}
+              </select>
+            </>
+          ) : (
+            <input
+              type="datetime-local"
+              value={formData.remindAt}
+              onChange={(e) => setFormData({ ...formData, remindAt: e.target.value })}
+              required
+            />
+          )}
+        </div>
+
+        <div className="recurrence-row">
+          <span>By</span>
+          {CHANNELS.map(([channel, label]) => (
+            <label key={channel} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.channels.includes(channel)}
+                onChange={() => toggleChannel(channel)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        {formData.channels.includes('WEBHOOK') && (
+          <div className="form-group">
+            <input
+              type="url"
+              value={formData.webhookUrl}
+              onChange={(e) => setFormData({ ...formData, webhookUrl: e.target.value })}
+              placeholder="https://hooks.example.com/tasks"
+              required
+            />
+          </div>
+        )}
+
+        <button type="submit" className="btn btn-primary" disabled={formData.channels.length === 0}>
+          Add reminder
+        </button>
+      </form>
+
+      {!task.dueDate && (
+        <p style={{ fontSize: '13px', color: '#888', marginTop: '8px' }}>
+          This task has no due date: reminders before it wait until one is set.
+        </p>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : reminders.length > 0 && (
+        <div className="session-list" style={{ marginTop: '16px' }}>
+          {reminders.map((reminder) => (
+            <div key={reminder.id} className="session-item">
+              <div>
+                <h3>
+                  {reminder.remindAt
+                    ? new Date(reminder.remindAt).toLocaleString()
+                    : describeOffset(reminder.offsetMinutes)}
+                </h3>
+                <p>
+                  {reminder.channels.map((channel) => CHANNELS.find(([name]) => name === channel)[1]).join(', ')}
+                  {' · '}
+                  {describeState(reminder)}
+                </p>
+              </div>
+              <button onClick={() => handleDelete(reminder)} className="btn btn-danger btn-sm">
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskReminders;
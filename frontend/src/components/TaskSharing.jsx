@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { tasksAPI } from '../services/api';
+
+const PERMISSIONS = [
+  { value: 'VIEW', label: 'Can view' },
+  { value: 'EDIT', label: 'Can edit' }
+];
+
+function TaskSharing({ task, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState({ email: '', permission: 'VIEW' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Reload when another task is picked
+  useEffect(() => {
+    loadShares();
+  }, [task.id]);
+
+  const loadShares = async () => {
+    try {
+      setLoading(true);
+      const response = await tasksAPI.getShares(task.id);
+      setShares(response.data.shares);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await tasksAPI.share(task.id, formData.email, formData.permission);
+      setSuccess(response.message);
+      setFormData({ email: '', permission: 'VIEW' });
+      loadShares();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleChange = async (share, permission) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await tasksAPI.share(task.id, share.user.email, permission);
+      setSuccess(response.message);
+      loadShares();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await tasksAPI.revokeShare(task.id, share.user.id);
+      setSuccess('Share revoked successfully');
+      loadShares();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const displayName = (user) =>
+    [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+
+  return (
+    <div className="task-form">
+      <div className="task-header">
+        <h2>Share “{task.title}”</h2>
+        <button onClick={onClose} className="btn btn-secondary btn-sm">
+          Close
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <form onSubmit={handleShare} style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto', gap: '8px', alignItems: 'end' }}>
+        <div className="form-group">
+          <label>Email</label>
+          <input
+            type="email"
+            value={formData.email}
+            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            placeholder="colleague@example.com"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Permission</label>
+          <select
+            value={formData.permission}
+            onChange={(e) => setFormData({ ...formData, permission: e.target.value })}
+          >
+            {PERMISSIONS.map((permission) => (
+              <option key={permission.value} value={permission.value}>{permission.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <button type="submit" className="btn btn-primary">
+            Share
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : shares.length === 0 ? (
+        <p style={{ fontSize: '13px', color: '#888' }}>This task is not shared with anyone.</p>
+      ) : (
+        <div className="session-list">
+          {shares.map((share) => (
+            <div key={share.id} className="session-item">
+              <div>
+                <h3>{displayName(share.user)}</h3>
+                <p>{share.user.email}</p>
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <select
+                  className="inline-select"
+                  value={share.permission}
+                  onChange={(e) => handleChange(share, e.target.value)}
+                >
+                  {PERMISSIONS.map((permission) => (
+                    <option key={permission.value} value={permission.value}>{permission.label}</option>
+                  ))}
+                </select>
+                <button onClick={() => handleRevoke(share)} className="btn btn-danger btn-sm">
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskSharing;
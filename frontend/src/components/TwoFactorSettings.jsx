@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+function TwoFactorSettings() {
+  const { user, reloadUser } = useAuth();
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleSetup = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.setupMfa();
+      setEnrollment(response.data);
+      setRecoveryCodes(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await authAPI.confirmMfa(code);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setEnrollment(null);
+      setSuccess(response.message);
+      resetForm();
+      await reloadUser();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.disableMfa({ password, code });
+      setSuccess(response.message);
+      setRecoveryCodes(null);
+      resetForm();
+      await reloadUser();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.regenerateRecoveryCodes({ code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSuccess(response.message);
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const codeInput = (
+    <div className="form-group">
+      <label>Authentication Code</label>
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="123456"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+      />
+    </div>
+  );
+
+  return (
+    <div className="task-list" style={{ marginTop: '24px' }}>
+      <div className="task-header">
+        <h2>Two-Factor Authentication</h2>
+        <span className={`badge ${user.mfaEnabled ? 'badge-completed' : 'badge-pending'}`}>
+          {user.mfaEnabled ? 'Enabled' : 'Disabled'}
+        </span>
+      </div>
+
+      <div className="task-form">
+        {error && <div className="alert alert-error">{error}</div>}
+        {success && <div className="alert alert-success">{success}</div>}
+
+        {recoveryCodes && (
+          <div className="recovery-codes">
+            <p>Each recovery code works once. They will not be shown again.</p>
+            <ul>
+              {recoveryCodes.map((recoveryCode) => (
+                <li key={recoveryCode}><code>{recoveryCode}</code></li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {!user.mfaEnabled && !enrollment && (
+          <>
+            <p style={{ marginBottom: '16px', fontSize: '14px', color: '#666' }}>
+              Protect your account with a code from an authenticator app.
+            </p>
+            <button onClick={handleSetup} className="btn btn-secondary btn-sm">
+              Enable two-factor authentication
+            </button>
+          </>
+        )}
+
+        {enrollment && (
+          <form onSubmit={handleConfirm}>
+            <p style={{ marginBottom: '12px', fontSize: '14px', color: '#666' }}>
+              Scan this QR code with your authenticator app, or enter the key manually.
+            </p>
+            <img src={enrollment.qrCode} alt="Authenticator QR code" className="mfa-qr" />
+            <p style={{ marginBottom: '16px' }}><code>{enrollment.secret}</code></p>
+            {codeInput}
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="submit" className="btn btn-primary">Confirm</button>
+              <button type="button" onClick={() => setEnrollment(null)} className="btn btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {user.mfaEnabled && !mode && (
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={() => setMode('regenerate')} className="btn btn-secondary btn-sm">
+              New recovery codes
+            </button>
+            <button onClick={() => setMode('disable')} className="btn btn-danger btn-sm">
+              Disable
+            </button>
+          </div>
+        )}
+
+        {mode === 'regenerate' && (
+          <form onSubmit={handleRegenerate}>
+            {codeInput}
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="submit" className="btn btn-primary">Generate</button>
+              <button type="button" onClick={resetForm} className="btn btn-secondary">Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {mode === 'disable' && (
+          <form onSubmit={handleDisable}>
+            <div className="form-group">
+              <label>Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+            {codeInput}
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button type="submit" className="btn btn-danger">Disable</button>
+              <button type="button" onClick={resetForm} className="btn btn-secondary">Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { workspacesAPI } from '../services/api';
+
+const ROLES = [
+  { value: 'VIEWER', label: 'Viewer' },
+  { value: 'MEMBER', label: 'Member' },
+  { value: 'MANAGER', label: 'Manager' },
+  { value: 'ADMIN', label: 'Admin' }
+];
+
+function WorkspaceInvitations({ workspace, onClose }) {
+  const [invitations, setInvitations] = useState([]);
+  const [formData, setFormData] = useState({ email: '', role: 'MEMBER' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Reload when another workspace is selected
+  useEffect(() => {
+    loadInvitations();
+  }, [workspace.id]);
+
+  const loadInvitations = async () => {
+    try {
+      const response = await workspacesAPI.getInvitations(workspace.id);
+      setInvitations(response.data.invitations);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await workspacesAPI.invite(workspace.id, formData.email, formData.role);
+      setSuccess(response.message);
+      setFormData({ email: '', role: 'MEMBER' });
+      loadInvitations();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCancel = async (id) => {
+    setError('');
+    setSuccess('');
+
+    try {
+      await workspacesAPI.cancelInvitation(workspace.id, id);
+      setSuccess('Invitation cancelled successfully');
+      loadInvitations();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="header-panel">
+      <div className="task-header">
+        <h2>Invite to {workspace.name}</h2>
+        <button onClick={onClose} className="btn btn-secondary btn-sm">
+          Close
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <form onSubmit={handleInvite} style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto', gap: '8px', alignItems: 'end' }}>
+        <div className="form-group">
+          <label>Email</label>
+          <input
+            type="email"
+            value={formData.email}
+            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            placeholder="colleague@example.com"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Role</label>
+          <select
+            value={formData.role}
+            onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+          >
+            {ROLES.map((role) => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <button type="submit" className="btn btn-primary">
+            Send invitation
+          </button>
+        </div>
+      </form>
+
+      {invitations.length > 0 && (
+        <div className="session-list">
+          {invitations.map((invitation) => (
+            <div key={invitation.id} className="session-item">
+              <div>
+                <h3>{invitation.email}</h3>
+                <p>
+                  {invitation.role} · Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                </p>
+              </div>
+              <button onClick={() => handleCancel(invitation.id)} className="btn btn-danger btn-sm">
+                Cancel
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceInvitations;
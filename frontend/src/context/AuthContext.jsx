@@ -8,18 +8,18 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Load user on mount
+  // Load user on mount (the session cookie, if any, is sent automatically)
   useEffect(() => {
     const loadUser = async () => {
-      const token = localStorage.getItem('accessToken');
-      if (token) {
-        try {
-          const response = await authAPI.getProfile();
-          setUser(response.data.user);
-        } catch (err) {
-          localStorage.removeItem('accessToken');
-          localStorage.removeItem('refreshToken');
-        }
+      // Tokens are no longer kept in localStorage; drop any left by older versions
+      localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
+
+      try {
+        const response = await authAPI.getProfile();
+        setUser(response.data.user);
+      } catch (err) {
+        // Not signed in
       }
       setLoading(false);
     };
@@ -31,9 +31,12 @@ export function AuthProvider({ children }) {
     try {
       setError(null);
       const response = await authAPI.login({ email, password });
+
+      // Two-factor accounts finish logging in through verifyMfa
+      if (response.data.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: response.data.mfaToken };
+      }
       
-      localStorage.setItem('accessToken', response.data.accessToken);
-      localStorage.setItem('refreshToken', response.data.refreshToken);
       setUser(response.data.user);
       
       return { success: true };
@@ -43,13 +46,43 @@ export function AuthProvider({ children }) {
     }
   }, []);
 
+  const loginWithOidc = useCallback(async (code) => {
+    try {
+      setError(null);
+      const response = await authAPI.exchangeOidcCode(code);
+
+      if (response.data.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: response.data.mfaToken };
+      }
+
+      setUser(response.data.user);
+
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  const verifyMfa = useCallback(async (mfaToken, factor) => {
+    try {
+      setError(null);
+      const response = await authAPI.verifyMfa(mfaToken, factor);
+
+      setUser(response.data.user);
+
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
   const register = useCallback(async (userData) => {
     try {
       setError(null);
       const response = await authAPI.register(userData);
       
-      localStorage.setItem('accessToken', response.data.accessToken);
-      localStorage.setItem('refreshToken', response.data.refreshToken);
       setUser(response.data.user);
       
       return { success: true };
@@ -59,6 +92,12 @@ export function AuthProvider({ children }) {
     }
   }, []);
 
+  // The API clears the session cookies
+  const clearSession = useCallback(() => {
+    setUser(null);
+    setError(null);
+  }, []);
+
   const logout = useCallback(async () => {
     try {
       await authAPI.logout();
@@ -66,10 +105,22 @@ export function AuthProvider({ children }) {
       // Ignore logout errors
     }
     
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    setUser(null);
-    setError(null);
+    clearSession();
+  }, [clearSession]);
+
+  const logoutAll = useCallback(async () => {
+    await authAPI.logoutAll();
+    clearSession();
+  }, [clearSession]);
+
+  const deleteAccount = useCallback(async (password) => {
+    await authAPI.deleteAccount(password);
+    clearSession();
+  }, [clearSession]);
+
+  const reloadUser = useCallback(async () => {
+    const response = await authAPI.getProfile();
+    setUser(response.data.user);
   }, []);
 
   const clearError = useCallback(() => {
@@ -81,8 +132,13 @@ export function AuthProvider({ children }) {
     loading,
     error,
     login,
+    loginWithOidc,
+    verifyMfa,
     register,
     logout,
+    logoutAll,
+    deleteAccount,
+    reloadUser,
     clearError,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'ADMIN'
@@ -0,0 +1,103 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { workspacesAPI, setActiveWorkspace } from '../services/api';
+
+const WorkspaceContext = createContext(null);
+
+// Remembers the selected workspace across reloads (an ID, not a credential)
+const STORAGE_KEY = 'workspaceId';
+
+// Task actions granted by each share permission, as in the API's policy
+const SHARED_ACTIONS = {
+  VIEW: ['task:read'],
+  EDIT: ['task:read', 'task:update']
+};
+
+export function WorkspaceProvider({ children }) {
+  const { user } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [workspace, setWorkspace] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+
+  const selectWorkspace = useCallback((selected) => {
+    setActiveWorkspace(selected?.id || null);
+    setWorkspace(selected);
+
+    if (selected) {
+      localStorage.setItem(STORAGE_KEY, selected.id);
+    }
+  }, []);
+
+  const reloadWorkspaces = useCallback(async (preferredId) => {
+    const response = await workspacesAPI.getAll();
+    const list = response.data.workspaces;
+    const wantedId = preferredId || localStorage.getItem(STORAGE_KEY);
+
+    setWorkspaces(list);
+    selectWorkspace(list.find((item) => item.id === wantedId) || list[0] || null);
+    setLoaded(true);
+  }, [selectWorkspace]);
+
+  // Load the user's workspaces after sign-in, forget them after sign-out
+  useEffect(() => {
+    if (user) {
+      reloadWorkspaces().catch(() => selectWorkspace(null));
+    } else {
+      setWorkspaces([]);
+      selectWorkspace(null);
+      setLoaded(false);
+    }
+  }, [user, reloadWorkspaces, selectWorkspace]);
+
+  const switchWorkspace = useCallback((id) => {
+    selectWorkspace(workspaces.find((item) => item.id === id) || null);
+  }, [workspaces, selectWorkspace]);
+
+  const createWorkspace = useCallback(async (name) => {
+    const response = await workspacesAPI.create(name);
+    await reloadWorkspaces(response.data.workspace.id);
+  }, [reloadWorkspaces]);
+
+  // Mirrors the API's policy: `task:update` is allowed by `task:update:any`,
+  // or by `task:update:own` for the user's own resources and those shared with them.
+  // Task permissions come from the user's role in the active workspace.
+  const can = useCallback((action, resource) => {
+    const granted = [...(user?.permissions || []), ...(workspace?.permissions || [])];
+
+    if (granted.includes(action) || granted.includes(`${action}:any`)) {
+      return true;
+    }
+
+    if (!resource || !granted.includes(`${action}:own`)) {
+      return false;
+    }
+
+    return resource.userId === user.id || (resource.shares || []).some((share) =>
+      share.userId === user.id && SHARED_ACTIONS[share.permission]?.includes(action)
+    );
+  }, [user, workspace]);
+
+  const value = {
+    workspaces,
+    workspace,
+    loaded,
+    switchWorkspace,
+    createWorkspace,
+    reloadWorkspaces,
+    can
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+}
+
+export function useWorkspace() {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+}
@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { workspacesAPI } from '../services/api';
+
+function AcceptInvitation() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [accepting, setAccepting] = useState(false);
+  const { isAuthenticated, loading } = useAuth();
+  const { reloadWorkspaces } = useWorkspace();
+  // Invitations are single-use, so never submit the same one twice (StrictMode runs effects twice)
+  const acceptedToken = useRef(null);
+
+  useEffect(() => {
+    if (loading || !isAuthenticated || acceptedToken.current === token) return;
+    acceptedToken.current = token;
+
+    const accept = async () => {
+      if (!token) {
+        setError('This invitation link is incomplete.');
+        return;
+      }
+
+      setAccepting(true);
+      try {
+        const response = await workspacesAPI.acceptInvitation(token);
+        setSuccess(response.message);
+        await reloadWorkspaces(response.data.workspace.id);
+      } catch (err) {
+        setError(err.message);
+      }
+      setAccepting(false);
+    };
+
+    accept();
+  }, [token, loading, isAuthenticated]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Workspace Invitation</h1>
+        </div>
+
+        {!loading && !isAuthenticated && (
+          <div className="alert alert-warning">
+            Sign in or create an account with the address this invitation was sent to,
+            then open the link from the email again.
+          </div>
+        )}
+        {accepting && <div className="loading">Joining workspace...</div>}
+        {error && <div className="alert alert-error">{error}</div>}
+        {success && <div className="alert alert-success">{success}</div>}
+
+        <div className="auth-footer">
+          <p>
+            {isAuthenticated
+              ? <Link to="/dashboard">Go to dashboard</Link>
+              : <><Link to="/login">Sign in</Link> · <Link to="/register">Create an account</Link></>}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AcceptInvitation;
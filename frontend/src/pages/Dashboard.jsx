@@ -1,31 +1,110 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { tasksAPI } from '../services/api';
+import { useWorkspace } from '../context/WorkspaceContext';
+import { tasksAPI, projectsAPI, authAPI } from '../services/api';
+import AppHeader from '../components/AppHeader';
+import TaskSharing from '../components/TaskSharing';
+import TaskDependencies from '../components/TaskDependencies';
+import TaskReminders from '../components/TaskReminders';
+import TaskComments from '../components/TaskComments';
+import TaskAttachments from '../components/TaskAttachments';
+import ProjectSidebar, { INBOX } from '../components/ProjectSidebar';
+import TaskChecklist from '../components/TaskChecklist';
+import Subtasks from '../components/Subtasks';
+import RecurrenceFields from '../components/RecurrenceFields';
+
+const emptyTask = {
+  title: '',
+  description: '',
+  priority: 'MEDIUM',
+  status: 'PENDING',
+  dueDate: '',
+  recurrence: '',
+  // For repeating tasks: 'this' occurrence or all 'future' ones
+  scope: 'this',
+  projectId: '',
+  parentId: null,
+  completeWithSubtasks: false,
+  comment: ''
+};
+
+const STATUS_LABELS = {
+  PENDING: 'Pending',
+  IN_PROGRESS: 'In Progress',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+// Value of a datetime-local input, in the browser's time, for an ISO date
+const toLocalInput = (date) => {
+  if (!date) return '';
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+};
 
 function Dashboard() {
-  const { user, logout, isAdmin } = useAuth();
+  const { user } = useAuth();
+  const { workspace, loaded, can } = useWorkspace();
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    priority: 'MEDIUM',
-    status: 'PENDING'
-  });
-
-  // Load tasks on mount
+  // Status changes the workflow allows for the task being edited
+  const [transitions, setTransitions] = useState([]);
+  // Task a new subtask is added to
+  const [parentTask, setParentTask] = useState(null);
+  // Changed after every task change, so open subtask lists reload
+  const [version, setVersion] = useState(0);
+  const [sharingTask, setSharingTask] = useState(null);
+  const [dependenciesTask, setDependenciesTask] = useState(null);
+  const [remindersTask, setRemindersTask] = useState(null);
+  const [commentsTask, setCommentsTask] = useState(null);
+  const [attachmentsTask, setAttachmentsTask] = useState(null);
+  // 'all', 'shared' (with me) or 'blocked'
+  const [listFilter, setListFilter] = useState('all');
+  const [projects, setProjects] = useState([]);
+  const [inbox, setInbox] = useState({ progress: { total: 0, completed: 0 } });
+  // null for all tasks, INBOX or a project ID
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [formData, setFormData] = useState(emptyTask);
+
+  // Projects belong to the workspace: reload them, and show all tasks, when it changes
   useEffect(() => {
-    loadTasks();
-  }, []);
+    if (workspace) {
+      setSelectedProject(null);
+      loadProjects();
+    }
+  }, [workspace?.id]);
+
+  // Load tasks once the workspace is known, and when it or the filters change
+  useEffect(() => {
+    if (workspace) {
+      setSharingTask(null);
+      setDependenciesTask(null);
+      setRemindersTask(null);
+      setCommentsTask(null);
+      setAttachmentsTask(null);
+      loadTasks();
+    }
+  }, [workspace?.id, listFilter, selectedProject]);
 
   const loadTasks = async () => {
+    // Subtasks are listed under their parent, except in the shared and blocked lists
+    const filterParams = {
+      all: { parent: 'none' },
+      shared: { sharedWithMe: 'true' },
+      blocked: { blocked: 'true' }
+    };
+    const params = { ...filterParams[listFilter] };
+    if (selectedProject) params.project = selectedProject;
+
     try {
       setLoading(true);
-      const response = await tasksAPI.getAll();
+      const response = await tasksAPI.getAll(params);
       setTasks(response.data.tasks);
     } catch (err) {
       setError(err.message);
@@ -34,49 +113,161 @@ function Dashboard() {
     }
   };
 
+  const loadProjects = async () => {
+    try {
+      const response = await projectsAPI.getAll();
+      setProjects(response.data.projects);
+      setInbox(response.data.inbox);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Task changes also change the projects' progress
+  const reload = () => {
+    loadTasks();
+    loadProjects();
+    setVersion((current) => current + 1);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
 
+    const { parentId, comment, dueDate, recurrence, scope, ...taskData } = {
+      ...formData,
+      projectId: formData.projectId || null
+    };
+    // Unchanged due dates are left out: moving a repeating task's due date moves its schedule
+    if (dueDate && dueDate !== toLocalInput(editingTask?.dueDate)) {
+      taskData.dueDate = new Date(dueDate).toISOString();
+    }
+
+    // Repeat settings change for all future occurrences, in the browser's timezone
+    const repeat = {
+      recurrence: recurrence || null,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    };
+
     try {
       if (editingTask) {
-        await tasksAPI.update(editingTask.id, formData);
+        const repeatChanged = recurrence !== (editingTask.series?.rule || '');
+        await updateTask(editingTask.id, {
+          ...taskData,
+          ...(comment && { comment }),
+          ...(editingTask.series && { scope }),
+          ...(repeatChanged && repeat)
+        });
         setSuccess('Task updated successfully');
       } else {
-        await tasksAPI.create(formData);
+        await tasksAPI.create({ ...taskData, parentId, ...(recurrence && repeat) });
         setSuccess('Task created successfully');
       }
       setShowForm(false);
       setEditingTask(null);
-      setFormData({ title: '', description: '', priority: 'MEDIUM', status: 'PENDING' });
-      loadTasks();
+      setParentTask(null);
+      setFormData(emptyTask);
+      reload();
     } catch (err) {
       setError(err.message);
     }
   };
 
+  // Admins may start or complete a task while tasks blocking it are still open
+  const updateTask = async (id, taskData) => {
+    try {
+      await tasksAPI.update(id, taskData);
+    } catch (err) {
+      if (err.code !== 'TASK_BLOCKED' || !can('task:force-status') ||
+        !window.confirm(`${err.message} Update it anyway?`)) {
+        throw err;
+      }
+      await tasksAPI.update(id, { ...taskData, force: true });
+    }
+  };
+
   const handleEdit = (task) => {
     setEditingTask(task);
     setFormData({
       title: task.title,
       description: task.description || '',
       priority: task.priority,
-      status: task.status
+      status: task.status,
+      dueDate: toLocalInput(task.dueDate),
+      recurrence: task.series?.rule || '',
+      scope: 'this',
+      projectId: task.projectId || '',
+      parentId: task.parentId,
+      completeWithSubtasks: task.completeWithSubtasks,
+      comment: ''
     });
+    setParentTask(null);
+    setTransitions([]);
     setShowForm(true);
+    loadTransitions(task);
   };
 
-  const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) return;
+  const loadTransitions = async (task) => {
+    try {
+      const response = await tasksAPI.getTransitions(task.id);
+      setTransitions(response.data.available);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // New tasks go to the project being viewed
+  const handleNew = () => {
+    setFormData({
+      ...emptyTask,
+      projectId: selectedProject && selectedProject !== INBOX ? selectedProject : ''
+    });
+    setEditingTask(null);
+    setParentTask(null);
+    setShowForm(true);
+  };
+
+  // Subtasks go to their parent's project
+  const handleAddSubtask = (parent) => {
+    setFormData({
+      ...emptyTask,
+      projectId: parent.projectId || '',
+      parentId: parent.id
+    });
+    setEditingTask(null);
+    setParentTask(parent);
+    setShowForm(true);
+  };
+
+  const handleDelete = async (task) => {
+    const question = task.subtasks?.length
+      ? 'Are you sure you want to delete this task and its subtasks?'
+      : 'Are you sure you want to delete this task?';
+    if (!window.confirm(question)) return;
 
     setError('');
     setSuccess('');
 
     try {
-      await tasksAPI.delete(id);
+      await tasksAPI.delete(task.id);
       setSuccess('Task deleted successfully');
-      loadTasks();
+      reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLeave = async (id) => {
+    if (!window.confirm('Remove this shared task from your list?')) return;
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await tasksAPI.revokeShare(id, user.id);
+      setSuccess('You no longer have access to this task');
+      reload();
     } catch (err) {
       setError(err.message);
     }
@@ -85,7 +276,20 @@ function Dashboard() {
   const handleCancel = () => {
     setShowForm(false);
     setEditingTask(null);
-    setFormData({ title: '', description: '', priority: 'MEDIUM', status: 'PENDING' });
+    setParentTask(null);
+    setFormData(emptyTask);
+  };
+
+  const handleResendVerification = async () => {
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.resendVerification();
+      setSuccess(response.message);
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   const clearMessages = () => {
@@ -93,6 +297,15 @@ function Dashboard() {
     setSuccess('');
   };
 
+  const listTitle = () => {
+    if (selectedProject === INBOX) return 'Inbox';
+    if (selectedProject) return projects.find((project) => project.id === selectedProject)?.name || 'Project';
+    return can('task:read') ? 'All Tasks' : 'My Tasks';
+  };
+
+  const isSharedWithMe = (task) =>
+    (task.shares || []).some((share) => share.userId === user.id);
+
   const getStatusBadge = (status) => {
     const badges = {
       PENDING: 'badge-pending',
@@ -114,22 +327,26 @@ function Dashboard() {
 
   return (
     <div className="dashboard">
-      <header className="dashboard-header">
-        <div className="container">
-          <div className="dashboard-brand">Prime Trade Tasks</div>
-          <div className="dashboard-user">
-            <span>
-              {user.firstName} {user.lastName} ({user.role})
-            </span>
-            <button onClick={logout} className="btn btn-secondary btn-sm">
-              Logout
-            </button>
-          </div>
-        </div>
-      </header>
+      <AppHeader />
 
       <main className="dashboard-content">
         <div className="container">
+          {!user.emailVerified && (
+            <div className="alert alert-warning">
+              Please verify your email address. Check your inbox for the verification link.{' '}
+              <button onClick={handleResendVerification} className="btn btn-secondary btn-sm">
+                Resend email
+              </button>
+            </div>
+          )}
+
+          {user.mfaEnrollmentRequired && (
+            <div className="alert alert-warning">
+              Your role requires two-factor authentication.{' '}
+              <Link to="/security">Set it up now</Link> to access your tasks.
+            </div>
+          )}
+
           {(error || success) && (
             <div style={{ marginBottom: '20px' }}>
               {error && <div className="alert alert-error">{error}</div>}
@@ -137,120 +354,356 @@ function Dashboard() {
             </div>
           )}
 
-          <div className="task-list">
-            <div className="task-header">
-              <h2>My Tasks</h2>
-              <button
-                onClick={() => setShowForm(true)}
-                className="btn btn-primary btn-sm"
-              >
-                + New Task
-              </button>
-            </div>
+          <div className="dashboard-layout">
+            {workspace && (
+              <ProjectSidebar
+                projects={projects}
+                inbox={inbox}
+                selected={selectedProject}
+                onSelect={setSelectedProject}
+                onChange={reload}
+              />
+            )}
 
-            {showForm && (
-              <form onSubmit={handleSubmit} className="task-form">
-                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '16px' }}>
-                  <div className="form-group">
-                    <label>Title</label>
-                    <input
-                      type="text"
-                      value={formData.title}
-                      onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-                      placeholder="Task title"
-                      required
-                    />
+            <div className="task-list">
+              <div className="task-header">
+                <h2>
+                  {listTitle()}
+                  {listFilter === 'shared' && ' · Shared with Me'}
+                  {listFilter === 'blocked' && ' · Blocked'}
+                </h2>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <select
+                    className="inline-select"
+                    value={listFilter}
+                    onChange={(e) => setListFilter(e.target.value)}
+                  >
+                    <option value="all">All</option>
+                    <option value="shared">Shared with me</option>
+                    <option value="blocked">Blocked</option>
+                  </select>
+                  {can('task:create') && (
+                    <button
+                      onClick={handleNew}
+                      className="btn btn-primary btn-sm"
+                    >
+                      + New Task
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {sharingTask && (
+                <TaskSharing task={sharingTask} onClose={() => setSharingTask(null)} />
+              )}
+
+              {dependenciesTask && (
+                <TaskDependencies
+                  task={dependenciesTask}
+                  onClose={() => setDependenciesTask(null)}
+                  onChange={reload}
+                />
+              )}
+
+              {remindersTask && (
+                <TaskReminders task={remindersTask} onClose={() => setRemindersTask(null)} />
+              )}
+
+              {commentsTask && (
+                <TaskComments
+                  task={commentsTask}
+                  onClose={() => setCommentsTask(null)}
+                  onChange={loadTasks}
+                />
+              )}
+
+              {attachmentsTask && (
+                <TaskAttachments
+                  task={attachmentsTask}
+                  canEdit={can('task:update', attachmentsTask)}
+                  onClose={() => setAttachmentsTask(null)}
+                />
+              )}
+
+              {showForm && (
+                <form onSubmit={handleSubmit} className="task-form">
+                  {parentTask && (
+                    <p className="form-context">Subtask of “{parentTask.title}”</p>
+                  )}
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '16px' }}>
+                    <div className="form-group">
+                      <label>Title</label>
+                      <input
+                        type="text"
+                        value={formData.title}
+                        onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                        placeholder="Task title"
+                        required
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Priority</label>
+                      <select
+                        value={formData.priority}
+                        onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                      >
+                        <option value="LOW">Low</option>
+                        <option value="MEDIUM">Medium</option>
+                        <option value="HIGH">High</option>
+                      </select>
+                    </div>
                   </div>
+
                   <div className="form-group">
-                    <label>Priority</label>
+                    <label>Project</label>
                     <select
-                      value={formData.priority}
-                      onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                      value={formData.projectId}
+                      onChange={(e) => setFormData({ ...formData, projectId: e.target.value })}
                     >
-                      <option value="LOW">Low</option>
-                      <option value="MEDIUM">Medium</option>
-                      <option value="HIGH">High</option>
+                      <option value="">Inbox</option>
+                      {editingTask?.project && !projects.some((project) => project.id === editingTask.projectId) && (
+                        <option value={editingTask.projectId}>{editingTask.project.name} (archived)</option>
+                      )}
+                      {projects.map((project) => (
+                        <option key={project.id} value={project.id}>{project.name}</option>
+                      ))}
                     </select>
                   </div>
-                </div>
 
-                <div className="form-group">
-                  <label>Description</label>
-                  <textarea
-                    value={formData.description}
-                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                    placeholder="Task description"
-                    rows="3"
+                  <div className="form-group">
+                    <label>Due</label>
+                    <input
+                      type="datetime-local"
+                      value={formData.dueDate}
+                      onChange={(e) => setFormData({ ...formData, dueDate: e.target.value })}
+                      required={!!formData.recurrence}
+                    />
+                  </div>
+
+                  {editingTask?.series && (
+                    <div className="form-group">
+                      <label>This task repeats. Apply changes to</label>
+                      <select
+                        value={formData.scope}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          scope: e.target.value,
+                          recurrence: editingTask.series.rule
+                        })}
+                      >
+                        <option value="this">This occurrence</option>
+                        <option value="future">All future occurrences</option>
+                      </select>
+                    </div>
+                  )}
+
+                  <RecurrenceFields
+                    value={formData.recurrence}
+                    onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+                    disabled={!!editingTask?.series && formData.scope !== 'future'}
                   />
-                </div>
 
-                {editingTask && (
                   <div className="form-group">
-                    <label>Status</label>
-                    <select
-                      value={formData.status}
-                      onChange={(e) => setFormData({ ...formData, status: e.target.value })}
-                    >
-                      <option value="PENDING">Pending</option>
-                      <option value="IN_PROGRESS">In Progress</option>
-                      <option value="COMPLETED">Completed</option>
-                      <option value="CANCELLED">Cancelled</option>
-                    </select>
+                    <label>Description</label>
+                    <textarea
+                      value={formData.description}
+                      onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                      placeholder="Task description"
+                      rows="3"
+                    />
                   </div>
-                )}
 
-                <div style={{ display: 'flex', gap: '8px' }}>
-                  <button type="submit" className="btn btn-primary">
-                    {editingTask ? 'Update Task' : 'Create Task'}
-                  </button>
-                  <button type="button" onClick={handleCancel} className="btn btn-secondary">
-                    Cancel
-                  </button>
-                </div>
-              </form>
-            )}
+                  <div className="form-group">
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={formData.completeWithSubtasks}
+                        onChange={(e) => setFormData({ ...formData, completeWithSubtasks: e.target.checked })}
+                      />
+                      Complete automatically when all subtasks are completed
+                    </label>
+                  </div>
 
-            {loading ? (
-              <div className="loading">Loading tasks...</div>
-            ) : tasks.length === 0 ? (
-              <div className="empty-state">
-                <h3>No tasks yet</h3>
-                <p>Create your first task to get started</p>
-              </div>
-            ) : (
-              <div className="task-grid">
-                {tasks.map((task) => (
-                  <div key={task.id} className="task-card">
-                    <div className="task-card-header">
-                      <h3>{task.title}</h3>
-                    </div>
-                    <p>{task.description}</p>
-                    <div className="task-meta">
-                      <span className={`badge ${getStatusBadge(task.status)}`}>
-                        {task.status.replace('_', ' ')}
-                      </span>
-                      <span className={`badge ${getPriorityBadge(task.priority)}`}>
-                        {task.priority}
-                      </span>
-                    </div>
-                    <div className="task-actions">
-                      <button
-                        onClick={() => handleEdit(task)}
-                        className="btn btn-secondary btn-sm"
+                  {editingTask && (
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.status}
+                        onChange={(e) => setFormData({ ...formData, status: e.target.value })}
                       >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(task.id)}
-                        className="btn btn-danger btn-sm"
-                      >
-                        Delete
-                      </button>
+                        <option value={editingTask.status}>{STATUS_LABELS[editingTask.status]}</option>
+                        {transitions.map((transition) => (
+                          <option key={transition.to} value={transition.to}>
+                            {STATUS_LABELS[transition.to]}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {transitions.some((transition) =>
+                    transition.to === formData.status && transition.guards.includes('commentRequired')) && (
+                    <div className="form-group">
+                      <label>Comment</label>
+                      <textarea
+                        value={formData.comment}
+                        onChange={(e) => setFormData({ ...formData, comment: e.target.value })}
+                        placeholder="Why the status changes"
+                        rows="2"
+                        required
+                      />
                     </div>
+                  )}
+
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button type="submit" className="btn btn-primary">
+                      {editingTask ? 'Update Task' : 'Create Task'}
+                    </button>
+                    <button type="button" onClick={handleCancel} className="btn btn-secondary">
+                      Cancel
+                    </button>
                   </div>
-                ))}
-              </div>
-            )}
+                </form>
+              )}
+
+              {loaded && !workspace ? (
+                <div className="empty-state">
+                  <h3>No workspace</h3>
+                  <p>Create a workspace from the menu at the top, or ask to be invited to one</p>
+                </div>
+              ) : loading ? (
+                <div className="loading">Loading tasks...</div>
+              ) : tasks.length === 0 ? (
+                <div className="empty-state">
+                  <h3>
+                    {listFilter === 'shared' ? 'No shared tasks'
+                      : listFilter === 'blocked' ? 'No blocked tasks'
+                        : selectedProject ? 'No tasks here' : 'No tasks yet'}
+                  </h3>
+                  <p>
+                    {listFilter === 'shared' ? 'Tasks other users share with you appear here'
+                      : listFilter === 'blocked' ? 'Tasks waiting for other tasks appear here'
+                        : 'Create your first task to get started'}
+                  </p>
+                </div>
+              ) : (
+                <div className="task-grid">
+                  {tasks.map((task) => (
+                    <div key={task.id} className="task-card">
+                      <div className="task-card-header">
+                        <h3>{task.title}</h3>
+                      </div>
+                      <p>{task.description}</p>
+                      <TaskChecklist task={task} canEdit={can('task:update', task)} />
+                      {isSharedWithMe(task) && (
+                        <p style={{ fontSize: '12px', color: '#888' }}>
+                          Shared by {task.user.firstName || task.user.email}
+                        </p>
+                      )}
+                      <div className="task-meta">
+                        <span className={`badge ${getStatusBadge(task.status)}`}>
+                          {task.status.replace('_', ' ')}
+                        </span>
+                        <span className={`badge ${getPriorityBadge(task.priority)}`}>
+                          {task.priority}
+                        </span>
+                        {task.dueDate && (
+                          <span className="task-due">
+                            Due {new Date(task.dueDate).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                          </span>
+                        )}
+                        {task.series && (
+                          <span className="badge badge-repeat" title={task.series.rule}>Repeats</span>
+                        )}
+                        {task._count?.blockedBy > 0 && (
+                          <span className="badge badge-blocked">Blocked</span>
+                        )}
+                        {task.project && !selectedProject && (
+                          <span className="badge badge-project">
+                            <span className="project-dot" style={{ background: task.project.color }} />
+                            {task.project.name}
+                          </span>
+                        )}
+                      </div>
+                      <div className="task-actions">
+                        {can('task:update', task) && (
+                          <button
+                            onClick={() => handleEdit(task)}
+                            className="btn btn-secondary btn-sm"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {can('task:create') && can('task:update', task) && (
+                          <button
+                            onClick={() => handleAddSubtask(task)}
+                            className="btn btn-secondary btn-sm"
+                          >
+                            + Subtask
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setDependenciesTask(task)}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          Dependencies
+                        </button>
+                        <button
+                          onClick={() => setRemindersTask(task)}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          Reminders
+                        </button>
+                        <button
+                          onClick={() => setCommentsTask(task)}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          Comments{task._count.comments > 0 && ` (${task._count.comments})`}
+                        </button>
+                        <button
+                          onClick={() => setAttachmentsTask(task)}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          Files
+                        </button>
+                        {can('task:share', task) && (
+                          <button
+                            onClick={() => setSharingTask(task)}
+                            className="btn btn-secondary btn-sm"
+                          >
+                            Share
+                          </button>
+                        )}
+                        {can('task:delete', task) && (
+                          <button
+                            onClick={() => handleDelete(task)}
+                            className="btn btn-danger btn-sm"
+                          >
+                            Delete
+                          </button>
+                        )}
+                        {isSharedWithMe(task) && (
+                          <button
+                            onClick={() => handleLeave(task.id)}
+                            className="btn btn-secondary btn-sm"
+                          >
+                            Leave
+                          </button>
+                        )}
+                      </div>
+                      <Subtasks
+                        task={task}
+                        version={version}
+                        statusBadge={getStatusBadge}
+                        onEdit={handleEdit}
+                        onDelete={handleDelete}
+                        onAddSubtask={handleAddSubtask}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
           </div>
 
           <div style={{ marginTop: '24px', padding: '16px', background: 'white', borderRadius: '8px' }}>
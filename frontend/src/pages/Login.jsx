@@ -1,13 +1,27 @@
-import { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
 
 function Login() {
+  const location = useLocation();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  // Single sign-on hands over here when a second factor is still needed
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken || '');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [providers, setProviders] = useState([]);
+  const { login, verifyMfa } = useAuth();
+
+  // Load single sign-on providers on mount
+  useEffect(() => {
+    authAPI.getOidcProviders()
+      .then((response) => setProviders(response.data.providers))
+      .catch(() => setProviders([]));
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -16,13 +30,92 @@ function Login() {
 
     const result = await login(email, password);
     
-    if (!result.success) {
+    if (result.mfaRequired) {
+      setMfaToken(result.mfaToken);
+    } else if (!result.success) {
       setError(result.error);
     }
     
     setLoading(false);
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyMfa(
+      mfaToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+
+    if (!result.success) {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleBack = () => {
+    setMfaToken('');
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  if (mfaToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Two-Factor Authentication</h1>
+            <p>
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+
+          <form onSubmit={handleMfaSubmit}>
+            <div className="form-group">
+              <label htmlFor="code">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                type="text"
+                id="code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+              />
+            </div>
+
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p>
+              <a href="#" onClick={(e) => { e.preventDefault(); setUseRecoveryCode(!useRecoveryCode); setCode(''); }}>
+                {useRecoveryCode ? 'Use an authentication code' : 'Use a recovery code'}
+              </a>
+            </p>
+            <p>
+              <a href="#" onClick={(e) => { e.preventDefault(); handleBack(); }}>
+                Back to sign in
+              </a>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -63,7 +156,25 @@ function Login() {
           </button>
         </form>
 
+        {providers.length > 0 && (
+          <div className="sso-providers">
+            <div className="sso-divider">or</div>
+            {providers.map((provider) => (
+              <a
+                key={provider.id}
+                href={authAPI.oidcLoginUrl(provider.id)}
+                className="btn btn-secondary"
+              >
+                Sign in with {provider.name}
+              </a>
+            ))}
+          </div>
+        )}
+
         <div className="auth-footer">
+          <p>
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </p>
           <p>
             Don't have an account? <Link to="/register">Sign up</Link>
           </p>
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const ERROR_MESSAGES = {
+  SSO_FAILED: 'Sign-in with your identity provider failed. Please try again.',
+  SSO_EXPIRED: 'Sign-in took too long or was already completed. Please try again.',
+  EMAIL_NOT_VERIFIED: 'Your identity provider did not confirm a verified email address.',
+  ACCOUNT_NOT_VERIFIED: 'An account with your email already exists but its email was never verified. Reset its password from the sign-in page to prove the address is yours, then sign in again.',
+  ACCOUNT_DEACTIVATED: 'Your account has been deactivated.'
+};
+
+function OidcCallback() {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const errorCode = searchParams.get('error');
+  const [error, setError] = useState('');
+  const { loginWithOidc } = useAuth();
+  const navigate = useNavigate();
+  // Login codes are single-use, so never submit the same one twice (StrictMode runs effects twice)
+  const exchangedCode = useRef(null);
+
+  useEffect(() => {
+    if (errorCode) {
+      setError(ERROR_MESSAGES[errorCode] || ERROR_MESSAGES.SSO_FAILED);
+      return;
+    }
+
+    if (exchangedCode.current === code) return;
+    exchangedCode.current = code;
+
+    const exchange = async () => {
+      if (!code) {
+        setError(ERROR_MESSAGES.SSO_FAILED);
+        return;
+      }
+
+      const result = await loginWithOidc(code);
+
+      if (result.mfaRequired) {
+        navigate('/login', { replace: true, state: { mfaToken: result.mfaToken } });
+      } else if (!result.success) {
+        setError(result.error);
+      }
+      // On success the public route redirects to the dashboard
+    };
+
+    exchange();
+  }, [code, errorCode]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Single Sign-On</h1>
+        </div>
+
+        {error
+          ? <div className="alert alert-error">{error}</div>
+          : <div className="loading">Signing you in...</div>}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OidcCallback;
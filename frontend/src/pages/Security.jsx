@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import AppHeader from '../components/AppHeader';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AccessTokens from '../components/AccessTokens';
+
+function Security() {
+  const { logoutAll } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Load sessions on mount
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Sign out this device?')) return;
+
+    setError('');
+    setSuccess('');
+
+    try {
+      await authAPI.revokeSession(id);
+      setSuccess('Session revoked successfully');
+      loadSessions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) return;
+
+    try {
+      await logoutAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleString();
+
+  return (
+    <div className="dashboard">
+      <AppHeader />
+
+      <main className="dashboard-content">
+        <div className="container">
+          {(error || success) && (
+            <div style={{ marginBottom: '20px' }}>
+              {error && <div className="alert alert-error">{error}</div>}
+              {success && <div className="alert alert-success">{success}</div>}
+            </div>
+          )}
+
+          <div className="task-list">
+            <div className="task-header">
+              <h2>Sessions</h2>
+              <button onClick={handleLogoutAll} className="btn btn-danger btn-sm">
+                Log out everywhere
+              </button>
+            </div>
+
+            {loading ? (
+              <div className="loading">Loading sessions...</div>
+            ) : sessions.length === 0 ? (
+              <div className="empty-state">
+                <h3>No active sessions</h3>
+              </div>
+            ) : (
+              <div className="session-list">
+                {sessions.map((session) => (
+                  <div key={session.id} className="session-item">
+                    <div>
+                      <h3>
+                        {session.userAgent || 'Unknown device'}
+                        {session.current && (
+                          <span className="badge badge-completed" style={{ marginLeft: '8px' }}>
+                            This device
+                          </span>
+                        )}
+                      </h3>
+                      <p>
+                        {session.ipAddress || 'Unknown IP'} · Signed in {formatDate(session.createdAt)} ·
+                        Last active {formatDate(session.lastUsedAt)}
+                      </p>
+                    </div>
+                    {!session.current && (
+                      <button
+                        onClick={() => handleRevoke(session.id)}
+                        className="btn btn-danger btn-sm"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <TwoFactorSettings />
+
+          <AccessTokens />
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default Security;
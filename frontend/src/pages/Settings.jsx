@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import AppHeader from '../components/AppHeader';
+
+function Settings() {
+  const { user, reloadUser, deleteAccount } = useAuth();
+  const [profile, setProfile] = useState({
+    firstName: user.firstName || '',
+    lastName: user.lastName || '',
+    email: user.email
+  });
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [dataExport, setDataExport] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const showResult = (message, isError = false) => {
+    setError(isError ? message : '');
+    setSuccess(isError ? '' : message);
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await authAPI.updateProfile(profile);
+      await reloadUser();
+      setProfile({ ...profile, email: response.data.user.email });
+      showResult(response.message);
+    } catch (err) {
+      showResult(err.message, true);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      showResult('New passwords do not match', true);
+      return;
+    }
+
+    try {
+      const response = await authAPI.changePassword(passwords.currentPassword, passwords.newPassword);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      showResult(response.message);
+    } catch (err) {
+      showResult(err.message, true);
+    }
+  };
+
+  // Poll the export until the archive is ready
+  useEffect(() => {
+    if (dataExport?.status !== 'PENDING') return;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await authAPI.getDataExport(dataExport.id);
+        setDataExport({ ...dataExport, ...response.data.export });
+      } catch (err) {
+        showResult(err.message, true);
+      }
+    }, 2000);
+
+    return () => clearTimeout(timer);
+  }, [dataExport]);
+
+  const handleExport = async () => {
+    try {
+      const response = await authAPI.requestDataExport();
+      setDataExport({ ...response.data.export, downloadUrl: response.data.downloadUrl });
+      showResult(response.message);
+    } catch (err) {
+      showResult(err.message, true);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? Your tasks in shared workspaces go to another member, the rest are deleted. This cannot be undone.')) return;
+
+    try {
+      await deleteAccount(deletePassword);
+    } catch (err) {
+      showResult(err.message, true);
+    }
+  };
+
+  return (
+    <div className="dashboard">
+      <AppHeader />
+
+      <main className="dashboard-content">
+        <div className="container">
+          {(error || success) && (
+            <div style={{ marginBottom: '20px' }}>
+              {error && <div className="alert alert-error">{error}</div>}
+              {success && <div className="alert alert-success">{success}</div>}
+            </div>
+          )}
+
+          <div className="task-list">
+            <div className="task-header">
+              <h2>Profile</h2>
+            </div>
+
+            <form onSubmit={handleProfileSubmit} className="task-form">
+              {user.pendingEmail && (
+                <div className="alert alert-warning">
+                  Waiting for you to confirm <strong>{user.pendingEmail}</strong>. Check that inbox for
+                  the confirmation link.
+                </div>
+              )}
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '16px' }}>
+                <div className="form-group">
+                  <label>First Name</label>
+                  <input
+                    type="text"
+                    value={profile.firstName}
+                    onChange={(e) => setProfile({ ...profile, firstName: e.target.value })}
+                    maxLength={50}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Last Name</label>
+                  <input
+                    type="text"
+                    value={profile.lastName}
+                    onChange={(e) => setProfile({ ...profile, lastName: e.target.value })}
+                    maxLength={50}
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Email Address</label>
+                <input
+                  type="email"
+                  value={profile.email}
+                  onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-primary">Save Profile</button>
+            </form>
+          </div>
+
+          <div className="task-list" style={{ marginTop: '24px' }}>
+            <div className="task-header">
+              <h2>Password</h2>
+            </div>
+
+            {user.hasPassword ? (
+              <form onSubmit={handlePasswordSubmit} className="task-form">
+                <div className="form-group">
+                  <label>Current Password</label>
+                  <input
+                    type="password"
+                    value={passwords.currentPassword}
+                    onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                    autoComplete="current-password"
+                    required
+                  />
+                </div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '16px' }}>
+                  <div className="form-group">
+                    <label>New Password</label>
+                    <input
+                      type="password"
+                      value={passwords.newPassword}
+                      onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+                      placeholder="Min 8 chars, 1 letter, 1 number"
+                      autoComplete="new-password"
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Confirm New Password</label>
+                    <input
+                      type="password"
+                      value={passwords.confirmPassword}
+                      onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+                      autoComplete="new-password"
+                      required
+                    />
+                  </div>
+                </div>
+                <button type="submit" className="btn btn-primary">Change Password</button>
+              </form>
+            ) : (
+              <div className="task-form">
+                <p style={{ fontSize: '14px', color: '#666' }}>
+                  You sign in with single sign-on. To add a password, sign out and use
+                  "Forgot your password?" on the sign-in page.
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="task-list" style={{ marginTop: '24px' }}>
+            <div className="task-header">
+              <h2>Export Your Data</h2>
+            </div>
+
+            <div className="task-form">
+              <p style={{ marginBottom: '16px', fontSize: '14px', color: '#666' }}>
+                Download an archive of your profile, tasks and login history (JSON and CSV).
+              </p>
+              {dataExport?.status === 'PENDING' && <div className="loading">Preparing your export...</div>}
+              {dataExport?.status === 'FAILED' && (
+                <div className="alert alert-error">The export failed. Please try again.</div>
+              )}
+              {dataExport?.status === 'READY' ? (
+                <a href={dataExport.downloadUrl} className="btn btn-primary" style={{ display: 'inline-block', textDecoration: 'none', width: 'auto' }}>
+                  Download export
+                </a>
+              ) : (
+                <button
+                  onClick={handleExport}
+                  className="btn btn-secondary"
+                  disabled={dataExport?.status === 'PENDING'}
+                >
+                  Export my data
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="task-list" style={{ marginTop: '24px' }}>
+            <div className="task-header">
+              <h2>Delete Account</h2>
+            </div>
+
+            <form onSubmit={handleDelete} className="task-form">
+              <p style={{ marginBottom: '16px', fontSize: '14px', color: '#666' }}>
+                Permanently delete your account and all of your sessions and tokens. Your tasks in shared workspaces go to their longest-standing member; the others are deleted.
+              </p>
+              {user.hasPassword ? (
+                <>
+                  <div className="form-group">
+                    <label>Password</label>
+                    <input
+                      type="password"
+                      value={deletePassword}
+                      onChange={(e) => setDeletePassword(e.target.value)}
+                      autoComplete="current-password"
+                      required
+                    />
+                  </div>
+                  <button type="submit" className="btn btn-danger">Delete Account</button>
+                </>
+              ) : (
+                <p style={{ fontSize: '14px', color: '#666' }}>
+                  Set a password first to confirm account deletion.
+                </p>
+              )}
+            </form>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(true);
+  const { isAuthenticated, reloadUser } = useAuth();
+  // Tokens are single-use, so never submit the same one twice (StrictMode runs effects twice)
+  const verifiedToken = useRef(null);
+
+  useEffect(() => {
+    if (verifiedToken.current === token) return;
+    verifiedToken.current = token;
+
+    const verify = async () => {
+      if (!token) {
+        setError('This verification link is incomplete.');
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setSuccess(response.message);
+        if (isAuthenticated) {
+          await reloadUser();
+        }
+      } catch (err) {
+        setError(err.message);
+      }
+      setLoading(false);
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Email Verification</h1>
+        </div>
+
+        {loading && <div className="loading">Verifying...</div>}
+        {error && <div className="alert alert-error">{error}</div>}
+        {success && <div className="alert alert-success">{success}</div>}
+
+        <div className="auth-footer">
+          <p>
+            {isAuthenticated
+              ? <Link to="/dashboard">Go to dashboard</Link>
+              : <Link to="/login">Sign in</Link>}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -1,35 +1,103 @@
 const API_BASE = 'http://localhost:5000/api/v1';
 
-// Helper for API requests
-async function request(endpoint, options = {}) {
-  const url = `${API_BASE}${endpoint}`;
-  
-  const config = {
-    headers: {
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    ...options
+// The session lives in HttpOnly cookies the API sets when asked for a cookie
+// session. State-changing requests echo the XSRF-TOKEN cookie in a header.
+const CSRF_COOKIE = 'XSRF-TOKEN';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function readCookie(name) {
+  const cookie = document.cookie
+    .split('; ')
+    .find((entry) => entry.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+// Workspace that task requests act in (the API falls back to the user's first one)
+let workspaceId = null;
+
+export function setActiveWorkspace(id) {
+  workspaceId = id;
+}
+
+function send(endpoint, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = {
+    // Uploads let the browser set the multipart boundary
+    ...(!(options.body instanceof FormData) && { 'Content-Type': 'application/json' }),
+    'X-Auth-Mode': 'cookie',
+    ...(workspaceId && { 'X-Workspace-Id': workspaceId }),
+    ...options.headers
   };
 
-  // Add auth token if available
-  const token = localStorage.getItem('accessToken');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
+  const csrfToken = readCookie(CSRF_COOKIE);
+  if (csrfToken && !SAFE_METHODS.includes(method)) {
+    headers['X-CSRF-Token'] = csrfToken;
   }
 
-  try {
-    const response = await fetch(url, config);
-    const data = await response.json();
+  return fetch(`${API_BASE}${endpoint}`, {
+    ...options,
+    method,
+    headers,
+    credentials: 'include'
+  });
+}
+
+// Refresh tokens are single-use, so concurrent requests share one refresh
+let refreshing = null;
 
-    if (!response.ok) {
-      throw new Error(data.message || 'An error occurred');
+function refreshSession() {
+  if (!refreshing) {
+    refreshing = send('/auth/refresh', { method: 'POST' })
+      .then((response) => response.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+}
+
+// Send a request, renewing an expired access token once and retrying
+async function sendWithRefresh(endpoint, options) {
+  const response = await send(endpoint, options);
+
+  if (response.status === 401) {
+    const { code } = await response.clone().json().catch(() => ({}));
+
+    if (code === 'TOKEN_EXPIRED' && (await refreshSession())) {
+      return send(endpoint, options);
     }
+  }
 
-    return data;
-  } catch (error) {
-    throw error;
+  return response;
+}
+
+const requestError = (data) =>
+  Object.assign(new Error(data.message || 'An error occurred'), { code: data.code });
+
+// Helper for API requests
+async function request(endpoint, options = {}) {
+  const response = await sendWithRefresh(endpoint, options);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw requestError(data);
+  }
+
+  return data;
+}
+
+// Helper for file downloads: the response body as a Blob
+async function requestFile(endpoint) {
+  const response = await sendWithRefresh(endpoint, { method: 'GET' });
+
+  if (!response.ok) {
+    throw requestError(await response.json().catch(() => ({})));
   }
+
+  return response.blob();
 }
 
 // Auth API
@@ -52,10 +120,107 @@ export const authAPI = {
   logout: () => 
     request('/auth/logout', { method: 'POST' }),
 
-  refreshToken: (refreshToken) => 
-    request('/auth/refresh', {
+  logoutAll: () => 
+    request('/auth/logout-all', { method: 'POST' }),
+
+  getSessions: () => 
+    request('/auth/sessions', { method: 'GET' }),
+
+  revokeSession: (id) => 
+    request(`/auth/sessions/${id}`, { method: 'DELETE' }),
+
+  updateProfile: (data) => 
+    request('/auth/profile', {
+      method: 'PATCH',
+      body: JSON.stringify(data)
+    }),
+
+  changePassword: (currentPassword, newPassword) => 
+    request('/auth/change-password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    }),
+
+  deleteAccount: (password) => 
+    request('/auth/account', {
+      method: 'DELETE',
+      body: JSON.stringify({ password })
+    }),
+
+  requestDataExport: () => 
+    request('/auth/export', { method: 'POST' }),
+
+  getDataExport: (id) => 
+    request(`/auth/export/${id}`),
+
+  forgotPassword: (email) => 
+    request('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    }),
+
+  resetPassword: (token, password) => 
+    request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password })
+    }),
+
+  verifyEmail: (token) => 
+    request(`/auth/verify-email?token=${encodeURIComponent(token)}`, { method: 'GET' }),
+
+  resendVerification: () => 
+    request('/auth/resend-verification', { method: 'POST' }),
+
+  verifyMfa: (mfaToken, factor) => 
+    request('/auth/mfa/verify', {
+      method: 'POST',
+      body: JSON.stringify({ mfaToken, ...factor })
+    }),
+
+  setupMfa: () => 
+    request('/auth/mfa/setup', { method: 'POST' }),
+
+  confirmMfa: (code) => 
+    request('/auth/mfa/confirm', {
       method: 'POST',
-      body: JSON.stringify({ refreshToken })
+      body: JSON.stringify({ code })
+    }),
+
+  disableMfa: (data) => 
+    request('/auth/mfa/disable', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }),
+
+  regenerateRecoveryCodes: (factor) => 
+    request('/auth/mfa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify(factor)
+    }),
+
+  getAccessTokens: () => 
+    request('/auth/tokens'),
+
+  createAccessToken: (data) => 
+    request('/auth/tokens', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    }),
+
+  revokeAccessToken: (id) => 
+    request(`/auth/tokens/${id}`, { method: 'DELETE' }),
+
+  getOidcProviders: () => 
+    request('/auth/oidc/providers'),
+
+  // The browser navigates here; the API redirects to the provider
+  oidcLoginUrl: (provider) => 
+    `${API_BASE}/auth/oidc/${encodeURIComponent(provider)}`,
+
+  exchangeOidcCode: (code) => 
+    request('/auth/oidc/exchange', {
+      method: 'POST',
+      body: JSON.stringify({ code })
     })
 };
 
@@ -85,5 +250,177 @@ export const tasksAPI = {
     request(`/tasks/${id}`, { method: 'DELETE' }),
 
   getStats: () => 
-    request('/tasks/stats', { method: 'GET' })
+    request('/tasks/stats', { method: 'GET' }),
+
+  getShares: (id) =>
+    request(`/tasks/${id}/shares`, { method: 'GET' }),
+
+  share: (id, email, permission) =>
+    request(`/tasks/${id}/shares`, {
+      method: 'POST',
+      body: JSON.stringify({ email, permission })
+    }),
+
+  revokeShare: (id, userId) =>
+    request(`/tasks/${id}/shares/${userId}`, { method: 'DELETE' }),
+
+  addChecklistItem: (id, text) =>
+    request(`/tasks/${id}/checklist`, {
+      method: 'POST',
+      body: JSON.stringify({ text })
+    }),
+
+  updateChecklistItem: (id, itemId, itemData) =>
+    request(`/tasks/${id}/checklist/${itemId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(itemData)
+    }),
+
+  deleteChecklistItem: (id, itemId) =>
+    request(`/tasks/${id}/checklist/${itemId}`, { method: 'DELETE' }),
+
+  addDependency: (id, blockerId) =>
+    request(`/tasks/${id}/dependencies`, {
+      method: 'POST',
+      body: JSON.stringify({ blockerId })
+    }),
+
+  removeDependency: (id, blockerId) =>
+    request(`/tasks/${id}/dependencies/${blockerId}`, { method: 'DELETE' }),
+
+  getTransitions: (id) =>
+    request(`/tasks/${id}/transitions`, { method: 'GET' }),
+
+  getReminders: (id) =>
+    request(`/tasks/${id}/reminders`, { method: 'GET' }),
+
+  addReminder: (id, reminder) =>
+    request(`/tasks/${id}/reminders`, {
+      method: 'POST',
+      body: JSON.stringify(reminder)
+    }),
+
+  deleteReminder: (id, reminderId) =>
+    request(`/tasks/${id}/reminders/${reminderId}`, { method: 'DELETE' }),
+
+  getComments: (id) =>
+    request(`/tasks/${id}/comments`, { method: 'GET' }),
+
+  addComment: (id, comment) =>
+    request(`/tasks/${id}/comments`, {
+      method: 'POST',
+      body: JSON.stringify(comment)
+    }),
+
+  updateComment: (id, commentId, body) =>
+    request(`/tasks/${id}/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ body })
+    }),
+
+  deleteComment: (id, commentId) =>
+    request(`/tasks/${id}/comments/${commentId}`, { method: 'DELETE' }),
+
+  getAttachments: (id) =>
+    request(`/tasks/${id}/attachments`, { method: 'GET' }),
+
+  uploadAttachment: (id, file) => {
+    const body = new FormData();
+    body.append('file', file);
+    return request(`/tasks/${id}/attachments`, { method: 'POST', body });
+  },
+
+  downloadAttachment: (id, attachmentId) =>
+    requestFile(`/tasks/${id}/attachments/${attachmentId}/download`),
+
+  deleteAttachment: (id, attachmentId) =>
+    request(`/tasks/${id}/attachments/${attachmentId}`, { method: 'DELETE' })
+};
+
+// Projects API
+export const projectsAPI = {
+  getAll: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/projects${query ? `?${query}` : ''}`, { method: 'GET' });
+  },
+
+  create: (projectData) =>
+    request('/projects', {
+      method: 'POST',
+      body: JSON.stringify(projectData)
+    }),
+
+  update: (id, projectData) =>
+    request(`/projects/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(projectData)
+    }),
+
+  delete: (id) =>
+    request(`/projects/${id}`, { method: 'DELETE' })
+};
+
+// Workspaces API
+export const workspacesAPI = {
+  getAll: () =>
+    request('/workspaces', { method: 'GET' }),
+
+  create: (name) =>
+    request('/workspaces', {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    }),
+
+  update: (id, name) =>
+    request(`/workspaces/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ name })
+    }),
+
+  delete: (id) =>
+    request(`/workspaces/${id}`, { method: 'DELETE' }),
+
+  getMembers: (id) =>
+    request(`/workspaces/${id}/members`, { method: 'GET' }),
+
+  updateMember: (id, userId, role) =>
+    request(`/workspaces/${id}/members/${userId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ role })
+    }),
+
+  removeMember: (id, userId) =>
+    request(`/workspaces/${id}/members/${userId}`, { method: 'DELETE' }),
+
+  getInvitations: (id) =>
+    request(`/workspaces/${id}/invitations`, { method: 'GET' }),
+
+  invite: (id, email, role) =>
+    request(`/workspaces/${id}/invitations`, {
+      method: 'POST',
+      body: JSON.stringify({ email, role })
+    }),
+
+  cancelInvitation: (id, invitationId) =>
+    request(`/workspaces/${id}/invitations/${invitationId}`, { method: 'DELETE' }),
+
+  acceptInvitation: (token) =>
+    request('/workspaces/invitations/accept', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    })
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/notifications${query ? `?${query}` : ''}`, { method: 'GET' });
+  },
+
+  markRead: (id) =>
+    request(`/notifications/${id}/read`, { method: 'PATCH' }),
+
+  markAllRead: () =>
+    request('/notifications/read-all', { method: 'POST' })
 };